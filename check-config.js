@@ -6,6 +6,7 @@
 const config = require('./config');
 const fs = require('fs');
 const path = require('path');
+const QReportLoader = require('./services/qreport-loader');
 
 console.log('\n🔍 Georgie Configuration Check\n');
 console.log('='.repeat(50));
@@ -51,15 +52,17 @@ if (gemMinerConfig.agentId && !gemMinerConfig.agentId.includes('your_')) {
 // Check Data Files
 console.log('\n📊 Data Files:');
 
-const qreportPath = path.join(__dirname, 'data', 'qreport-spring-2025.csv');
-if (fs.existsSync(qreportPath)) {
-  const stats = fs.statSync(qreportPath);
-  console.log('  ✅ Q-Report data found');
-  console.log(`  File: ${qreportPath}`);
-  console.log(`  Size: ${(stats.size / 1024).toFixed(2)} KB`);
+const qreportDir = process.env.QREPORT_DATA_DIR || path.join(__dirname, 'data');
+const qreportFiles = QReportLoader.discoverFiles(qreportDir);
+if (qreportFiles.length > 0) {
+  console.log(`  ✅ Q-Report data found (${qreportFiles.length} term${qreportFiles.length === 1 ? '' : 's'})`);
+  qreportFiles.forEach(file => {
+    const stats = fs.statSync(file.filePath);
+    console.log(`  ${file.term.label}: ${file.filePath} (${(stats.size / 1024).toFixed(2)} KB)`);
+  });
 } else {
   console.log('  ❌ Q-Report data not found');
-  console.log(`  Expected: ${qreportPath}`);
+  console.log(`  Expected: ${path.join(qreportDir, 'qreport-<term>-<year>.csv')}`);
   console.log('  Download Q-Report data from Harvard Q-Report website');
 }
 
@@ -91,7 +94,7 @@ const geminiOk = config.gemini.apiKey && !config.gemini.apiKey.includes('your_')
 const claudeOk = config.claude.apiKey && !config.claude.apiKey.includes('your_');
 const a1zapOk = gemMinerConfig.apiKey && !gemMinerConfig.apiKey.includes('your_') && 
                 gemMinerConfig.agentId && !gemMinerConfig.agentId.includes('your_');
-const dataOk = fs.existsSync(qreportPath) && fs.existsSync(catalogPath);
+const dataOk = qreportFiles.length > 0 && fs.existsSync(catalogPath);
 
 console.log('\n📊 Summary:');
 if (claudeOk && a1zapOk && dataOk) {
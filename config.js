@@ -1,6 +1,12 @@
 // Load environment variables
 require('dotenv').config();
 
+// A number from the environment, or the fallback when it's unset or not a number (0 is kept)
+function numberFromEnv(name, fallback) {
+  const raw = process.env[name];
+  return raw !== undefined && raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : fallback;
+}
+
 module.exports = {
   // AI Model Configurations
   gemini: {
@@ -49,11 +55,96 @@ module.exports = {
 
   // Q-Report/Catalog configuration
   qreport: {
-    mode: process.env.HUGEMS_MODE || 'live',
-    hugemsUrl: process.env.HUGEMS_URL || 'https://hugems.net/',
+    // HUGems source (services/hugems-source.js): live, cache or off
+    mode: process.env.HUGEMS_MODE || 'cache',
+    // JSON endpoint for live refreshes (the hugems.net site itself is HTML, not course records)
+    hugemsUrl: process.env.HUGEMS_URL || null,
+    hugemsCachePath: process.env.HUGEMS_CACHE_PATH || null,
     catalogCsvPath: process.env.CATALOG_CSV_PATH || process.env.COURSE_CSV_PATH || './AY_2025_2026_courses.csv'
   },
 
+  // Course data hot reload (watches the catalog and Q-Report CSVs)
+  data: {
+    watch: process.env.DATA_WATCH !== 'false',
+    reloadDebounceMs: Number(process.env.DATA_RELOAD_DEBOUNCE_MS) || 2000,
+    // Keep serving the current data if a reload does worse than data/audit-baseline.json
+    auditGate: process.env.DATA_AUDIT_GATE === 'true',
+    // Written by scripts/ingest-canvas.js
+    canvasCachePath: process.env.CANVAS_CACHE_PATH || null,
+    // Precompiled dataset written by scripts/build-snapshot.js; used at boot when it matches the source files
+    snapshot: process.env.DATA_SNAPSHOT !== 'false',
+    snapshotPath: process.env.DATA_SNAPSHOT_PATH || null,
+    // Catalog the diff (and "what's new?" answers) compares against; saved by scripts/diff-catalog.js
+    previousCatalogPath: process.env.CATALOG_PREVIOUS_PATH || null,
+    // Per-chat "not interested" / "already took it" / "more like this" (services/student-feedback.js)
+    feedbackPath: process.env.STUDENT_FEEDBACK_PATH || null
+  },
+
+  // Course data sources (services/data-sources.js) and which one wins for each merged field
+  sources: {
+    enabled: (process.env.DATA_SOURCES || 'catalog,qreport,hugems,canvas,overrides')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    // Curated corrections, { "COMPSCI 50": { "workloadHrs": 12 } }
+    overridesPath: process.env.COURSE_OVERRIDES_PATH || null,
+    priority: {
+      default: ['overrides', 'qreport', 'hugems', 'canvas', 'catalog'],
+      // The catalog describes the coming term; Q-Report rows describe a past one
+      weekdays: ['overrides', 'catalog', 'qreport'],
+      startTime: ['overrides', 'catalog', 'qreport'],
+      endTime: ['overrides', 'catalog', 'qreport'],
+      meetings: ['overrides', 'catalog'],
+      instructors: ['overrides', 'catalog', 'qreport'],
+      finalExam: ['overrides', 'canvas', 'catalog']
+    }
+  },
+
+  // GemScore profiles (services/gem-ranking.js): how much each factor counts, 0-1 after normalization
+  // Factors: rating, workload, enrollment, gemProbability, recScore, sentiment, comments
+  // (plus logistics and affinity, added per query - see logisticsWeight and feedbackWeight)
+  // A student can ask for a profile ("chill classes", "hidden gems"); otherwise GEMSCORE_PROFILE is used
+  ranking: {
+    defaultProfile: process.env.GEMSCORE_PROFILE || 'balanced',
+    // Weight of the time-preference fit ("after 10am", "no Fridays") when the student gives any,
+    // added to the profile's weights
+    logisticsWeight: numberFromEnv('GEMSCORE_LOGISTICS_WEIGHT', 0.3),
+    // Weight of likeness (subject, meeting time) to the courses a student said they liked,
+    // added to the profile's weights for that student (services/student-feedback.js)
+    feedbackWeight: numberFromEnv('GEMSCORE_FEEDBACK_WEIGHT', 0.2),
+    // Variety re-ranking of the top of gem lists (diversify in services/gem-ranking.js):
+    // 0 keeps GemScore order, 1 puts variety first; off unless a query asks for variety
+    diversity: {
+      strength: numberFromEnv('GEMSCORE_DIVERSITY', 0),
+      top: 20
+    },
+    profiles: {
+      balanced: {
+        label: 'Balanced',
+        description: 'good ratings and a manageable workload',
+        weights: { rating: 0.35, workload: 0.3, gemProbability: 0.15, recScore: 0.1, sentiment: 0.05, comments: 0.05 }
+      },
+      chill: {
+        label: 'Chill',
+        description: 'lightest workload first, ratings second',
+        weights: { rating: 0.15, workload: 0.5, gemProbability: 0.2, recScore: 0.05, sentiment: 0.05, comments: 0.05 }
+      },
+      quality: {
+        label: 'Quality',
+        description: 'best-rated first, workload matters little',
+        weights: { rating: 0.55, workload: 0.05, recScore: 0.25, sentiment: 0.1, comments: 0.05 }
+      },
+      hiddenGem: {
+        label: 'Hidden gem',
+        description: 'highly rated courses few students take',
+        weights: { rating: 0.35, workload: 0.1, enrollment: 0.25, gemProbability: 0.1, recScore: 0.1, sentiment: 0.05, comments: 0.05 }
+      }
+    }
+  },
+
+  // Admin routes (e.g. POST /admin/reload) - disabled unless ADMIN_TOKEN is set
+  admin: {
+    token: process.env.ADMIN_TOKEN || null
+  },
+
   // Helper functions for validation
   validation: {
     /**
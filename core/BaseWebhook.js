@@ -11,6 +11,7 @@
  * - Error handling and user notifications
  * - Test mode detection
  * - Response sending
+ * - Reaction events (acknowledged; subclasses override handleReaction() to use them)
  * 
  * Subclasses implement:
  * - processRequest() - Agent-specific logic
@@ -63,6 +64,11 @@ class BaseWebhook {
         return this.handleChatStarted(req, res);
       }
 
+      if (event === 'message.reaction') {
+        console.log('👍 Reaction event detected');
+        return this.handleReaction(req, res);
+      }
+
       // Handle A1Zap webhook connection tests without invoking AI or A1Zap APIs
       if (event === 'webhook.test' || req.body?.metadata?.test === true) {
         console.log('🧪 Webhook test event detected - responding without processing');
@@ -213,6 +219,21 @@ class BaseWebhook {
     }
   }
 
+  /**
+   * Handle message.reaction event - a user reacted to one of the agent's messages
+   * Ignored by default; override in subclasses that act on reactions
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleReaction(req, res) {
+    return res.json({
+      success: true,
+      event: 'message.reaction',
+      agent: this.agent.name,
+      skipped: true
+    });
+  }
+
   /**
    * Fetch conversation history
    * Can be overridden by subclasses for custom history handling
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Data Audit
+ * Runs the catalog and Q-Report loaders over the data files and reports suspicious
+ * rows by category (leaked description text, missing IDs, unparseable times,
+ * duplicate keys, unmatched Q-Report rows) as JSON + Markdown.
+ *
+ * Exits with code 1 when the data is worse than the baseline
+ * (data/audit-baseline.json), so data updates can be gated on it:
+ *   - with a baseline: any error/warning category whose count went up fails
+ *   - without one: any error-level finding fails
+ *
+ * Usage:
+ *   node scripts/audit-data.js [--baseline <file>] [--update-baseline] [--out <dir>]
+ *
+ * Example:
+ *   node scripts/audit-data.js
+ *   node scripts/audit-data.js --update-baseline   # accept the current counts
+ */
+
+const path = require('path');
+const {
+  auditData,
+  compareToBaseline,
+  loadBaseline,
+  writeBaseline,
+  writeReport,
+  DEFAULT_BASELINE_PATH
+} = require('../services/data-audit');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const baselinePath = getArg('--baseline') ? path.resolve(getArg('--baseline')) : DEFAULT_BASELINE_PATH;
+const outDir = getArg('--out') ? path.resolve(getArg('--out')) : undefined;
+const updateBaseline = process.argv.includes('--update-baseline');
+
+console.log('\n🔎 Data Audit\n');
+
+try {
+  const report = auditData();
+  const baseline = updateBaseline ? null : loadBaseline(baselinePath);
+  const gate = updateBaseline ? null : compareToBaseline(report, baseline);
+
+  console.log(`\n📊 Findings (${report.rows.catalogCourses} catalog courses, ${report.rows.qreportRows} Q-Report rows):`);
+  Object.entries(report.summary).forEach(([category, { title, severity, count }]) => {
+    const allowed = baseline?.counts?.[category];
+    const comparison = allowed != null && severity !== 'info' ? ` (baseline ${allowed})` : '';
+    console.log(`   ${severity === 'info' ? 'ℹ️ ' : count > 0 ? '⚠️ ' : '✅'} ${title}: ${count}${comparison}`);
+  });
+
+  const { jsonPath, markdownPath } = writeReport(report, gate, outDir);
+  console.log(`\n✍️  Wrote ${jsonPath}`);
+  console.log(`✍️  Wrote ${markdownPath}`);
+
+  if (updateBaseline) {
+    console.log(`\n📌 Baseline updated: ${writeBaseline(report, baselinePath)}\n`);
+    process.exit(0);
+  }
+
+  if (!baseline) {
+    console.log(`\n💡 No baseline at ${baselinePath} - failing on error-level findings only`);
+  }
+
+  if (gate.passed) {
+    console.log('\n✅ Audit passed\n');
+  } else {
+    console.error('\n❌ Audit failed:');
+    gate.failures.forEach(f => console.error(`   ${report.summary[f.category].title}: ${f.count} (allowed ${f.allowed})`));
+    console.error('   Fix the data, or run with --update-baseline if the new counts are expected\n');
+    process.exit(1);
+  }
+} catch (err) {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+}
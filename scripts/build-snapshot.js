@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Dataset Snapshot Build
+ * Parses the AY catalog and every Q-Report export, merges the latest term into the gem index
+ * (joins, deduplication, GenEd tagging) and writes it all to data/dataset-snapshot.json.
+ * The server loads the snapshot at boot instead of the CSVs, as long as it was built from
+ * the same source files (see services/dataset-snapshot.js).
+ *
+ * Runs as `npm run build`, so Railway builds the snapshot on every deploy.
+ *
+ * Usage:
+ *   node scripts/build-snapshot.js [--out <snapshot.json>]
+ */
+
+const path = require('path');
+const datasets = require('../services/dataset-manager');
+const { getGemDataset } = require('../services/gem-miner');
+const { writeSnapshot, DEFAULT_SNAPSHOT_PATH } = require('../services/dataset-snapshot');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const outputPath = getArg('--out') ? path.resolve(getArg('--out')) : DEFAULT_SNAPSHOT_PATH;
+
+console.log('\n📦 Dataset Snapshot Build\n');
+
+(async () => {
+  try {
+    const started = Date.now();
+    const dataset = datasets.buildDataset({ snapshot: false });
+    const gems = await getGemDataset(undefined, dataset);
+
+    const result = await writeSnapshot(dataset, outputPath);
+    console.log(`\n📝 Wrote ${result.path} (${(result.bytes / 1024 / 1024).toFixed(1)} MB)`);
+    console.log(`   Sources: ${result.sourceHash} (dataset version ${dataset.version})`);
+    console.log(`   Catalog: ${dataset.counts.catalogCourses} courses, Q-Report: ${dataset.counts.qreportTerms} term(s), gems: ${gems.size} (${result.gemIndexes.join(', ')})`);
+    console.log(`   Built in ${Date.now() - started}ms`);
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
+})();
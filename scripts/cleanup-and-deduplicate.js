@@ -9,6 +9,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readCsvFile, formatCsvRow, describeCsvError } = require('../services/csv-reader');
 
 const csvPath = path.join(__dirname, '..', 'AY_2025_2026_courses_raw.csv');
 const outputPath = path.join(__dirname, '..', 'AY_2025_2026_courses.csv');
@@ -16,38 +17,6 @@ const backupPath = path.join(__dirname, '..', 'AY_2025_2026_courses_backup_final
 
 console.log('🧹 Comprehensive Course Catalog Cleanup\n');
 
-// Parse CSV line handling quoted fields
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current.trim());
-  return result;
-}
-
-// Escape CSV field
-function escapeCSV(field) {
-  if (!field) return '';
-  // Always quote if contains comma, quote, or newline
-  if (field.includes(',') || field.includes('"') || field.includes('\n') || field.includes('\r')) {
-    return '"' + field.replace(/"/g, '""') + '"';
-  }
-  return field;
-}
-
 /**
  * Parse meeting pattern from description/meeting field
  * Patterns: TR, MWF, MW, MF, TTh, etc.
@@ -248,15 +217,16 @@ function scoreRow(row, headers) {
 }
 
 try {
-  const content = fs.readFileSync(csvPath, 'utf-8');
-  const lines = content.split('\n').filter(l => l.trim());
+  const { headers, rows: records, errors } = readCsvFile(csvPath, { trim: true });
   
   console.log(`📖 Reading: ${csvPath}`);
-  console.log(`   Total lines: ${lines.length}\n`);
+  console.log(`   Total rows: ${records.length}\n`);
   
-  // Parse header
-  const headerLine = lines[0];
-  const headers = parseCSVLine(headerLine);
+  if (errors.length > 0) {
+    console.warn(`⚠️  ${errors.length} CSV parse problem(s):`);
+    errors.slice(0, 10).forEach(e => console.warn(`   ${describeCsvError(e)}`));
+    console.log('');
+  }
   
   // Find column indices
   const subjectIdx = headers.indexOf('subject');
@@ -271,12 +241,10 @@ try {
   
   // Parse all rows
   const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line.trim()) continue;
+  for (let i = 0; i < records.length; i++) {
+    const values = records[i];
     
     try {
-      const values = parseCSVLine(line);
       
       // Skip table of contents
       if (values[titleIdx] && (
@@ -287,12 +255,12 @@ try {
       }
       
       rows.push({
-        lineNum: i + 1,
+        rowNum: i + 2,
         values,
         score: scoreRow(values, headers)
       });
     } catch (err) {
-      console.warn(`⚠️  Failed to parse line ${i + 1}`);
+      console.warn(`⚠️  Failed to parse row ${i + 2}`);
     }
   }
   
@@ -403,8 +371,7 @@ try {
   const outputLines = [newHeaders.join(',')];
   
   for (const course of cleanedData) {
-    const line = newHeaders.map(header => escapeCSV(course[header])).join(',');
-    outputLines.push(line);
+    outputLines.push(formatCsvRow(newHeaders.map(header => course[header])));
   }
   
   fs.writeFileSync(outputPath, outputLines.join('\n') + '\n', 'utf-8');
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Ranking Comparison
+ * Ranks every gem twice and reports how the top of the list changes: which courses
+ * enter and leave the top N and how far the rest move. Writes
+ * data/reports/ranking-comparison.json + .md.
+ *
+ * By default it compares a profile with the same profile minus the Q-Report signals
+ * (gem probability, recommendation score, sentiment), i.e. what those signals change.
+ * Both lists are in plain GemScore order (no variety re-ranking), so only the weights differ.
+ *
+ * Usage:
+ *   node scripts/compare-rankings.js [--profile <name>] [--against <name>] [--top <n>] [--term <term>] [--out <dir>]
+ *
+ * Example:
+ *   node scripts/compare-rankings.js                                # default profile, top 50
+ *   node scripts/compare-rankings.js --profile chill --against balanced
+ *   node scripts/compare-rankings.js --term "2026 Spring" --top 20
+ */
+
+const path = require('path');
+const { findGems } = require('../services/gem-miner');
+const { resolveProfile } = require('../services/gem-ranking');
+const {
+  QREPORT_SIGNALS,
+  withoutFactors,
+  compareRankings,
+  writeReport
+} = require('../services/ranking-comparison');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const after = resolveProfile(getArg('--profile'));
+const before = getArg('--against') ? resolveProfile(getArg('--against')) : withoutFactors(after, QREPORT_SIGNALS);
+const top = Number(getArg('--top')) || 50;
+const term = getArg('--term');
+const outDir = getArg('--out') ? path.resolve(getArg('--out')) : undefined;
+
+console.log('\n⚖️  Ranking Comparison\n');
+
+(async () => {
+  try {
+    const beforeRanked = await findGems({ profile: before, term, diversity: 0 });
+    const afterRanked = await findGems({ profile: after, term, diversity: 0 });
+    const comparison = {
+      ...compareRankings(beforeRanked, afterRanked, { top }),
+      before: before.label,
+      after: after.label,
+      term
+    };
+
+    console.log(`\n📊 Top ${top} of ${comparison.courses} courses: ${comparison.before} → ${comparison.after}`);
+    console.log(`   In both lists: ${comparison.overlap} (mean rank change ${comparison.meanRankChange})`);
+    console.log(`   ➕ Entered: ${comparison.entered.map(c => c.courseId).join(', ') || 'none'}`);
+    console.log(`   ➖ Left: ${comparison.left.map(c => c.courseId).join(', ') || 'none'}`);
+
+    const { jsonPath, markdownPath } = writeReport(comparison, outDir);
+    console.log(`\n✍️  Wrote ${jsonPath}`);
+    console.log(`✍️  Wrote ${markdownPath}\n`);
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
+})();
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readCsvFile, formatCsvRow, describeCsvError } = require('../services/csv-reader');
 
 const csvPath = path.join(__dirname, '..', 'AY_2025_2026_courses.csv');
 const outputPath = path.join(__dirname, '..', 'AY_2025_2026_courses_clean.csv');
@@ -15,38 +16,6 @@ const backupPath = path.join(__dirname, '..', 'AY_2025_2026_courses_backup.csv')
 console.log('📚 Course Catalog Deduplication Tool\n');
 console.log(`Reading: ${csvPath}`);
 
-// Parse CSV line handling quoted fields
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current.trim());
-  return result;
-}
-
-// Escape CSV field
-function escapeCSV(field) {
-  if (!field) return '';
-  // If field contains comma, quote, or newline, wrap in quotes and escape quotes
-  if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-    return '"' + field.replace(/"/g, '""') + '"';
-  }
-  return field;
-}
-
 // Count non-empty fields in a row
 function countData(row) {
   return row.filter(field => field && field.trim() !== '').length;
@@ -91,14 +60,15 @@ function scoreRow(row, headers) {
 }
 
 try {
-  const content = fs.readFileSync(csvPath, 'utf-8');
-  const lines = content.split('\n').filter(l => l.trim());
+  const { headers, rows: records, errors } = readCsvFile(csvPath, { trim: true });
   
-  console.log(`Total lines: ${lines.length}\n`);
+  console.log(`Total rows: ${records.length}\n`);
   
-  // Parse header
-  const headerLine = lines[0];
-  const headers = parseCSVLine(headerLine);
+  if (errors.length > 0) {
+    console.warn(`⚠️  ${errors.length} CSV parse problem(s):`);
+    errors.slice(0, 10).forEach(e => console.warn(`   ${describeCsvError(e)}`));
+    console.log('');
+  }
   
   console.log(`Columns: ${headers.join(', ')}\n`);
   
@@ -114,12 +84,10 @@ try {
   
   // Parse all rows
   const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line.trim()) continue;
+  for (let i = 0; i < records.length; i++) {
+    const values = records[i];
     
     try {
-      const values = parseCSVLine(line);
       
       // Skip table of contents entries
       if (values[titleIdx] && (
@@ -130,12 +98,12 @@ try {
       }
       
       rows.push({
-        lineNum: i + 1,
+        rowNum: i + 2,
         values,
         score: scoreRow(values, headers)
       });
     } catch (err) {
-      console.warn(`⚠️  Failed to parse line ${i + 1}: ${err.message}`);
+      console.warn(`⚠️  Failed to parse row ${i + 2}: ${err.message}`);
     }
   }
   
@@ -215,14 +183,13 @@ try {
   // Write deduplicated CSV
   console.log(`✍️  Writing clean CSV: ${outputPath}\n`);
   
-  const outputLines = [headerLine];
+  const outputLines = [formatCsvRow(headers)];
   
-  // Sort deduped by original line number to maintain order
-  deduped.sort((a, b) => a.lineNum - b.lineNum);
+  // Sort deduped by original row number to maintain order
+  deduped.sort((a, b) => a.rowNum - b.rowNum);
   
   for (const row of deduped) {
-    const escapedValues = row.values.map(escapeCSV);
-    outputLines.push(escapedValues.join(','));
+    outputLines.push(formatCsvRow(row.values));
   }
   
   fs.writeFileSync(outputPath, outputLines.join('\n') + '\n', 'utf-8');
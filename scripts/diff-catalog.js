@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Catalog Diff
+ * Compares two versions of the AY catalog, keyed by numeric course ID, and reports added
+ * and removed courses plus changed meeting times, instructors and GenEd status as
+ * JSON + Markdown (data/reports/catalog-diff.*).
+ *
+ * Either side can be a catalog CSV, a saved catalog snapshot or a dataset snapshot.
+ * By default the saved previous catalog (data/catalog-previous.json) is compared with the
+ * current catalog CSV. After reviewing a new catalog, --save-previous makes it the
+ * version the next diff (and the bot's "what's new?" answers) compares against.
+ * With no previous catalog saved yet, the first run saves the current one.
+ *
+ * Usage:
+ *   node scripts/diff-catalog.js [--before <file>] [--after <file>] [--out <dir>] [--save-previous]
+ *
+ * Example:
+ *   node scripts/diff-catalog.js --before old/AY_2024_2025_courses.csv
+ *   node scripts/diff-catalog.js --save-previous   # accept the current catalog
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CatalogAYLoader = require('../services/catalog-ay-loader');
+const {
+  loadCatalogSnapshot,
+  writePreviousCatalog,
+  diffCatalogs,
+  describeChanges,
+  writeReport,
+  DEFAULT_PREVIOUS_PATH
+} = require('../services/catalog-diff');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const beforePath = getArg('--before') ? path.resolve(getArg('--before')) : DEFAULT_PREVIOUS_PATH;
+const afterPath = getArg('--after') ? path.resolve(getArg('--after')) : new CatalogAYLoader().csvPath;
+const outDir = getArg('--out') ? path.resolve(getArg('--out')) : undefined;
+const savePrevious = process.argv.includes('--save-previous');
+
+console.log('\n🆕 Catalog Diff\n');
+
+try {
+  const after = loadCatalogSnapshot(afterPath);
+
+  if (savePrevious) {
+    console.log(`\n📌 Saved ${after.courses.length} courses from ${after.label} as the previous catalog: ${writePreviousCatalog(after)}\n`);
+    process.exit(0);
+  }
+
+  if (beforePath === DEFAULT_PREVIOUS_PATH && !fs.existsSync(beforePath)) {
+    console.log(`\n💡 No previous catalog yet - saved ${after.courses.length} courses from ${after.label}: ${writePreviousCatalog(after)}`);
+    console.log('   The next diff (and "what\'s new?") compares against it\n');
+    process.exit(0);
+  }
+
+  const before = loadCatalogSnapshot(beforePath);
+  const diff = diffCatalogs(before, after);
+
+  console.log(`\n📊 ${diff.before.label} (${diff.before.courses} courses) → ${diff.after.label} (${diff.after.courses} courses):`);
+  console.log(`   ➕ Added: ${diff.summary.added}`);
+  console.log(`   ➖ Removed: ${diff.summary.removed}`);
+  console.log(`   🔄 Changed: ${diff.summary.changed} (meeting time ${diff.summary.meetings}, instructors ${diff.summary.instructors}, GenEd ${diff.summary.genEd}, code ${diff.summary.courseId})`);
+  diff.changed.slice(0, 10).forEach(c => {
+    console.log(`      ${c.courseId} (${c.term}): ${describeChanges(c.changes).join('; ')}`);
+  });
+
+  const { jsonPath, markdownPath } = writeReport(diff, outDir);
+  console.log(`\n✍️  Wrote ${jsonPath}`);
+  console.log(`✍️  Wrote ${markdownPath}\n`);
+} catch (err) {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+}
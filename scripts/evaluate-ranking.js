@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Ranking Evaluation
+ * Runs the labeled chat queries in data/ranking-queries.json through extractQuery and
+ * findGems (no LLM), scores each top k with precision@k and NDCG against the courses
+ * marked expected/acceptable, and compares the numbers with the saved baseline
+ * (data/ranking-eval-baseline.json). Writes data/reports/ranking-eval.json + .md.
+ *
+ * Usage:
+ *   node scripts/evaluate-ranking.js [--queries <file>] [--baseline <file>] [--update-baseline]
+ *                                    [--k <n>] [--term <term>] [--out <dir>]
+ *
+ * Example:
+ *   node scripts/evaluate-ranking.js                     # compare with the baseline
+ *   node scripts/evaluate-ranking.js --update-baseline   # accept the current numbers
+ *   node scripts/evaluate-ranking.js --k 5
+ */
+
+const path = require('path');
+const {
+  loadLabeledQueries,
+  evaluateRanking,
+  compareToBaseline,
+  loadBaseline,
+  writeBaseline,
+  writeReport,
+  DEFAULT_QUERIES_PATH,
+  DEFAULT_BASELINE_PATH
+} = require('../services/ranking-evaluation');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const queriesPath = getArg('--queries') ? path.resolve(getArg('--queries')) : DEFAULT_QUERIES_PATH;
+const baselinePath = getArg('--baseline') ? path.resolve(getArg('--baseline')) : DEFAULT_BASELINE_PATH;
+const outDir = getArg('--out') ? path.resolve(getArg('--out')) : undefined;
+const updateBaseline = process.argv.includes('--update-baseline');
+const k = Number(getArg('--k')) || undefined;
+const term = getArg('--term') || undefined;
+
+console.log('\n🎯 Ranking Evaluation\n');
+
+(async () => {
+  try {
+    const labeled = loadLabeledQueries(queriesPath);
+    const report = await evaluateRanking(labeled, { k, term });
+    const baseline = updateBaseline ? null : loadBaseline(baselinePath);
+    const comparison = compareToBaseline(report, baseline);
+    const metric = value => (value == null ? 'n/a' : value.toFixed(3));
+
+    console.log(`\n📊 ${report.queries.length} queries, top ${report.k}${report.term ? `, ${report.term}` : ''}:`);
+    report.queries.forEach(q => {
+      console.log(`   ${q.message}: precision ${metric(q.precision)}, NDCG ${metric(q.ndcg)} (${q.results} results)`);
+    });
+    console.log(`   Mean: precision ${metric(report.mean.precision)}, NDCG ${metric(report.mean.ndcg)}`);
+
+    if (comparison) {
+      const change = ({ from, to }) => `${metric(from)} → ${metric(to)}`;
+      console.log(`\n⚖️  Against the baseline (${comparison.baselineUpdatedAt || 'undated'}):`);
+      console.log(`   Mean precision ${change(comparison.mean.precision)}, NDCG ${change(comparison.mean.ndcg)}`);
+      comparison.improved.forEach(q => console.log(`   📈 ${q.message}: NDCG ${change(q.ndcg)}, precision ${change(q.precision)}`));
+      comparison.regressed.forEach(q => console.log(`   📉 ${q.message}: NDCG ${change(q.ndcg)}, precision ${change(q.precision)}`));
+      console.log(`   Unchanged: ${comparison.unchanged}`);
+      if (comparison.added.length > 0) console.log(`   ➕ New queries: ${comparison.added.join(', ')}`);
+      if (comparison.removed.length > 0) console.log(`   ➖ No longer in the set: ${comparison.removed.join(', ')}`);
+    } else if (!updateBaseline) {
+      console.log(`\n💡 No baseline at ${baselinePath} - run with --update-baseline to save one`);
+    }
+
+    const { jsonPath, markdownPath } = writeReport(report, comparison, outDir);
+    console.log(`\n✍️  Wrote ${jsonPath}`);
+    console.log(`✍️  Wrote ${markdownPath}`);
+
+    if (updateBaseline) {
+      console.log(`\n📌 Baseline updated: ${writeBaseline(report, baselinePath)}`);
+    }
+    console.log('');
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
+})();
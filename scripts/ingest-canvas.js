@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Canvas Ingest
+ * Reads locally exported Canvas course JSON (course + assignments + assignment_groups)
+ * or saved syllabus HTML pages and writes data/canvas-cache.json: final exam presence,
+ * problem set / essay / quiz counts, grading weights, and the file each came from.
+ * Existing cache entries for other courses are kept.
+ *
+ * The course is taken from the export's course_code or the file name
+ * (e.g. compsci-50-syllabus.html); pass --course to set it explicitly.
+ *
+ * Usage:
+ *   node scripts/ingest-canvas.js <file-or-directory>... [--course "SUBJECT 123"] [--out <cache.json>]
+ *
+ * Example:
+ *   node scripts/ingest-canvas.js exports/canvas/
+ *   node scripts/ingest-canvas.js ~/Downloads/syllabus.html --course "ECON 10A"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const canvas = require('../services/canvas-signals');
+const { ingestFile, mergeEntries } = require('../services/canvas-ingest');
+
+const SUPPORTED = ['.json', '.html', '.htm'];
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const courseId = getArg('--course');
+const outputPath = getArg('--out') ? path.resolve(getArg('--out')) : canvas.cachePath;
+const inputs = process.argv.slice(2).filter((arg, i, args) =>
+  !arg.startsWith('--') && !['--course', '--out'].includes(args[i - 1]));
+
+function collectFiles(input) {
+  const stats = fs.statSync(input);
+  if (!stats.isDirectory()) return [input];
+  return fs.readdirSync(input)
+    .filter(name => SUPPORTED.includes(path.extname(name).toLowerCase()))
+    .map(name => path.join(input, name));
+}
+
+console.log('\n📥 Canvas Ingest\n');
+
+try {
+  if (inputs.length === 0) {
+    throw new Error('No input files. Usage: node scripts/ingest-canvas.js <file-or-directory>... [--course "SUBJECT 123"]');
+  }
+
+  const files = inputs.flatMap(input => collectFiles(path.resolve(input)));
+  if (courseId && files.length > 1) {
+    console.warn(`⚠️  --course ${courseId} applies to all ${files.length} files`);
+  }
+
+  const cache = fs.existsSync(outputPath) ? JSON.parse(fs.readFileSync(outputPath, 'utf8')) : {};
+  let ingested = 0;
+  let failed = 0;
+
+  files.forEach(file => {
+    try {
+      ingestFile(file, { courseId }).forEach(entry => {
+        cache[entry.courseId] = mergeEntries(cache[entry.courseId], entry);
+        const counts = Object.entries(entry.assessments)
+          .filter(([, value]) => value != null)
+          .map(([key, value]) => `${value} ${key}`)
+          .join(', ') || 'no assessment counts';
+        const final = entry.finalExam == null ? 'final unknown' : entry.finalExam ? 'final exam' : 'no final';
+        console.log(`   ✅ ${entry.courseId} ← ${path.basename(file)}: ${final}, ${counts}, ${entry.gradingWeights.length} grading weight(s)`);
+        ingested++;
+      });
+    } catch (err) {
+      console.warn(`   ⚠️  Skipped ${path.basename(file)}: ${err.message}`);
+      failed++;
+    }
+  });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(cache, null, 2) + '\n', 'utf8');
+
+  console.log(`\n📊 Ingested ${ingested} course(s) from ${files.length} file(s)${failed ? `, ${failed} skipped` : ''}`);
+  console.log(`✍️  Wrote ${outputPath} (${Object.keys(cache).length} courses)\n`);
+  if (ingested === 0) process.exit(1);
+} catch (err) {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * HUGems Refresh
+ * Fetches HUGEMS_URL and rewrites data/hugems-cache.json. If the site can't be reached
+ * (or returns no course records) the existing cache is kept and the script exits with 1.
+ * Runs regardless of HUGEMS_MODE.
+ *
+ * Usage:
+ *   node scripts/refresh-hugems.js [--url <url>]
+ */
+
+const { HugemsSource } = require('../services/hugems-source');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+console.log('\n💎 HUGems Refresh\n');
+
+(async () => {
+  try {
+    const source = new HugemsSource({ mode: 'live', url: getArg('--url') || undefined });
+    if (source.url) console.log(`🌐 Fetching ${source.url}`);
+
+    const result = await source.refresh();
+    if (!result.refreshed) {
+      throw new Error(result.error || result.reason);
+    }
+
+    console.log(`📝 Wrote ${result.count} courses to ${source.cachePath}`);
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Course Identity Report
+ * Joins every Q-Report term to the AY catalog on the numeric course ID
+ * (falling back to subject + course number) and writes the rows that
+ * could not be matched, with same-title catalog courses as hints.
+ *
+ * Usage:
+ *   node scripts/resolve-course-ids.js [output.json]
+ *
+ * Example:
+ *   node scripts/resolve-course-ids.js data/reports/unmatched-qreport.json
+ */
+
+const path = require('path');
+const QReportLoader = require('../services/qreport-loader');
+const CatalogAYLoader = require('../services/catalog-ay-loader');
+const { CourseIdentityResolver, DEFAULT_REPORT_PATH } = require('../services/course-identity');
+
+const outputPath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_REPORT_PATH;
+
+console.log('\n🔗 Course Identity Report\n');
+
+try {
+  const qreportLoader = new QReportLoader();
+  const catalogLoader = new CatalogAYLoader();
+
+  const catalogEntries = catalogLoader.loadData();
+  const { terms, byTerm } = qreportLoader.loadAllTerms();
+  const qCourses = terms.flatMap(term => byTerm.get(term));
+
+  const resolver = new CourseIdentityResolver(catalogEntries);
+  const { unmatched, stats } = resolver.resolveAll(qCourses);
+
+  console.log(`\n📊 Results (${terms.join(', ') || 'no Q-Report terms'}):`);
+  console.log(`   Q-Report rows: ${stats.total}`);
+  console.log(`   Matched by course ID: ${stats.byNumericId}`);
+  console.log(`   Matched by code: ${stats.byCode}`);
+  console.log(`   Unmatched: ${stats.unmatched}\n`);
+
+  const written = resolver.writeUnmatchedReport(unmatched, stats, outputPath);
+  console.log(`✍️  Wrote unmatched report: ${written}\n`);
+} catch (err) {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+}
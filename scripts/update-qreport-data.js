@@ -111,10 +111,11 @@ To update Q-Report data manually:
 
 1. Visit: https://qreports.fas.harvard.edu/browse/index
 2. Log in with HarvardKey
-3. Download the Spring ${year} course evaluations CSV
+3. Download the ${term} ${year} course evaluations CSV
 4. Save as: data/qreport-${term.toLowerCase()}-${year}.csv
 
-For now, Georgie will continue using: data/qreport-spring-2025.csv
+Georgie loads every data/qreport-<term>-<year>.csv it finds and uses the
+most recent term for ratings. Keep older exports - they power course trends.
 
 📚 See scrapers/README.md for detailed instructions on Q-Report scraping.
   `);
@@ -123,9 +124,10 @@ For now, Georgie will continue using: data/qreport-spring-2025.csv
   console.log('\n✅ Data update complete!');
   console.log('\n📊 Summary:');
   console.log(`   - Course catalog: ${destCatalog}`);
-  console.log(`   - Q-Report: data/qreport-spring-2025.csv (requires manual update)`);
-  console.log('\n🚀 Restart your server to use the updated data:\n');
-  console.log('   npm start\n');
+  console.log(`   - Q-Report: data/qreport-${term.toLowerCase()}-${year}.csv (requires manual download)`);
+  console.log('\n🔎 Audit the new data before it goes live (fails if it got worse):\n');
+  console.log('   npm run georgie:audit\n');
+  console.log('🚀 A running server reloads the new files automatically (or POST /admin/reload)\n');
 }
 
 main().catch(error => {
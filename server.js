@@ -12,6 +12,7 @@
 
 // Load configuration
 const config = require('./config');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 
@@ -22,6 +23,11 @@ const AgentRegistry = require('./core/AgentRegistry');
 const gemMinerAgent = require('./agents/gem-miner-agent');
 const gemMinerWebhookHandler = require('./webhooks/gem-miner-webhook');
 
+// Course data (catalog + Q-Report), reloaded when the files change
+const datasets = require('./services/dataset-manager');
+const hugems = require('./services/hugems-source');
+const { getCatalogChanges } = require('./services/gem-miner');
+
 // Initialize agent registry
 const agentRegistry = new AgentRegistry();
 agentRegistry.register('gem-miner', gemMinerAgent, gemMinerWebhookHandler);
@@ -38,11 +44,32 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * Require "Authorization: Bearer <ADMIN_TOKEN>" on admin routes
+ * Admin routes are disabled entirely when no token is configured.
+ */
+function requireAdmin(req, res, next) {
+  const expected = config.admin.token;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin routes are disabled (set ADMIN_TOKEN to enable)' });
+  }
+
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const provided = Buffer.from(match ? match[1].trim() : '');
+  const expectedBuffer = Buffer.from(expected);
+  if (provided.length !== expectedBuffer.length || !crypto.timingSafeEqual(provided, expectedBuffer)) {
+    console.warn(`⚠️  Rejected admin request: ${req.method} ${req.path}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
+    dataset: datasets.getStatus(),
     config: {
       hasGeminiApiKey: !!config.gemini.apiKey && !config.gemini.apiKey.includes('your_'),
       hasClaudeApiKey: !!config.claude.apiKey && !config.claude.apiKey.includes('your_'),
@@ -58,13 +85,49 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     description: "Harvard's Q-Report Course Advisor Agent",
     agents: agentRegistry.listAgents(),
+    dataset: summarizeDataset(datasets.getStatus()),
     endpoints: {
       health: 'GET /health',
-      gemMiner: 'POST /webhook/gem-miner'
+      gemMiner: 'POST /webhook/gem-miner',
+      reload: 'POST /admin/reload (admin)',
+      catalogDiff: 'GET /admin/catalog-diff (admin)'
     }
   });
 });
 
+function summarizeDataset(status) {
+  return {
+    version: status.version,
+    loadedAt: status.loadedAt,
+    loadMs: status.loadMs,
+    catalogCourses: status.counts ? status.counts.catalogCourses : 0,
+    qreportRows: status.counts ? status.counts.qreportRows : {}
+  };
+}
+
+// Reload course data from disk and swap it in (returns once the new data is live)
+app.post('/admin/reload', requireAdmin, async (req, res) => {
+  const result = await datasets.reload('admin');
+  res.status(result.reloaded ? 200 : 500).json({
+    ...result,
+    dataset: datasets.getStatus()
+  });
+});
+
+// Catalog changes since the saved previous catalog (?term=2026 Spring, ?course=CS 50)
+app.get('/admin/catalog-diff', requireAdmin, (req, res) => {
+  try {
+    const diff = getCatalogChanges({ term: req.query.term, courseId: req.query.course });
+    if (!diff) {
+      return res.status(404).json({ error: 'No previous catalog saved (run npm run georgie:diff -- --save-previous)' });
+    }
+    res.json(diff);
+  } catch (err) {
+    console.error('❌ Catalog diff failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Gem Miner webhook endpoint
 app.post('/webhook/gem-miner', gemMinerWebhookHandler);
 // Keep old endpoint for backwards compatibility  
@@ -117,11 +180,30 @@ const server = app.listen(PORT, HOST, () => {
   
   console.log(`Webhook Endpoints:`);
   console.log(`  POST /webhook/gem-miner     - Steve the Schedule Helper`);
-  console.log(`  GET  /health                - Health check\n`);
+  console.log(`  GET  /health                - Health check`);
+  console.log(`  POST /admin/reload          - Reload course data (admin)`);
+  console.log(`  GET  /admin/catalog-diff    - Catalog changes since the previous version (admin)\n`);
   console.log(`Configuration:`);
   console.log(`  Gemini API: ${config.gemini.apiKey.includes('your_') ? '❌ Not configured' : '✅ Configured'}`);
   console.log(`  Claude API: ${config.claude.apiKey.includes('your_') ? '❌ Not configured' : '✅ Configured'}`);
-  console.log(`  A1Zap API: ${config.agents.gemMiner.apiKey.includes('your_') ? '❌ Not configured' : '✅ Configured'}\n`);
+  console.log(`  A1Zap API: ${config.agents.gemMiner.apiKey.includes('your_') ? '❌ Not configured' : '✅ Configured'}`);
+  console.log(`  HUGems: ${hugems.mode}`);
+  console.log(`  Admin routes: ${config.admin.token ? '✅ Enabled' : '⚪ Disabled (no ADMIN_TOKEN)'}\n`);
+
+  // Load course data up front so the first chat message doesn't pay for it
+  datasets.reload('startup').then(result => {
+    if (result.reloaded) {
+      console.log(`📦 Course data version ${result.version}`);
+    }
+    // Watching builds the dataset if there isn't one; after a failed startup load that would just fail again
+    if (config.data.watch && datasets.current) {
+      datasets.watch();
+    }
+    // HUGEMS_MODE=live: refresh the HUGems cache; the watcher reloads the data if it changed
+    return hugems.refresh();
+  }).catch(err => {
+    console.error('❌ Startup data load failed:', err.message);
+  });
 });
 
 // Error handling
@@ -133,6 +215,7 @@ server.on('error', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n📴 Shutting down gracefully...');
+  datasets.unwatch();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -141,6 +224,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n📴 Shutting down gracefully...');
+  datasets.unwatch();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -0,0 +1,202 @@
+// Academic Term helpers
+// Parses term labels in the formats our data files use ("2025 Fall", "Spring 2025",
+// "qreport-spring-2025.csv") and orders them chronologically. Also works out which
+// semester students are planning for on a given date, and what "next semester" or
+// "for fall" means in a chat message.
+
+// Order of terms within a calendar year (January term comes first)
+const SEASONS = ['winter', 'spring', 'summer', 'fall'];
+
+// "for fall", "next spring", "fall classes" - a season needs a qualifier or noun to count as a term
+const SEASON_PHRASE = /\b(?:(next|this|for|in|during|the|upcoming)\s+(?:the\s+)?)?(spring|fall|autumn)(?:\s+(semester|term|classes|courses|gems|schedule))?\b/g;
+
+// Semesters students register for (winter/summer terms aren't in the AY catalog)
+const SEMESTERS = ['spring', 'fall'];
+
+const SEASON_ALIASES = {
+  winter: 'winter',
+  'j-term': 'winter',
+  jterm: 'winter',
+  january: 'winter',
+  spring: 'spring',
+  summer: 'summer',
+  fall: 'fall',
+  autumn: 'fall'
+};
+
+/**
+ * Parse a term label into a structured term
+ * Examples:
+ *   "2025 Fall"              => { season: 'fall', year: 2025, label: 'Fall 2025', key: '2025-fall' }
+ *   "Spring 2025"            => { season: 'spring', year: 2025, label: 'Spring 2025', key: '2025-spring' }
+ *   "qreport-spring-2025"    => { season: 'spring', year: 2025, ... }
+ * @param {string|Object} value - Term label (or an already-parsed term)
+ * @returns {Object|null} Parsed term or null if unrecognized
+ */
+function parseTerm(value) {
+  if (!value) return null;
+  if (typeof value === 'object' && value.season && value.year) return value;
+
+  const text = String(value).toLowerCase();
+  const seasonMatch = text.match(/(?:^|[^a-z])(winter|j-?term|january|spring|summer|fall|autumn)(?=[^a-z]|$)/);
+  const yearMatch = text.match(/(?:^|\D)(20\d{2})(?=\D|$)/);
+  if (!seasonMatch || !yearMatch) return null;
+
+  const season = SEASON_ALIASES[seasonMatch[1]];
+  const year = Number(yearMatch[1]);
+  return makeTerm(season, year);
+}
+
+/**
+ * Build a term object from a season and year
+ * @param {string} season - 'winter' | 'spring' | 'summer' | 'fall'
+ * @param {number} year
+ * @returns {Object}
+ */
+function makeTerm(season, year) {
+  const seasonName = season.charAt(0).toUpperCase() + season.slice(1);
+  return {
+    season,
+    year,
+    label: `${seasonName} ${year}`,          // Display format, e.g. "Fall 2025"
+    catalogLabel: `${year} ${seasonName}`,   // AY catalog format, e.g. "2025 Fall"
+    key: `${year}-${season}`,                // File/key format, e.g. "2025-fall"
+    order: year * SEASONS.length + SEASONS.indexOf(season)
+  };
+}
+
+/**
+ * Compare two terms chronologically (usable with Array.prototype.sort)
+ * Unparseable terms sort first.
+ */
+function compareTerms(a, b) {
+  const ta = parseTerm(a);
+  const tb = parseTerm(b);
+  return (ta ? ta.order : -1) - (tb ? tb.order : -1);
+}
+
+/**
+ * Format a term for display ("2025 Fall" => "Fall 2025")
+ * Returns the input unchanged if it can't be parsed.
+ */
+function formatTerm(value) {
+  const term = parseTerm(value);
+  return term ? term.label : (value || '');
+}
+
+/**
+ * Check whether two labels refer to the same term
+ */
+function isSameTerm(a, b) {
+  const ta = parseTerm(a);
+  const tb = parseTerm(b);
+  return !!ta && !!tb && ta.key === tb.key;
+}
+
+/**
+ * Term in progress on a date
+ *   Jan-May => Spring <year>, Jun-Jul => Summer <year>, Aug-Dec => Fall <year>
+ * @param {Date} [date]
+ * @returns {Object}
+ */
+function currentTerm(date = new Date()) {
+  const month = date.getMonth();
+  const year = date.getFullYear();
+  if (month <= 4) return makeTerm('spring', year);
+  if (month <= 6) return makeTerm('summer', year);
+  return makeTerm('fall', year);
+}
+
+/**
+ * Semester students are choosing courses for on a date
+ * Spring registration opens in the fall and runs through add/drop in late January;
+ * from February on, students are planning the next fall.
+ *   Oct-Dec => Spring <year + 1>, Jan => Spring <year>, Feb-Sep => Fall <year>
+ * @param {Date} [date]
+ * @returns {Object}
+ */
+function registrationTerm(date = new Date()) {
+  const month = date.getMonth();
+  const year = date.getFullYear();
+  if (month >= 9) return makeTerm('spring', year + 1);
+  if (month === 0) return makeTerm('spring', year);
+  return makeTerm('fall', year);
+}
+
+/**
+ * The semester after a term ("Fall 2025" => "Spring 2026", "Summer 2026" => "Fall 2026")
+ */
+function nextTerm(value) {
+  const term = parseTerm(value);
+  if (!term) return null;
+  const later = SEMESTERS.find(season => SEASONS.indexOf(season) > SEASONS.indexOf(term.season));
+  return later ? makeTerm(later, term.year) : makeTerm(SEMESTERS[0], term.year + 1);
+}
+
+/**
+ * Find the semester a chat message refers to, if any
+ * Examples (asked in October 2026, during Fall 2026):
+ *   "easy classes for spring 2026"  => Spring 2026
+ *   "gems for next semester"        => Spring 2027
+ *   "what's good this semester"     => Fall 2026
+ *   "fall classes" / "in the fall"  => Fall 2026 (the current or next fall)
+ *   "next fall"                     => Fall 2027
+ * A season on its own ("I don't want to fall behind") isn't treated as a term.
+ * @param {string} text
+ * @param {Date} [date]
+ * @returns {Object|null}
+ */
+function parseTermReference(text, date = new Date()) {
+  const lower = String(text || '').toLowerCase();
+  const explicit = lower.match(/\b(?:(?:spring|fall|autumn)\s+20\d{2}|20\d{2}\s+(?:spring|fall|autumn))\b/);
+  if (explicit) return parseTerm(explicit[0]);
+
+  const current = currentTerm(date);
+  if (/\b(next|upcoming|coming)\s+(semester|term)\b/.test(lower)) return nextTerm(current);
+  if (/\b(this|current)\s+(semester|term)\b/.test(lower)) return current;
+
+  for (const [, qualifier, seasonWord, noun] of lower.matchAll(SEASON_PHRASE)) {
+    if (!qualifier && !noun) continue;
+    const season = SEASON_ALIASES[seasonWord];
+    // The current or next occurrence of the season; "next fall" skips the current one
+    let term = makeTerm(season, current.year);
+    if (term.order < current.order) term = makeTerm(season, current.year + 1);
+    if (qualifier === 'next' && term.order <= current.order) term = makeTerm(season, term.year + 1);
+    return term;
+  }
+  return null;
+}
+
+/**
+ * Closest term we have data for: the wanted term itself, else the latest offering of
+ * the same season, else the latest term available
+ * @param {string|Object} wanted
+ * @param {Array<string>} available - Term labels in any format
+ * @returns {Object|null}
+ */
+function pickAvailableTerm(wanted, available = []) {
+  const target = parseTerm(wanted);
+  const terms = available.map(parseTerm).filter(Boolean).sort((a, b) => a.order - b.order);
+  if (terms.length === 0) return null;
+  if (!target) return terms[terms.length - 1];
+
+  const exact = terms.find(term => term.key === target.key);
+  if (exact) return exact;
+  const sameSeason = terms.filter(term => term.season === target.season);
+  return sameSeason.length > 0 ? sameSeason[sameSeason.length - 1] : terms[terms.length - 1];
+}
+
+module.exports = {
+  SEASONS,
+  SEMESTERS,
+  parseTerm,
+  makeTerm,
+  compareTerms,
+  formatTerm,
+  isSameTerm,
+  currentTerm,
+  registrationTerm,
+  nextTerm,
+  parseTermReference,
+  pickAvailableTerm
+};
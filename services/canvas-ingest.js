@@ -0,0 +1,342 @@
+// Canvas Ingest - turns locally exported Canvas course JSON / syllabus HTML into
+// assessment signals (final exam, problem set / essay / quiz counts, grading weights)
+// for data/canvas-cache.json. Every entry records which file it came from.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { normalizeCourseCode } = require('./course-identity');
+
+// Rough effort per assessment, used for assessmentLightness (1 = lightest, 0 = heaviest)
+const ASSESSMENT_LOAD = { psets: 1, essays: 2, quizzes: 0.5, exams: 3, projects: 2 };
+const FINAL_EXAM_LOAD = 4;
+const MAX_LOAD = 30;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14
+};
+
+const COUNT_KEYS = { pset: 'psets', essay: 'essays', quiz: 'quizzes', exam: 'exams', project: 'projects' };
+
+/**
+ * Classify an assignment or grading line by name
+ * @param {string} name - e.g. "Problem Set 3", "Final Paper", "Midterm Exam"
+ * @returns {string} 'final' | 'exam' | 'quiz' | 'pset' | 'essay' | 'project' | 'participation' | 'other'
+ */
+function classifyAssessment(name) {
+  const text = String(name || '').toLowerCase();
+  if (/\bfinal\s+(paper|essay)\b/.test(text)) return 'essay';
+  if (/\bfinal\s+project\b/.test(text)) return 'project';
+  if (/\bfinal\b/.test(text) && !/\bfinal\s+(draft|reflection|presentation|portfolio)\b/.test(text)) return 'final';
+  if (/\b(midterm|exam|examination|test)s?\b/.test(text)) return 'exam';
+  if (/\b(quiz|quizzes|reading checks?)\b/.test(text)) return 'quiz';
+  if (/\b(problem\s*sets?|p-?sets?|homeworks?|hw\s*\d*|problem sheets?|labs?)\b/.test(text)) return 'pset';
+  if (/\b(essays?|papers?|response papers?|reflections?|writing assignments?)\b/.test(text)) return 'essay';
+  if (/\bprojects?\b/.test(text)) return 'project';
+  if (/\b(participation|attendance|section|discussion)\b/.test(text)) return 'participation';
+  return 'other';
+}
+
+/**
+ * Convert syllabus HTML into plain text, one block element per line
+ */
+function htmlToText(html) {
+  const $ = cheerio.load(String(html || ''));
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('td, th').append(' ');
+  $('p, li, tr, div, h1, h2, h3, h4, h5, h6, table, ul, ol').append('\n');
+  return $.root().text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Find "Label: 40%" / "40% Label" lines in syllabus text
+ * @returns {Array<{label: string, weight: number, category: string}>}
+ */
+function extractGradingWeights(text) {
+  const weights = [];
+  const seen = new Set();
+
+  String(text || '').split('\n').forEach(line => {
+    const labelFirst = line.match(/^[\s\-•*]*([A-Za-z][A-Za-z0-9 &/,'()-]{2,60}?)\s*[:\-–—(]?\s*(\d{1,3}(?:\.\d+)?)\s*%/);
+    const weightFirst = line.match(/^[\s\-•*]*(\d{1,3}(?:\.\d+)?)\s*%\s*[:\-–—]?\s*([A-Za-z][A-Za-z0-9 &/,'()-]{2,60})/);
+    const label = labelFirst ? labelFirst[1] : weightFirst ? weightFirst[2] : null;
+    const weight = Number(labelFirst ? labelFirst[2] : weightFirst ? weightFirst[1] : NaN);
+    if (!label || !(weight > 0 && weight <= 100)) return;
+
+    const cleanLabel = label.replace(/[\s(:\-–—]+$/, '').trim();
+    const key = cleanLabel.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    weights.push({ label: cleanLabel, weight, category: classifyAssessment(cleanLabel) });
+  });
+
+  // A real breakdown adds up to about 100%; anything else is probably prose
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+  return total >= 50 && total <= 110 ? weights : [];
+}
+
+/**
+ * Decide whether the syllabus text says there is a final exam
+ * Each sentence is read on its own. A grading weight for the final ("Final exam: 30%") settles it;
+ * otherwise a "no final" sentence ("There will be no final exam", "In lieu of a final exam, a
+ * final project") beats a mention of one. "No final paper" or "the final exam will not be
+ * cumulative" don't count as no final.
+ * @returns {{finalExam: boolean|null, evidence: string|null}}
+ */
+function detectFinalExam(text) {
+  const sentences = String(text || '').split(/\n|(?<=[.!?;])\s+/).filter(s => s.trim());
+  // "final" on its own means the exam, not a final project/paper/essay
+  const finalExam = 'final(?!\\s+(project|paper|essay|presentation|report|portfolio|assignment))(\\s+exam(ination)?)?\\b';
+  const weighted = new RegExp(`\\bfinal(\\s+exam(ination)?)?\\s*[:\\-–—(]?\\s*\\d{1,3}(\\.\\d+)?\\s*%|\\b\\d{1,3}(\\.\\d+)?\\s*%\\s*[:\\-–—]?\\s*(for\\s+the\\s+)?${finalExam}`, 'i');
+  const negative = new RegExp(`\\b(no|not have an?|without an?|there (is|will be) no|will not (be|have) an?|in lieu of an?|instead of an?|replaces? the)\\s+(in-class\\s+|cumulative\\s+|written\\s+)?${finalExam}`, 'i');
+  const positive = /\b(final\s+exam(ination)?\b|take-home\s+final\b)/i;
+
+  const found = pattern => sentences.find(sentence => pattern.test(sentence));
+  const weightedSentence = found(weighted);
+  if (weightedSentence) return { finalExam: true, evidence: weightedSentence.trim().slice(0, 200) };
+
+  const negativeSentence = found(negative);
+  if (negativeSentence) return { finalExam: false, evidence: negativeSentence.trim().slice(0, 200) };
+
+  const positiveSentence = found(positive);
+  if (positiveSentence) return { finalExam: true, evidence: positiveSentence.trim().slice(0, 200) };
+
+  return { finalExam: null, evidence: null };
+}
+
+/**
+ * Count assessments mentioned in syllabus text ("ten problem sets", "Problem Set 7", "weekly quizzes (12)")
+ * @returns {Object} { psets, essays, quizzes, exams, projects } - null where nothing was found
+ */
+function countAssessmentsInText(text) {
+  const counts = { psets: null, essays: null, quizzes: null, exams: null, projects: null };
+  const number = '(\\d{1,2}|' + Object.keys(NUMBER_WORDS).join('|') + ')';
+  const nouns = {
+    psets: '(?:problem\\s*sets?|p-?sets?|homework\\s+assignments?|homeworks)',
+    essays: '(?:essays?|papers?|response\\s+papers?|writing\\s+assignments?)',
+    quizzes: '(?:quiz(?:zes)?|reading\\s+checks?)',
+    exams: '(?:midterms?|midterm\\s+exams?|exams?|tests?)',
+    projects: '(?:projects?)'
+  };
+  const toNumber = value => (/^\d+$/.test(value) ? Number(value) : NUMBER_WORDS[value.toLowerCase()]);
+  const bump = (key, value) => {
+    if (value > 0 && value <= 40) counts[key] = Math.max(counts[key] || 0, value);
+  };
+
+  Object.entries(nouns).forEach(([key, noun]) => {
+    // "ten problem sets", "two (2) short essays"
+    const counted = new RegExp(`\\b${number}\\s+(?:\\(\\d+\\)\\s+)?(?:[a-z-]+\\s+){0,2}?${noun}\\b`, 'gi');
+    for (const match of text.matchAll(counted)) bump(key, toNumber(match[1]));
+
+    // "Problem Set 7", "Quiz 4", "Essay #3"
+    const numbered = new RegExp(`\\b${noun}\\s*#?\\s*(\\d{1,2})\\b`, 'gi');
+    for (const match of text.matchAll(numbered)) bump(key, Number(match[1]));
+  });
+
+  return counts;
+}
+
+/**
+ * Score how light the assessment load is (1 = lightest)
+ * @returns {number|null} null when nothing is known
+ */
+function computeAssessmentLightness(assessments, finalExam) {
+  const known = Object.values(assessments).some(v => v != null);
+  if (!known && finalExam == null) return null;
+
+  let load = finalExam ? FINAL_EXAM_LOAD : 0;
+  Object.entries(ASSESSMENT_LOAD).forEach(([key, weight]) => {
+    load += (assessments[key] || 0) * weight;
+  });
+  return Math.round(Math.max(0, 1 - load / MAX_LOAD) * 100) / 100;
+}
+
+/**
+ * Extract signals from syllabus HTML
+ * @param {string} html
+ * @returns {Object} { finalExam, assessments, gradingWeights, evidence }
+ */
+function parseSyllabusHtml(html) {
+  const text = htmlToText(html);
+  const gradingWeights = extractGradingWeights(text);
+  const assessments = countAssessmentsInText(text);
+  let { finalExam, evidence } = detectFinalExam(text);
+
+  if (finalExam === null && gradingWeights.length > 0) {
+    // A full grading breakdown that never mentions a final means there isn't one
+    const finalWeight = gradingWeights.find(w => w.category === 'final');
+    finalExam = !!finalWeight;
+    evidence = finalWeight
+      ? `${finalWeight.label}: ${finalWeight.weight}%`
+      : `grading breakdown has no final (${gradingWeights.map(w => w.label).join(', ')})`;
+  }
+
+  return { finalExam, assessments, gradingWeights, evidence: { finalExam: evidence } };
+}
+
+/**
+ * Extract signals from a Canvas course export
+ * Accepts { course, assignments, assignment_groups } or a course object carrying those keys.
+ * @param {Object} data
+ * @returns {Object} { courseCode, title, finalExam, assessments, gradingWeights, evidence }
+ */
+function parseCanvasCourse(data) {
+  const course = data.course || data;
+  const groups = data.assignment_groups || course.assignment_groups || [];
+  const assignments = [
+    ...(data.assignments || course.assignments || []),
+    ...groups.flatMap(g => g.assignments || [])
+  ];
+
+  // Syllabus text gives a baseline; assignment data overrides it where present
+  const fromSyllabus = course.syllabus_body ? parseSyllabusHtml(course.syllabus_body) : null;
+  const assessments = fromSyllabus
+    ? { ...fromSyllabus.assessments }
+    : { psets: null, essays: null, quizzes: null, exams: null, projects: null };
+  let finalExam = fromSyllabus ? fromSyllabus.finalExam : null;
+  let finalEvidence = fromSyllabus ? fromSyllabus.evidence.finalExam : null;
+
+  if (assignments.length > 0) {
+    const seenIds = new Set();
+    const fromAssignments = { psets: 0, essays: 0, quizzes: 0, exams: 0, projects: 0 };
+    let finalAssignment = null;
+
+    assignments.forEach(a => {
+      if (a.id != null && seenIds.has(a.id)) return;
+      if (a.id != null) seenIds.add(a.id);
+      const category = a.is_quiz_assignment || a.quiz_id ? 'quiz' : classifyAssessment(a.name);
+      if (category === 'final') finalAssignment = finalAssignment || a;
+      if (COUNT_KEYS[category]) fromAssignments[COUNT_KEYS[category]]++;
+    });
+
+    Object.assign(assessments, fromAssignments);
+    if (finalAssignment) {
+      finalExam = true;
+      finalEvidence = `assignment "${finalAssignment.name}"`;
+    } else if (finalExam === null) {
+      finalExam = false;
+      finalEvidence = `no final among ${assignments.length} Canvas assignments`;
+    }
+  }
+
+  const groupWeights = groups
+    .filter(g => Number(g.group_weight) > 0)
+    .map(g => ({ label: g.name, weight: Number(g.group_weight), category: classifyAssessment(g.name) }));
+
+  return {
+    courseCode: course.course_code || course.sis_course_id || null,
+    title: course.name || null,
+    finalExam,
+    assessments,
+    gradingWeights: groupWeights.length > 0 ? groupWeights : (fromSyllabus ? fromSyllabus.gradingWeights : []),
+    evidence: { finalExam: finalEvidence }
+  };
+}
+
+/**
+ * Pull a course code out of a Canvas course code or file name
+ *   "COMPSCI 50: Introduction to Computer Science" => "COMPSCI 50"
+ *   "econ-10a-syllabus.html"                       => "ECON 10A"
+ */
+function extractCourseCode(value) {
+  const text = String(value || '').toUpperCase().replace(/[_-]+/g, ' ');
+  const match = text.match(/\b([A-Z&]{2,10})\s*(\d{1,4}[A-Z]{0,3})\b/);
+  return match ? normalizeCourseCode(`${match[1]} ${match[2]}`) : null;
+}
+
+/**
+ * Parse one exported file (.json or .html/.htm)
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.courseId] - Course code to file the signals under (overrides detection)
+ * @returns {Array<Object>} Cache entries (a JSON export may hold several courses)
+ */
+function ingestFile(filePath, options = {}) {
+  const raw = fs.readFileSync(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+  const source = {
+    file: path.basename(filePath),
+    type: ext === '.json' ? 'canvas-json' : 'syllabus-html',
+    sha1: crypto.createHash('sha1').update(raw).digest('hex'),
+    ingestedAt: new Date().toISOString()
+  };
+
+  let parsed;
+  if (ext === '.json') {
+    const data = JSON.parse(raw.toString('utf8'));
+    parsed = (Array.isArray(data) ? data : [data]).map(parseCanvasCourse);
+  } else if (ext === '.html' || ext === '.htm') {
+    parsed = [{ courseCode: null, title: null, ...parseSyllabusHtml(raw.toString('utf8')) }];
+  } else {
+    throw new Error(`Unsupported file type: ${source.file} (expected .json or .html)`);
+  }
+
+  return parsed.map(signal => {
+    const courseId = options.courseId
+      ? normalizeCourseCode(options.courseId)
+      : extractCourseCode(signal.courseCode) || extractCourseCode(path.basename(filePath, ext));
+    if (!courseId) {
+      throw new Error(`Could not tell which course ${source.file} is for - pass --course "SUBJECT 123"`);
+    }
+
+    return {
+      courseId,
+      title: signal.title,
+      finalExam: signal.finalExam,
+      assessments: signal.assessments,
+      gradingWeights: signal.gradingWeights,
+      assessmentLightness: computeAssessmentLightness(signal.assessments, signal.finalExam),
+      evidence: signal.evidence,
+      sources: [source]
+    };
+  });
+}
+
+/**
+ * Combine a new entry with what's already cached for the course.
+ * Known values from the new file win; the file list accumulates (one entry per file).
+ */
+function mergeEntries(existing, entry) {
+  if (!existing) return entry;
+
+  const assessments = { ...existing.assessments };
+  Object.entries(entry.assessments || {}).forEach(([key, value]) => {
+    if (value != null) assessments[key] = value;
+  });
+  const finalExam = entry.finalExam ?? existing.finalExam ?? null;
+  const sources = [
+    ...(existing.sources || []).filter(s => !entry.sources.some(n => n.file === s.file)),
+    ...entry.sources
+  ];
+
+  return {
+    ...existing,
+    title: entry.title || existing.title || null,
+    finalExam,
+    assessments,
+    gradingWeights: entry.gradingWeights.length > 0 ? entry.gradingWeights : (existing.gradingWeights || []),
+    assessmentLightness: computeAssessmentLightness(assessments, finalExam),
+    evidence: entry.finalExam != null ? entry.evidence : existing.evidence,
+    sources
+  };
+}
+
+module.exports = {
+  ingestFile,
+  mergeEntries,
+  parseCanvasCourse,
+  parseSyllabusHtml,
+  classifyAssessment,
+  extractCourseCode,
+  extractGradingWeights,
+  detectFinalExam,
+  countAssessmentsInText,
+  computeAssessmentLightness
+};
@@ -1,17 +1,42 @@
 // Canvas Signals - infer assessment load from Canvas (syllabus/modules) or cache.
+// The cache is built by scripts/ingest-canvas.js (see canvas-ingest.js).
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const { normalizeCourseCode } = require('./course-identity');
 
-const DEFAULT_CACHE_PATH = process.env.CANVAS_CACHE_PATH || path.join(__dirname, '..', 'data', 'canvas-cache.json');
+const DEFAULT_CACHE_PATH = config.data?.canvasCachePath || path.join(__dirname, '..', 'data', 'canvas-cache.json');
 
 class CanvasSignals {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath || DEFAULT_CACHE_PATH;
+  }
+
+  /**
+   * Read the whole cache, keyed by normalized course code
+   */
+  readCache() {
+    if (!fs.existsSync(this.cachePath)) return {};
+    const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+    const byCode = {};
+    Object.entries(data).forEach(([id, signal]) => {
+      byCode[normalizeCourseCode(id)] = signal;
+    });
+    return byCode;
+  }
+
+  /**
+   * Signals for the given course codes
+   * @param {string[]} courseIds - Any format ("COMPSCI 50 001", "CS50"); results are keyed by normalized code
+   * @returns {Promise<Object>} { "COMPSCI 50": { finalExam, assessments, assessmentLightness, ... } }
+   */
   async loadSignals(courseIds = []) {
-    if (!fs.existsSync(DEFAULT_CACHE_PATH)) return {};
     try {
-      const data = JSON.parse(fs.readFileSync(DEFAULT_CACHE_PATH, 'utf8'));
+      const cache = this.readCache();
       const map = {};
       for (const id of courseIds) {
-        if (data[id]) map[id] = data[id];
+        const code = normalizeCourseCode(id);
+        if (cache[code]) map[code] = cache[code];
       }
       return map;
     } catch (e) {
@@ -22,7 +47,3 @@ class CanvasSignals {
 }
 
 module.exports = new CanvasSignals();
-
-
-
-
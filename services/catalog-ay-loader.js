@@ -4,6 +4,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readCsvFile, describeCsvError } = require('./csv-reader');
+const { extractNumericId } = require('./course-identity');
+const CourseStore = require('./course-store');
+const CrossListings = require('./cross-listings');
+const PrerequisiteGraph = require('./prerequisites');
+const { parsePrerequisites } = PrerequisiteGraph;
+const { compareTerms } = require('./academic-term');
+const { parseMeetings, mergeMeetings } = require('./meeting-times');
 
 class CatalogAYLoader {
   constructor(options = {}) {
@@ -11,33 +19,16 @@ class CatalogAYLoader {
                    process.env.CATALOG_AY_CSV_PATH ||
                    path.join(__dirname, '..', 'AY_2025_2026_courses.csv');
     this.cache = null;
+    this.store = null;
+    this.crossListings = null;
+    this.crossListingsSource = null;
+    this.prerequisites = null;
+    this.prerequisitesSource = null;
+    // Rows the loader skipped or altered, for the data audit (see data-audit.js)
+    this.issues = [];
     console.log(`📚 AY Catalog Loader initialized: ${this.csvPath}`);
   }
 
-  /**
-   * Parse CSV line handling quoted fields with proper escaping
-   */
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
   /**
    * Parse meeting time string into structured data
    * Examples:
@@ -107,17 +98,19 @@ class CatalogAYLoader {
     }
 
     try {
-      const content = fs.readFileSync(this.csvPath, 'utf-8');
-      const lines = content.split('\n').filter(l => l.trim());
+      const { headers, rows, errors } = readCsvFile(this.csvPath, { trim: true });
       
-      if (lines.length === 0) {
+      if (headers.length === 0) {
         console.warn('⚠️  AY Catalog CSV is empty');
         return [];
       }
 
-      // Parse header
-      const headerLine = lines[0];
-      const headers = this.parseCSVLine(headerLine);
+      const file = path.basename(this.csvPath);
+      this.issues = errors.map(e => ({ type: 'csvError', file, ...e }));
+      if (errors.length > 0) {
+        console.warn(`⚠️  AY Catalog CSV: ${errors.length} parse problem(s)`);
+        errors.slice(0, 5).forEach(e => console.warn(`   ${describeCsvError(e)}`));
+      }
       
       console.log(`📋 CSV Headers: ${headers.join(', ')}`);
       
@@ -141,13 +134,11 @@ class CatalogAYLoader {
       
       // Parse data rows
       const courses = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        if (!line.trim()) continue;
+      const byOffering = new Map(); // "COMPSCI 50|2025 Fall|123456" => course, for extra meeting rows
+      for (let i = 0; i < rows.length; i++) {
+        const values = rows[i];
 
         try {
-          const values = this.parseCSVLine(line);
-          
           // Extract fields using indices
           const department = values[departmentIdx] || '';
           const subject = values[subjectIdx] || '';
@@ -166,14 +157,39 @@ class CatalogAYLoader {
           
           // Skip table of contents entries and invalid rows
           if (title.includes('HARVARD UNIVERSITY') || title.includes('TABLE OF CONTENTS')) {
+            this.issues.push({ type: 'skippedRow', file, row: i + 2, reason: 'table of contents', title });
             continue;
           }
           
           // Skip rows without a valid course ID
           if (!courseId || courseId.trim() === '') {
+            this.issues.push({
+              type: 'skippedRow',
+              file,
+              row: i + 2,
+              reason: 'missing course_id',
+              courseId: `${subject} ${courseNumber}`.trim(),
+              title,
+              term
+            });
             continue;
           }
           
+          // A second row for the same offering with a different meeting (lecture + Friday section)
+          // adds a meeting block to the course instead of becoming another course
+          const meetings = parseMeetings({ weekdays, startTime, endTime });
+          const offeringKey = [`${subject} ${courseNumber}`.trim(), term.trim(), extractNumericId(courseId)].join('|');
+          const offering = byOffering.get(offeringKey);
+          if (offering && meetings.length > 0) {
+            const blockCount = offering.meetings.length;
+            mergeMeetings(offering.meetings, meetings);
+            if (offering.meetings.length > blockCount) {
+              const raw = `${weekdays} ${startTime} - ${endTime}`;
+              offering.meeting = blockCount > 0 ? `${offering.meeting}; ${raw}` : raw;
+              continue;
+            }
+          }
+
           // Create meeting parsed object from the already-separated fields
           const meetingParsed = {
             weekdays: weekdays.trim() || null,
@@ -195,10 +211,21 @@ class CatalogAYLoader {
         // Remove common words that bleed from description into instructor field (at the end)
         cleanedInstructors = cleanedInstructors.replace(/\s+(How|What|This|In|The|A|An|Is|Are|Was|Were|Do|Does|Did|Field|Course|Students|Topics|Instructor|Professor|We|It|For|To|From|With|By|At|On|Of|And|Or|But|As|Can|Could|Will|Would|Big|Small|Large|Many|Some|All|Each|Every|Most)$/i, '');
       }
+      if (cleanedInstructors !== instructors.trim()) {
+        this.issues.push({
+          type: 'instructorsCleaned',
+          file,
+          row: i + 2,
+          courseId: `${subject} ${courseNumber}`.trim(),
+          original: instructors.trim(),
+          cleaned: cleanedInstructors
+        });
+      }
       
       // Create course object
       const course = {
         courseId: `${subject} ${courseNumber}`.trim(),
+        numericId: extractNumericId(courseId), // Stable ID shared with Q-Report (e.g. 222126)
         subject: subject.trim(),
         courseNumber: courseNumber.trim(),
         title: title.trim(),
@@ -210,19 +237,29 @@ class CatalogAYLoader {
         weekdays: weekdays.trim(),
         startTime: startTime.trim(),
         endTime: endTime.trim(),
+        // Structured blocks: [{ days: bitmask, start: minutes, end: minutes }] (see meeting-times.js)
+        meetings,
         instructors: cleanedInstructors,
         distribution: distribution.trim(),
         requirements: requirements.trim(),
-        description: description.trim()
+        description: description.trim(),
+        sourceRow: i + 2 // CSV row (1 = header), for data audit reports
       };
           
           courses.push(course);
+          if (!byOffering.has(offeringKey)) byOffering.set(offeringKey, course);
           
         } catch (err) {
-          console.warn(`⚠️  Failed to parse line ${i + 1}: ${err.message}`);
+          console.warn(`⚠️  Failed to parse row ${i + 2}: ${err.message}`);
         }
       }
 
+      // Requirement text names courses by subject ("Gov 50"), so parse once every subject is known
+      const subjects = new Set(courses.map(c => c.subject).filter(Boolean));
+      courses.forEach(course => {
+        course.prerequisites = parsePrerequisites(course.requirements, { subjects });
+      });
+
       console.log(`✅ AY Catalog: Loaded ${courses.length} courses from CSV`);
       this.cache = courses;
       return courses;
@@ -234,90 +271,104 @@ class CatalogAYLoader {
   }
 
   /**
-   * Get all courses for a specific term
+   * Parsed rows and issues, for the dataset snapshot (see dataset-snapshot.js)
+   */
+  toSnapshot() {
+    return { courses: this.cache || this.loadData(), issues: this.issues };
+  }
+
+  /**
+   * Use rows from a dataset snapshot instead of parsing the CSV
+   * @param {{courses: Array, issues: Array}} snapshot - From toSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    this.cache = snapshot.courses;
+    this.issues = snapshot.issues || [];
+    console.log(`✅ AY Catalog: Restored ${this.cache.length} courses from snapshot`);
+  }
+
+  /**
+   * Indexed view of the catalog, built once per load (see course-store.js)
+   * @returns {CourseStore}
+   */
+  getStore() {
+    const courses = this.cache || this.loadData();
+    if (!this.store || this.store.all() !== courses) {
+      this.store = new CourseStore(courses);
+      console.log(`🗂️  AY Catalog: Indexed ${this.store.size} courses`);
+    }
+    return this.store;
+  }
+
+  /**
+   * Courses offered under several codes (NEURO 141 / PHYSICS 141), grouped
+   * @returns {CrossListings}
+   */
+  getCrossListings() {
+    const courses = this.getStore().all();
+    if (!this.crossListings || this.crossListingsSource !== courses) {
+      this.crossListings = new CrossListings(courses);
+      this.crossListingsSource = courses;
+      console.log(`🔀 AY Catalog: ${this.crossListings.size} cross-listed courses`);
+    }
+    return this.crossListings;
+  }
+
+  /**
+   * Get all courses for a specific term ("2026 Spring", "Spring 2026", or just "2026")
    */
   getCoursesByTerm(term) {
-    const courses = this.loadData();
-    return courses.filter(c => c.term.toLowerCase().includes(term.toLowerCase()));
+    return this.getStore().getByTerm(term);
+  }
+
+  /**
+   * Prerequisite lookups in both directions ("what do I need before X", "what does X unlock")
+   * @returns {PrerequisiteGraph}
+   */
+  getPrerequisites() {
+    const courses = this.getStore().all();
+    if (!this.prerequisites || this.prerequisitesSource !== courses) {
+      this.prerequisites = new PrerequisiteGraph(courses, this.getCrossListings());
+      this.prerequisitesSource = courses;
+    }
+    return this.prerequisites;
+  }
+
+  /**
+   * Terms in the catalog, oldest first (e.g. ["2025 Fall", "2026 Spring"])
+   */
+  getTerms() {
+    const courses = this.cache || this.loadData();
+    return Array.from(new Set(courses.map(c => c.term).filter(Boolean))).sort(compareTerms);
   }
 
   /**
    * Get all courses by department/subject
    */
   getCoursesBySubject(subject) {
-    const courses = this.loadData();
-    const subjectUpper = subject.toUpperCase();
-    return courses.filter(c => 
-      c.subject.toUpperCase() === subjectUpper ||
-      c.subject.toUpperCase().includes(subjectUpper)
-    );
+    return this.getStore().getBySubject(subject);
   }
 
   /**
-   * Get courses by weekday pattern (e.g., "Tue/Thu", "Mon/Wed/Fri")
+   * Get courses by weekday pattern (e.g., "Tue/Thu", "Mon/Wed/Fri") or a single day ("tue")
    */
   getCoursesByWeekdays(weekdayPattern) {
-    const courses = this.loadData();
-    const pattern = weekdayPattern.toLowerCase();
-    return courses.filter(c => {
-      if (!c.meetingParsed || !c.meetingParsed.weekdays) return false;
-      const weekdays = c.meetingParsed.weekdays.toLowerCase();
-      return weekdays.includes(pattern) || pattern.includes(weekdays);
-    });
+    return this.getStore().getByWeekdays(weekdayPattern);
   }
 
   /**
-   * Search courses by keyword in title or description
+   * Search courses by keyword in title or description, best matches first
    */
   searchCourses(keyword) {
-    const courses = this.loadData();
-    const lowerKeyword = keyword.toLowerCase();
-    return courses.filter(c =>
-      c.title.toLowerCase().includes(lowerKeyword) ||
-      c.description.toLowerCase().includes(lowerKeyword)
-    );
+    return this.getStore().search(keyword).map(hit => hit.course);
   }
 
   /**
-   * Get course by exact course ID
+   * Get course by course code or numeric course ID
+   * Section numbers and subject aliases are ignored ("CS 50" and "COMPSCI 50 001" both find "COMPSCI 50")
    */
   getCourseById(courseId) {
-    if (!courseId) return undefined;
-    
-    const courses = this.loadData();
-    const searchId = courseId.toUpperCase().trim();
-    
-    // Try exact match first
-    let course = courses.find(c => 
-      c.courseId.toUpperCase().trim() === searchId
-    );
-    
-    if (course) return course;
-    
-    // Try matching without section numbers (e.g., "COMPSCI 50 001" matches "COMPSCI 50")
-    course = courses.find(c => {
-      const cId = c.courseId.toUpperCase().trim();
-      return cId === searchId || cId.startsWith(searchId + ' ');
-    });
-    
-    if (course) return course;
-    
-    // Try CS/COMPSCI variations (e.g., "CS 50" matches "COMPSCI 50")
-    if (searchId.startsWith('CS ')) {
-      const compsciId = searchId.replace('CS ', 'COMPSCI ');
-      course = courses.find(c => {
-        const cId = c.courseId.toUpperCase().trim();
-        return cId === compsciId || cId.startsWith(compsciId + ' ');
-      });
-    } else if (searchId.startsWith('COMPSCI ')) {
-      const csId = searchId.replace('COMPSCI ', 'CS ');
-      course = courses.find(c => {
-        const cId = c.courseId.toUpperCase().trim();
-        return cId === csId || cId.startsWith(csId + ' ');
-      });
-    }
-    
-    return course;
+    return this.getStore().getById(courseId)[0];
   }
 }
 
@@ -0,0 +1,302 @@
+// Catalog Diff - what changed between two versions of the AY catalog
+// Courses are keyed by numeric course ID (course code when there is none) plus season, so
+// "2025 Fall" lines up with "2026 Fall" when next year's CSV replaces this one, and a
+// renumbered course shows up as a code change rather than a removal and an addition.
+// Compared: meeting times, instructors, GenEd status and the course code.
+// The previous catalog is kept as a small JSON snapshot (data/catalog-previous.json).
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const CatalogAYLoader = require('./catalog-ay-loader');
+const { normalizeCourseCode } = require('./course-identity');
+const { parseTerm } = require('./academic-term');
+const { meetingsOf, formatMeetings } = require('./meeting-times');
+const { getGenEdCategory } = require('./gened-categories');
+
+const REPORTS_DIR = path.join(__dirname, '..', 'data', 'reports');
+const DEFAULT_PREVIOUS_PATH = config.data?.previousCatalogPath || path.join(__dirname, '..', 'data', 'catalog-previous.json');
+
+// Fields compared between versions, with the label used in reports and chat
+const FIELDS = {
+  meetings: 'Meeting time',
+  instructors: 'Instructors',
+  genEd: 'GenEd status',
+  courseId: 'Course code'
+};
+
+/**
+ * Instructor names in a stable order, so "Doe, Smith" and "Smith and Doe" compare equal
+ */
+function normalizeInstructors(instructors) {
+  const names = String(instructors || '')
+    .split(/\s*(?:,|;|\band\b|&)\s*/i)
+    .map(name => name.trim())
+    .filter(name => name.length > 1);
+  return names.length > 0 ? names.sort().join(', ') : null;
+}
+
+/**
+ * "GenEd (Ethics and Civics)" for GENED courses, null otherwise
+ */
+function genEdStatus(entry) {
+  if (String(entry.subject || entry.courseId || '').toUpperCase().split(' ')[0] !== 'GENED') return null;
+  const category = getGenEdCategory(normalizeCourseCode(entry.courseId));
+  return category ? `GenEd (${category})` : 'GenEd';
+}
+
+/**
+ * The fields of a catalog entry the diff looks at
+ */
+function summarizeEntry(entry) {
+  const meetings = meetingsOf(entry);
+  return {
+    numericId: entry.numericId || null,
+    courseId: normalizeCourseCode(entry.courseId),
+    title: entry.title || null,
+    term: entry.term || null,
+    meetings: meetings.length > 0 ? formatMeetings(meetings) : (entry.meeting || null),
+    instructors: normalizeInstructors(entry.instructors),
+    genEd: genEdStatus(entry)
+  };
+}
+
+/**
+ * Snapshot of a catalog for later comparison
+ * @param {Array} entries - Catalog entries (CatalogAYLoader rows)
+ * @param {string} label - e.g. the CSV file name
+ */
+function catalogSnapshot(entries, label) {
+  return {
+    label,
+    savedAt: new Date().toISOString(),
+    courses: entries.map(summarizeEntry)
+  };
+}
+
+/**
+ * Load a catalog to compare from a catalog CSV, a saved catalog snapshot or a dataset snapshot
+ * @param {string} filePath
+ * @returns {{label: string, savedAt: string|null, courses: Array}}
+ */
+function loadCatalogSnapshot(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    if (!fs.existsSync(filePath)) throw new Error(`Catalog CSV not found: ${filePath}`);
+    const loader = new CatalogAYLoader({ csvPath: filePath });
+    return { ...catalogSnapshot(loader.loadData(), path.basename(filePath)), savedAt: null };
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  // Dataset snapshot from npm run build (full catalog entries)
+  if (data.catalog?.courses) {
+    return { ...catalogSnapshot(data.catalog.courses, path.basename(filePath)), savedAt: data.builtAt || null };
+  }
+  if (!Array.isArray(data.courses)) throw new Error(`${filePath} is not a catalog snapshot`);
+  return data;
+}
+
+/**
+ * The saved previous catalog, or null if there isn't one
+ */
+function loadPreviousCatalog(filePath = DEFAULT_PREVIOUS_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  return loadCatalogSnapshot(filePath);
+}
+
+/**
+ * Save a catalog as the one later diffs compare against
+ */
+function writePreviousCatalog(snapshot, filePath = DEFAULT_PREVIOUS_PATH) {
+  fs.writeFileSync(filePath, JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }) + '\n', 'utf8');
+  return filePath;
+}
+
+/**
+ * Diff key: numeric ID (or code) + season
+ */
+function keyOf(course) {
+  const term = parseTerm(course.term);
+  return `${course.numericId || `code:${course.courseId}`}|${term ? term.season : course.term || ''}`;
+}
+
+/**
+ * Courses by diff key. Rows sharing an ID in the same season (cross-listings, sections) are all
+ * keyed by code too, and rows with the same code are numbered in content order, so how they
+ * pair up doesn't depend on the row order of the export.
+ */
+function indexCourses(courses) {
+  const groups = new Map();
+  courses.forEach(course => {
+    const key = keyOf(course);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(course);
+  });
+
+  const signature = course => [course.courseId, course.meetings, course.instructors, course.title].join('|');
+  const byKey = new Map();
+  groups.forEach((group, key) => {
+    if (group.length === 1) {
+      byKey.set(key, group[0]);
+      return;
+    }
+    const seen = new Map();
+    [...group].sort((a, b) => signature(a).localeCompare(signature(b))).forEach(course => {
+      const count = (seen.get(course.courseId) || 0) + 1;
+      seen.set(course.courseId, count);
+      byKey.set(`${key}|${course.courseId}${count > 1 ? `#${count}` : ''}`, course);
+    });
+  });
+  return byKey;
+}
+
+/**
+ * Counts by kind of change
+ */
+function summarize(added, removed, changed) {
+  const summary = { added: added.length, removed: removed.length, changed: changed.length };
+  Object.keys(FIELDS).forEach(field => {
+    summary[field] = changed.filter(c => c.changes[field]).length;
+  });
+  return summary;
+}
+
+/**
+ * Compare two catalog snapshots
+ * @param {Object} before - From loadCatalogSnapshot / catalogSnapshot
+ * @param {Object} after
+ * @returns {Object} { before, after, added, removed, changed, summary }
+ *   changed: [{ ...course, changes: { meetings: { from, to }, ... } }]
+ */
+function diffCatalogs(before, after) {
+  const oldCourses = indexCourses(before.courses);
+  const newCourses = indexCourses(after.courses);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  newCourses.forEach((course, key) => {
+    const previous = oldCourses.get(key);
+    if (!previous) {
+      added.push(course);
+      return;
+    }
+    const changes = {};
+    Object.keys(FIELDS).forEach(field => {
+      if ((previous[field] || null) !== (course[field] || null)) {
+        changes[field] = { from: previous[field] || null, to: course[field] || null };
+      }
+    });
+    if (Object.keys(changes).length > 0) changed.push({ ...course, changes });
+  });
+  oldCourses.forEach((course, key) => {
+    if (!newCourses.has(key)) removed.push(course);
+  });
+
+  const byCode = (a, b) => a.courseId.localeCompare(b.courseId, undefined, { numeric: true });
+  added.sort(byCode);
+  removed.sort(byCode);
+  changed.sort(byCode);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    before: { label: before.label, savedAt: before.savedAt || null, courses: before.courses.length },
+    after: { label: after.label, savedAt: after.savedAt || null, courses: after.courses.length },
+    added,
+    removed,
+    changed,
+    summary: summarize(added, removed, changed)
+  };
+}
+
+/**
+ * Narrow a diff to one catalog term and/or one course
+ * @param {Object} diff - From diffCatalogs
+ * @param {Object} [options]
+ * @param {string} [options.term] - Catalog term ("2026 Spring"); removed courses match on season
+ * @param {string} [options.courseId] - Any code the course is listed under
+ */
+function filterDiff(diff, options = {}) {
+  const term = options.term ? parseTerm(options.term) : null;
+  const code = options.courseId ? normalizeCourseCode(options.courseId) : null;
+
+  const inTerm = (course, sameSeasonOnly) => {
+    if (!term) return true;
+    const courseTerm = parseTerm(course.term);
+    if (!courseTerm) return false;
+    return sameSeasonOnly ? courseTerm.season === term.season : courseTerm.key === term.key;
+  };
+  const isCourse = course => !code || course.courseId === code ||
+    (course.changes?.courseId && course.changes.courseId.from === code);
+
+  const added = diff.added.filter(c => inTerm(c) && isCourse(c));
+  const removed = diff.removed.filter(c => inTerm(c, true) && isCourse(c));
+  const changed = diff.changed.filter(c => inTerm(c) && isCourse(c));
+  return { ...diff, added, removed, changed, summary: summarize(added, removed, changed) };
+}
+
+/**
+ * One line per change: "Meeting time: Mon/Wed 10:30 AM-11:45 AM → Tue/Thu 12:00 PM-1:15 PM"
+ */
+function describeChanges(changes) {
+  return Object.entries(changes).map(([field, { from, to }]) => `${FIELDS[field]}: ${from || 'none'} → ${to || 'none'}`);
+}
+
+/**
+ * Render a diff as Markdown (up to `limit` courses per section)
+ */
+function formatMarkdown(diff, limit = 100) {
+  const describe = c => `${c.courseId} "${c.title}" (${c.term || 'no term'})`;
+  const lines = [
+    '# Catalog Diff',
+    '',
+    `Generated: ${diff.generatedAt}`,
+    '',
+    `- Before: \`${diff.before.label}\` (${diff.before.courses} courses)`,
+    `- After: \`${diff.after.label}\` (${diff.after.courses} courses)`,
+    '',
+    '| Change | Count |',
+    '| --- | --- |',
+    `| Added | ${diff.summary.added} |`,
+    `| Removed | ${diff.summary.removed} |`,
+    ...Object.entries(FIELDS).map(([field, title]) => `| ${title} changed | ${diff.summary[field]} |`)
+  ];
+
+  const section = (title, rows, render) => {
+    if (rows.length === 0) return;
+    lines.push('', `## ${title} (${rows.length})`, '');
+    rows.slice(0, limit).forEach(row => lines.push(`- ${render(row)}`));
+    if (rows.length > limit) lines.push(`- ...and ${rows.length - limit} more (see the JSON report)`);
+  };
+  section('Added', diff.added, describe);
+  section('Removed', diff.removed, describe);
+  section('Changed', diff.changed, c => `${describe(c)}: ${describeChanges(c.changes).join('; ')}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the diff as JSON + Markdown to data/reports/
+ */
+function writeReport(diff, dir = REPORTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, 'catalog-diff.json');
+  const markdownPath = path.join(dir, 'catalog-diff.md');
+  fs.writeFileSync(jsonPath, JSON.stringify(diff, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(markdownPath, formatMarkdown(diff), 'utf8');
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_PREVIOUS_PATH,
+  catalogSnapshot,
+  loadCatalogSnapshot,
+  loadPreviousCatalog,
+  writePreviousCatalog,
+  diffCatalogs,
+  filterDiff,
+  describeChanges,
+  formatMarkdown,
+  writeReport
+};
@@ -0,0 +1,193 @@
+// Comment Corpus - student comments from every Q-Report export, searchable by phrase
+// Each export row carries three comments: the most positive (best_comment / max_sent_score),
+// the most critical (worse_comment / min_sent_score) and the one most likely to call the
+// course a gem (best_gem_comment / max_gem_probability). QReportLoader keeps all three on
+// `comments`; the corpus indexes them so "which classes do students call life-changing"
+// can be answered, and balancedQuotes() pairs a positive quote with a critical one.
+
+const { normalizeCourseCode } = require('./course-identity');
+const { tokenize } = require('./course-store');
+
+// Q-Report columns for each kind of comment, and the score column that goes with it
+const COMMENT_COLUMNS = {
+  positive: { text: 'best_comment', score: 'max_sent_score', scoreField: 'sentiment' },
+  critical: { text: 'worse_comment', score: 'min_sent_score', scoreField: 'sentiment' },
+  gem: { text: 'best_gem_comment', score: 'max_gem_probability', scoreField: 'gemProbability' }
+};
+
+// A gem comment at least this likely to be calling the course a gem counts toward GemScore
+const GEM_COMMENT_THRESHOLD = 0.8;
+
+/**
+ * Comment objects for one Q-Report row
+ * @param {Function} read - (column) => raw value or null
+ * @returns {Array} [{ kind, text, sentiment?, gemProbability? }], empty comments left out
+ */
+function parseComments(read) {
+  const comments = [];
+  Object.entries(COMMENT_COLUMNS).forEach(([kind, { text, score, scoreField }]) => {
+    const value = String(read(text) || '').trim();
+    if (!value) return;
+    const num = parseFloat(read(score));
+    comments.push({ kind, text: value, [scoreField]: isNaN(num) ? null : num });
+  });
+  return comments;
+}
+
+/**
+ * One positive and one critical quote for a course
+ * The critical quote is only used when its sentiment is actually negative.
+ * @param {Array} comments - A course's `comments`
+ * @returns {{positive: Object|null, critical: Object|null}}
+ */
+function balancedQuotes(comments) {
+  const byKind = kind => (comments || []).find(c => c.kind === kind) || null;
+  const positive = byKind('positive') || byKind('gem');
+  const critical = byKind('critical');
+  return {
+    positive,
+    critical: critical && (critical.sentiment == null || critical.sentiment < 0) && critical.text !== positive?.text
+      ? critical
+      : null
+  };
+}
+
+/**
+ * Whether students' gem comment for a course really calls it one (see GEM_COMMENT_THRESHOLD)
+ */
+function hasGemComment(comments) {
+  return (comments || []).some(c => c.kind === 'gem' && (c.gemProbability ?? 0) >= GEM_COMMENT_THRESHOLD);
+}
+
+/**
+ * A comment shortened to `maxLength` characters, centred on `phrase` when it appears
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @param {string} [phrase] - e.g. the search phrase, so the quote shows why it matched
+ */
+function excerpt(text, maxLength = 200, phrase = null) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  const words = normalizePhrase(phrase).split(' ').filter(Boolean);
+  const match = words.length > 0 ? clean.match(new RegExp(words.join('[^a-z0-9]+'), 'i')) : null;
+  const start = match ? Math.max(0, Math.min(match.index - Math.floor(maxLength / 3), clean.length - maxLength)) : 0;
+  const end = start + maxLength;
+  return `${start > 0 ? '...' : ''}${clean.slice(start, end).trim()}${end < clean.length ? '...' : ''}`;
+}
+
+/**
+ * Lowercase words joined by single spaces, so "life-changing" matches "life changing"
+ */
+function normalizePhrase(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Exact phrase matches first, then by score
+ */
+function compareHits(a, b) {
+  return (b.exact - a.exact) || (b.score - a.score);
+}
+
+class CommentCorpus {
+  /**
+   * @param {Array} courses - Q-Report rows (or merged records) with `comments`
+   */
+  constructor(courses = []) {
+    this.comments = [];
+    this.tokenIndex = new Map();  // token => Map(comment idx => count)
+    this.byCourse = new Map();    // course code => [comment idx]
+
+    // Sections of one course repeat the same comments
+    const seen = new Set();
+    courses.forEach(course => {
+      (course.comments || []).forEach(comment => {
+        const courseId = normalizeCourseCode(course.courseId);
+        const key = `${courseId}|${course.term}|${comment.text}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        this.add({ ...comment, courseId, numericId: course.numericId || null, title: course.title, term: course.term || null });
+      });
+    });
+  }
+
+  add(comment) {
+    const idx = this.comments.length;
+    this.comments.push({ ...comment, phrase: normalizePhrase(comment.text) });
+
+    if (!this.byCourse.has(comment.courseId)) this.byCourse.set(comment.courseId, []);
+    this.byCourse.get(comment.courseId).push(idx);
+
+    tokenize(comment.text).forEach(token => {
+      if (!this.tokenIndex.has(token)) this.tokenIndex.set(token, new Map());
+      const postings = this.tokenIndex.get(token);
+      postings.set(idx, (postings.get(idx) || 0) + 1);
+    });
+  }
+
+  get size() {
+    return this.comments.length;
+  }
+
+  /**
+   * Every comment kept for a course ("CS 50" and "COMPSCI 50" both work)
+   */
+  forCourse(courseId) {
+    return (this.byCourse.get(normalizeCourseCode(courseId)) || []).map(idx => this.format(this.comments[idx]));
+  }
+
+  /**
+   * Courses whose comments match a phrase, best comment per course
+   * Every word has to appear in the comment; comments with the exact phrase rank first.
+   * @param {string} text - e.g. "life-changing"
+   * @param {Object} [options]
+   * @param {string} [options.kind] - Only 'positive', 'critical' or 'gem' comments
+   * @param {number} [options.limit] - Max courses to return
+   * @returns {Array} [{ courseId, numericId, title, term, kind, text, sentiment?, gemProbability?, exact, score }]
+   */
+  search(text, options = {}) {
+    const queryTokens = Array.from(new Set(tokenize(text)));
+    if (queryTokens.length === 0) return [];
+
+    const total = this.comments.length;
+    const scores = new Map();
+    const matched = new Map();
+    queryTokens.forEach(token => {
+      const postings = this.tokenIndex.get(token);
+      if (!postings) return;
+      const idf = Math.log(1 + total / postings.size);
+      postings.forEach((tf, idx) => {
+        scores.set(idx, (scores.get(idx) || 0) + (1 + Math.log(tf)) * idf);
+        matched.set(idx, (matched.get(idx) || 0) + 1);
+      });
+    });
+
+    const phrase = normalizePhrase(text);
+    const bestByCourse = new Map();
+    scores.forEach((score, idx) => {
+      const comment = this.comments[idx];
+      if (matched.get(idx) !== queryTokens.length) return;
+      if (options.kind && comment.kind !== options.kind) return;
+      const hit = { ...this.format(comment), exact: comment.phrase.includes(phrase), score };
+      const best = bestByCourse.get(comment.courseId);
+      if (!best || compareHits(hit, best) < 0) bestByCourse.set(comment.courseId, hit);
+    });
+
+    const hits = Array.from(bestByCourse.values()).sort(compareHits);
+    return options.limit ? hits.slice(0, options.limit) : hits;
+  }
+
+  format(comment) {
+    const { phrase, ...rest } = comment;
+    return rest;
+  }
+}
+
+module.exports = CommentCorpus;
+module.exports.COMMENT_COLUMNS = COMMENT_COLUMNS;
+module.exports.GEM_COMMENT_THRESHOLD = GEM_COMMENT_THRESHOLD;
+module.exports.parseComments = parseComments;
+module.exports.balancedQuotes = balancedQuotes;
+module.exports.hasGemComment = hasGemComment;
+module.exports.excerpt = excerpt;
@@ -0,0 +1,231 @@
+// Course Identity Resolver
+// Joins Q-Report rows to catalog rows on the stable numeric course ID (e.g. 222126),
+// falling back to subject + course number when the ID is missing or unknown.
+// Renumbered and cross-listed courses keep their ratings this way.
+
+const fs = require('fs');
+const path = require('path');
+const { compareTerms } = require('./academic-term');
+
+const DEFAULT_REPORT_PATH = path.join(__dirname, '..', 'data', 'reports', 'unmatched-qreport.json');
+
+// Subject codes students (and older exports) use that differ from the catalog's
+const SUBJECT_ALIASES = {
+  CS: 'COMPSCI'
+};
+
+/**
+ * Pull the numeric course ID out of a catalog/Q-Report value
+ * Examples:
+ *   "222126"                   => "222126"
+ *   "FAS-222126-2252-1-1-001"  => "222126"
+ * @param {string} value
+ * @returns {string|null}
+ */
+function extractNumericId(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return text;
+  const match = text.match(/^[A-Z]+-(\d+)-/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalize a course code for comparison
+ * Strips section numbers and maps subject aliases:
+ *   "COMPSCI 50 001" => "COMPSCI 50"
+ *   "HIST 86 (1)"    => "HIST 86"
+ *   "cs50"           => "COMPSCI 50"
+ * Course numbers like "APMTH 120" are left alone.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCourseCode(code) {
+  if (!code) return '';
+  let normalized = String(code).toUpperCase()
+    .replace(/\s*\([^)]*\)\s*$/, '')   // "(1)", "(0001)", "(SEM)" section suffixes
+    .replace(/\s+0\d{2}$/, '')         // " 001"-style section numbers
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // "CS50" => "CS 50"
+  normalized = normalized.replace(/^([A-Z&-]+?)(\d)/, '$1 $2');
+
+  const [subject, ...rest] = normalized.split(' ');
+  if (SUBJECT_ALIASES[subject]) {
+    normalized = [SUBJECT_ALIASES[subject], ...rest].join(' ');
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a title for loose comparison (drops section suffixes and punctuation)
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/\s+\d{3}\s*$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+class CourseIdentityResolver {
+  /**
+   * @param {Array} catalogEntries - Courses from CatalogAYLoader
+   */
+  constructor(catalogEntries = []) {
+    this.byNumericId = new Map();
+    this.byCode = new Map();
+    this.byTitle = new Map();
+
+    catalogEntries.forEach(entry => {
+      addToIndex(this.byNumericId, entry.numericId, entry);
+      addToIndex(this.byCode, normalizeCourseCode(entry.courseId), entry);
+      addToIndex(this.byTitle, normalizeTitle(entry.title), entry);
+    });
+  }
+
+  /**
+   * Find the catalog entry for a Q-Report row
+   * @param {Object} qCourse - Course from QReportLoader
+   * @returns {{entry: Object|null, matchedBy: 'numericId'|'code'|null}}
+   */
+  resolve(qCourse) {
+    const code = normalizeCourseCode(qCourse.courseId);
+
+    const byId = qCourse.numericId ? this.byNumericId.get(qCourse.numericId) : null;
+    if (byId) {
+      return { entry: pickEntry(byId, code), matchedBy: 'numericId' };
+    }
+
+    const byCode = this.byCode.get(code);
+    if (byCode) {
+      return { entry: pickEntry(byCode, code), matchedBy: 'code' };
+    }
+
+    return { entry: null, matchedBy: null };
+  }
+
+  /**
+   * Resolve a batch of Q-Report rows
+   * @param {Array} qCourses
+   * @returns {{matches: Map<Object, Object>, unmatched: Array, stats: Object}}
+   */
+  resolveAll(qCourses) {
+    const matches = new Map();
+    const unmatched = [];
+    const stats = { total: qCourses.length, byNumericId: 0, byCode: 0, unmatched: 0 };
+
+    qCourses.forEach(q => {
+      const result = this.resolve(q);
+      if (result.entry) {
+        matches.set(q, result);
+        stats[result.matchedBy === 'numericId' ? 'byNumericId' : 'byCode']++;
+      } else {
+        unmatched.push(q);
+        stats.unmatched++;
+      }
+    });
+
+    return { matches, unmatched, stats };
+  }
+
+  /**
+   * Look up catalog entries by course code or numeric ID
+   * @param {string} codeOrId - "COMPSCI 50", "CS50", or "222126"
+   * @returns {Array} Matching catalog entries (most recent term first)
+   */
+  findCatalogEntries(codeOrId) {
+    const numericId = extractNumericId(codeOrId);
+    const entries = (numericId && this.byNumericId.get(numericId)) ||
+                    this.byCode.get(normalizeCourseCode(codeOrId)) ||
+                    [];
+    return [...entries].sort((a, b) => compareTerms(b.term, a.term));
+  }
+
+  /**
+   * Describe why each unmatched row failed, with same-title catalog courses as hints
+   * @param {Array} unmatched - Q-Report rows from resolveAll
+   * @returns {Array}
+   */
+  describeUnmatched(unmatched) {
+    const seen = new Set();
+    const rows = [];
+
+    unmatched.forEach(q => {
+      const key = `${q.numericId || ''}|${q.courseId}|${q.term || ''}`;
+      if (seen.has(key)) return; // One row per instructor in the export
+      seen.add(key);
+
+      const code = normalizeCourseCode(q.courseId);
+      const reasons = [];
+      reasons.push(q.numericId
+        ? `numeric ID ${q.numericId} not in catalog`
+        : 'no numeric ID in Q-Report row');
+      reasons.push(`no catalog course coded ${code}`);
+
+      const candidates = (this.byTitle.get(normalizeTitle(q.title)) || []).map(entry => ({
+        courseId: entry.courseId,
+        numericId: entry.numericId,
+        term: entry.term
+      }));
+
+      rows.push({
+        courseId: q.courseId,
+        title: q.title,
+        numericId: q.numericId || null,
+        term: q.term || null,
+        reason: reasons.join('; '),
+        candidates
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Write a JSON report of Q-Report rows with no catalog match
+   * @param {Array} unmatched - Q-Report rows from resolveAll
+   * @param {Object} stats - Stats from resolveAll
+   * @param {string} [filePath] - Output path (defaults to data/reports/unmatched-qreport.json)
+   * @returns {string} Path written
+   */
+  writeUnmatchedReport(unmatched, stats, filePath = DEFAULT_REPORT_PATH) {
+    const rows = this.describeUnmatched(unmatched);
+    const report = {
+      generatedAt: new Date().toISOString(),
+      stats,
+      unmatchedCourses: rows.length,
+      rows
+    };
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+    return filePath;
+  }
+}
+
+function addToIndex(index, key, entry) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(entry);
+}
+
+/**
+ * Several catalog rows can share an ID or code (Fall + Spring offerings, sections).
+ * Prefer the row whose code matches, then the most recent term.
+ */
+function pickEntry(entries, code) {
+  if (entries.length === 1) return entries[0];
+  const sameCode = entries.filter(e => normalizeCourseCode(e.courseId) === code);
+  const pool = sameCode.length > 0 ? sameCode : entries;
+  return pool.reduce((best, e) => (compareTerms(e.term, best.term) > 0 ? e : best), pool[0]);
+}
+
+module.exports = {
+  CourseIdentityResolver,
+  extractNumericId,
+  normalizeCourseCode,
+  normalizeTitle,
+  DEFAULT_REPORT_PATH
+};
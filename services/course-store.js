@@ -0,0 +1,314 @@
+// Course Store - indexed, in-memory view over a list of courses
+// Built once when data loads so chat requests don't scan and lowercase ~3,000 rows each time.
+// Indexes: subject, numeric ID, course code, term, weekday pattern/day, instructor,
+// GenEd category, plus an inverted token index over titles and descriptions.
+
+const { normalizeCourseCode, extractNumericId } = require('./course-identity');
+const { parseTerm } = require('./academic-term');
+const { getGenEdCategory } = require('./gened-categories');
+const { parseDays, dayNames, meetingsOf, meetingDays, timeFilters } = require('./meeting-times');
+
+// Title hits count more than description hits
+const FIELD_WEIGHTS = { title: 3, description: 1 };
+
+// Partial-word matches ("psych" => "psychology") count for less than whole words
+const PREFIX_MATCH_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 4;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'course', 'courses', 'for', 'from',
+  'how', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'students', 'that',
+  'the', 'their', 'this', 'to', 'we', 'what', 'will', 'with', 'you'
+]);
+
+/**
+ * Split text into lowercase search tokens (stopwords removed)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Split an instructors field ("Jane Doe, John Smith and Ann Lee") into names
+ */
+function splitInstructors(instructors) {
+  return String(instructors || '')
+    .split(/\s*(?:,|;|\/|\band\b|&)\s*/i)
+    .map(name => name.trim())
+    .filter(name => name.length > 1);
+}
+
+function subjectOf(course) {
+  return String(course.subject || String(course.courseId || '').split(' ')[0] || '').toUpperCase();
+}
+
+function termKeyOf(value) {
+  const term = parseTerm(value);
+  return term ? term.key : String(value || '').toLowerCase();
+}
+
+class CourseStore {
+  /**
+   * @param {Array} courses - Catalog entries or merged gem records
+   */
+  constructor(courses = []) {
+    this.courses = courses;
+
+    this.bySubject = new Map();
+    this.byNumericId = new Map();
+    this.byCode = new Map();
+    this.byTerm = new Map();
+    this.byWeekdays = new Map();
+    this.byDay = new Map();
+    this.byInstructor = new Map();
+    this.byGenEdCategory = new Map();
+    // idx => meeting blocks, for time filters that can't be indexed (start/end, overlap)
+    this.meetings = [];
+
+    // token => Map(courseIndex => weighted term frequency)
+    this.tokenIndex = new Map();
+
+    courses.forEach((course, idx) => this.indexCourse(course, idx));
+  }
+
+  indexCourse(course, idx) {
+    addTo(this.bySubject, subjectOf(course), idx);
+    addTo(this.byNumericId, course.numericId, idx);
+    addTo(this.byCode, normalizeCourseCode(course.courseId), idx);
+    // Cross-listed gem records carry every code they're offered under (see cross-listings.js)
+    (course.codes || []).forEach(code => {
+      addTo(this.byCode, code, idx);
+      addTo(this.bySubject, code.split(' ')[0], idx);
+    });
+    if (course.term) addTo(this.byTerm, termKeyOf(course.term), idx);
+
+    // Days come from the meeting blocks, so a Friday section counts as meeting on Friday
+    const meetings = meetingsOf(course);
+    this.meetings[idx] = meetings;
+    meetings.forEach(block => addTo(this.byWeekdays, dayNames(block.days).join('/').toLowerCase(), idx));
+    dayNames(meetingDays(meetings)).forEach(day => addTo(this.byDay, day.toLowerCase(), idx));
+
+    splitInstructors(course.instructors).forEach(name => {
+      const lower = name.toLowerCase();
+      addTo(this.byInstructor, lower, idx);
+      // Also index each part so a last name ("Hammonds") finds "Evelynn Hammonds"
+      lower.split(/\s+/).filter(part => part.length > 2).forEach(part => {
+        if (part !== lower) addTo(this.byInstructor, part, idx);
+      });
+    });
+
+    const genEdCategory = course.genEdCategory ||
+      (subjectOf(course) === 'GENED' ? getGenEdCategory(course.courseId) : null);
+    if (genEdCategory) addTo(this.byGenEdCategory, genEdCategory, idx);
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(course[field]).forEach(token => {
+        if (!this.tokenIndex.has(token)) this.tokenIndex.set(token, new Map());
+        const postings = this.tokenIndex.get(token);
+        postings.set(idx, (postings.get(idx) || 0) + weight);
+      });
+    });
+  }
+
+  get size() {
+    return this.courses.length;
+  }
+
+  /**
+   * All indexed courses
+   */
+  all() {
+    return this.courses;
+  }
+
+  /**
+   * Look up courses by course code or numeric ID ("CS 50", "COMPSCI 50 001", "222126")
+   * @returns {Array}
+   */
+  getById(codeOrId) {
+    if (!codeOrId) return [];
+    const numericId = extractNumericId(codeOrId);
+    const ids = (numericId && this.byNumericId.get(numericId)) ||
+                this.byCode.get(normalizeCourseCode(codeOrId)) ||
+                [];
+    return ids.map(idx => this.courses[idx]);
+  }
+
+  getBySubject(subject) {
+    return this.lookup(this.bySubject, String(subject || '').toUpperCase());
+  }
+
+  /**
+   * Courses offered in a term ("2026 Spring", "Spring 2026"); a bare year matches both its terms
+   */
+  getByTerm(term) {
+    return this.termIds(term).map(idx => this.courses[idx]);
+  }
+
+  termIds(term) {
+    if (parseTerm(term)) return this.byTerm.get(termKeyOf(term)) || [];
+    const text = String(term || '').toLowerCase().trim();
+    return Array.from(this.byTerm.entries())
+      .filter(([key]) => text && key.includes(text))
+      .flatMap(([, ids]) => ids);
+  }
+
+  /**
+   * Courses meeting on a day ("tue") or with an exact pattern ("Tue/Thu", "tues/thurs")
+   */
+  getByWeekdays(pattern) {
+    return this.weekdayIds(pattern).map(idx => this.courses[idx]);
+  }
+
+  weekdayIds(pattern) {
+    const names = dayNames(parseDays(pattern)).map(day => day.toLowerCase());
+    if (names.length === 0) return [];
+    if (String(pattern).includes('/')) return this.byWeekdays.get(names.join('/')) || [];
+    return this.intersect(names.map(day => this.byDay.get(day) || []));
+  }
+
+  /**
+   * Courses taught by an instructor (full name or any part of it, case-insensitive)
+   */
+  getByInstructor(name) {
+    return this.instructorIds(name).map(idx => this.courses[idx]);
+  }
+
+  instructorIds(name) {
+    const key = String(name || '').toLowerCase().trim();
+    if (this.byInstructor.has(key)) return this.byInstructor.get(key);
+
+    // "John Smith" with no exact entry: require every name part to match
+    const parts = key.split(/\s+/).filter(part => part.length > 2);
+    if (parts.length === 0) return [];
+    return this.intersect(parts.map(part => this.byInstructor.get(part) || []));
+  }
+
+  getByGenEdCategory(category) {
+    return this.lookup(this.byGenEdCategory, category);
+  }
+
+  /**
+   * Filter using the indexes. Every criterion is optional; all given criteria must match.
+   * @param {Object} criteria
+   * @param {string} [criteria.term] - "2026 Spring" / "Spring 2026"
+   * @param {string} [criteria.subject] - "COMPSCI"
+   * @param {string} [criteria.weekdays] - "tue" or "Tue/Thu"
+   * @param {string} [criteria.courseCode] - "COMPSCI 50" or numeric ID
+   * @param {string} [criteria.instructor] - "Hammonds"
+   * @param {string} [criteria.genEdCategory] - "Ethics and Civics"
+   * @param {string} [criteria.keyword] - Full-text search over titles/descriptions
+   * @param {number|string} [criteria.startsAfter] - Every meeting starts at or after (minutes or "10:00 AM")
+   * @param {number|string} [criteria.endsBefore] - Every meeting ends by (minutes or "3:00 PM")
+   * @param {number|string} [criteria.freeDays] - No meetings on these days ("Fri" or a day bitmask)
+   * @param {number|string} [criteria.onlyDays] - Meets on these days only ("MWF" or a day bitmask)
+   * @param {Array} [criteria.notOverlapping] - Meeting blocks the course must not clash with
+   * @returns {Array}
+   */
+  query(criteria = {}) {
+    const sets = [];
+
+    if (criteria.term) sets.push(this.termIds(criteria.term));
+    if (criteria.subject) sets.push(this.bySubject.get(String(criteria.subject).toUpperCase()) || []);
+    if (criteria.weekdays) sets.push(this.weekdayIds(criteria.weekdays));
+    if (criteria.courseCode) {
+      const numericId = extractNumericId(criteria.courseCode);
+      sets.push((numericId && this.byNumericId.get(numericId)) ||
+                this.byCode.get(normalizeCourseCode(criteria.courseCode)) || []);
+    }
+    if (criteria.genEdCategory) sets.push(this.byGenEdCategory.get(criteria.genEdCategory) || []);
+    if (criteria.instructor) sets.push(this.instructorIds(criteria.instructor));
+    if (criteria.keyword) sets.push(this.searchIds(criteria.keyword).map(hit => hit.idx));
+
+    const fitsTimes = timeFilters(criteria);
+    if (sets.length === 0 && fitsTimes.length === 0) return this.courses;
+
+    const ids = sets.length > 0 ? this.intersect(sets) : this.courses.map((_, idx) => idx);
+    return ids
+      .filter(idx => fitsTimes.every(fits => fits(this.meetings[idx])))
+      .sort((a, b) => a - b)
+      .map(idx => this.courses[idx]);
+  }
+
+  /**
+   * Ranked keyword search over titles and descriptions (TF-IDF, titles weighted higher)
+   * @param {string} text - Search text, e.g. "climate change policy"
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Max hits to return
+   * @returns {Array<{course: Object, score: number}>} Best matches first
+   */
+  search(text, options = {}) {
+    const hits = this.searchIds(text);
+    const limited = options.limit ? hits.slice(0, options.limit) : hits;
+    return limited.map(hit => ({ course: this.courses[hit.idx], score: hit.score }));
+  }
+
+  searchIds(text) {
+    const queryTokens = Array.from(new Set(tokenize(text)));
+    if (queryTokens.length === 0) return [];
+
+    const total = this.courses.length;
+    const scores = new Map();
+    const matchedTokens = new Map();
+
+    queryTokens.forEach(queryToken => {
+      this.expandToken(queryToken).forEach(({ token, weight }) => {
+        const postings = this.tokenIndex.get(token);
+        const idf = Math.log(1 + total / postings.size);
+        postings.forEach((tf, idx) => {
+          scores.set(idx, (scores.get(idx) || 0) + weight * tf * idf);
+          if (!matchedTokens.has(idx)) matchedTokens.set(idx, new Set());
+          matchedTokens.get(idx).add(queryToken);
+        });
+      });
+    });
+
+    // Every query word has to match somewhere
+    return Array.from(scores.entries())
+      .filter(([idx]) => matchedTokens.get(idx).size === queryTokens.length)
+      .map(([idx, score]) => ({ idx, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Exact token plus any indexed token it is a prefix of
+   */
+  expandToken(queryToken) {
+    const expanded = [];
+    if (this.tokenIndex.has(queryToken)) expanded.push({ token: queryToken, weight: 1 });
+    if (queryToken.length >= MIN_PREFIX_LENGTH) {
+      for (const token of this.tokenIndex.keys()) {
+        if (token !== queryToken && token.startsWith(queryToken)) {
+          expanded.push({ token, weight: PREFIX_MATCH_WEIGHT });
+        }
+      }
+    }
+    return expanded;
+  }
+
+  lookup(index, key) {
+    return (index.get(key) || []).map(idx => this.courses[idx]);
+  }
+
+  intersect(sets) {
+    const [smallest, ...rest] = [...sets].sort((a, b) => a.length - b.length);
+    const others = rest.map(set => new Set(set));
+    return Array.from(new Set(smallest)).filter(idx => others.every(set => set.has(idx)));
+  }
+}
+
+function addTo(index, key, idx) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  const list = index.get(key);
+  if (list[list.length - 1] !== idx) list.push(idx);
+}
+
+module.exports = CourseStore;
+module.exports.tokenize = tokenize;
+module.exports.splitInstructors = splitInstructors;
@@ -0,0 +1,191 @@
+// Cross-Listings - groups catalog courses that are the same class offered under several subjects
+// (e.g. NEURO 141 / PHYSICS 141, APCOMP 209A / COMPSCI 1090A / STAT 109A).
+// Two catalog rows in the same term are treated as one course when they share a title and
+//   - the same numeric course ID, or
+//   - the same meeting time, or, when a row has no meeting time,
+//   - the same course number or the same listed instructor.
+// Titles shared by many subjects ("Supervised Reading and Research") are never grouped on title alone,
+// and independent-study style titles need a shared meeting time or instructor.
+// Q-Report rows the catalog can't place (no catalog match) are grouped by qreportAliases():
+// the same report link, or the same title and instructor, as a row of the same term.
+
+const { normalizeCourseCode, normalizeTitle } = require('./course-identity');
+const { listedInstructors, normalizeName } = require('./instructor-profiles');
+const { meetingsOf, formatMeetings } = require('./meeting-times');
+
+// A title used by more subjects than this in one term is a generic course type, not a cross-listing
+const MAX_TITLE_SUBJECTS = 4;
+
+// Per-department courses that reuse a title and number ("Introduction to Research", CHEM 91R / SCRB 91R)
+const INDEPENDENT_STUDY_TITLE = /\b(supervised|reading|research|thesis|dissertation|tutorial|fellowship|independent)\b/i;
+
+function subjectOf(code) {
+  return code.split(' ')[0];
+}
+
+function numberOf(code) {
+  return code.split(' ').slice(1).join(' ');
+}
+
+function meetingOf(entry) {
+  const timed = meetingsOf(entry).filter(m => m.start != null);
+  return timed.length > 0 ? formatMeetings(timed) : null;
+}
+
+function sharesInstructor(a, b) {
+  const names = new Set(listedInstructors(a.instructors).map(normalizeName));
+  return listedInstructors(b.instructors).some(name => names.has(normalizeName(name)));
+}
+
+class CrossListings {
+  /**
+   * @param {Array} catalogEntries - Courses from CatalogAYLoader
+   */
+  constructor(catalogEntries = []) {
+    this.parent = new Map();
+    this.groups = [];
+    this.byCode = new Map();
+
+    const codeOf = entry => normalizeCourseCode(entry.courseId);
+
+    // 1) Same numeric ID and title in the same term
+    const byId = new Map();
+    catalogEntries.forEach(entry => {
+      if (!entry.numericId) return;
+      const key = `${entry.term}|${entry.numericId}|${normalizeTitle(entry.title)}`;
+      if (!byId.has(key)) byId.set(key, []);
+      byId.get(key).push(codeOf(entry));
+    });
+    byId.forEach(codes => codes.forEach(code => this.union(codes[0], code)));
+
+    // 2) Same title in the same term, confirmed by meeting time, number or instructor
+    const byTitle = new Map();
+    catalogEntries.forEach(entry => {
+      const title = normalizeTitle(entry.title);
+      if (!title) return;
+      const key = `${entry.term}|${title}`;
+      if (!byTitle.has(key)) byTitle.set(key, []);
+      byTitle.get(key).push(entry);
+    });
+    byTitle.forEach(entries => {
+      const numberMatches = !INDEPENDENT_STUDY_TITLE.test(entries[0].title);
+      const subjects = new Set(entries.map(entry => subjectOf(codeOf(entry))));
+      if (subjects.size < 2 || subjects.size > MAX_TITLE_SUBJECTS) return;
+
+      entries.forEach((a, i) => entries.slice(i + 1).forEach(b => {
+        const codeA = codeOf(a);
+        const codeB = codeOf(b);
+        if (codeA === codeB || subjectOf(codeA) === subjectOf(codeB)) return;
+
+        const meetingA = meetingOf(a);
+        const meetingB = meetingOf(b);
+        const sameCourse = meetingA && meetingB
+          ? meetingA === meetingB
+          : (numberMatches && numberOf(codeA) === numberOf(codeB)) || sharesInstructor(a, b);
+        if (sameCourse) this.union(codeA, codeB);
+      }));
+    });
+
+    // Collect groups; the canonical code is the alphabetically first one
+    const members = new Map();
+    this.parent.forEach((_, code) => {
+      const root = this.find(code);
+      if (!members.has(root)) members.set(root, new Set());
+      members.get(root).add(code);
+    });
+    members.forEach(codes => {
+      if (codes.size < 2) return;
+      const sorted = Array.from(codes).sort();
+      const group = { canonical: sorted[0], codes: sorted };
+      this.groups.push(group);
+      sorted.forEach(code => this.byCode.set(code, group));
+    });
+
+    const titles = new Map();
+    catalogEntries.forEach(entry => {
+      const group = this.byCode.get(codeOf(entry));
+      if (group && !titles.has(group)) titles.set(group, entry.title);
+    });
+    this.groups.forEach(group => { group.title = titles.get(group) || null; });
+  }
+
+  find(code) {
+    if (!this.parent.has(code)) this.parent.set(code, code);
+    let root = code;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+    this.parent.set(code, root);
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) this.parent.set(rootB, rootA);
+  }
+
+  get size() {
+    return this.groups.length;
+  }
+
+  all() {
+    return this.groups;
+  }
+
+  /**
+   * Cross-listing group for a course code ("HIST 86", "hist 86 (1)")
+   * @returns {{canonical: string, codes: string[], title: string}|null}
+   */
+  getGroup(code) {
+    return this.byCode.get(normalizeCourseCode(code)) || null;
+  }
+
+  /**
+   * Every code a course can be taken under (just the normalized code if it isn't cross-listed)
+   */
+  codesFor(code) {
+    const group = this.getGroup(code);
+    return group ? group.codes : [normalizeCourseCode(code)];
+  }
+
+  /**
+   * Code used to represent the whole group
+   */
+  canonicalCode(code) {
+    const group = this.getGroup(code);
+    return group ? group.canonical : normalizeCourseCode(code);
+  }
+}
+
+/**
+ * Unmatched Q-Report rows that are another row's course under a different code
+ * (E-PSCI 133 / ESE 133: one report, listed under both subjects)
+ * A row without a catalog match joins an earlier row (matched rows first) with the same report
+ * link, or the same title and instructor; independent-study titles only on the link.
+ * @param {Array} rows - Merged Q-Report rows of one term ({ courseId, matchedBy, title, qreportInstructor, qreportLink })
+ * @param {Function} keyOf - Group key of a row (e.g. its cross-listing's canonical code)
+ * @returns {Map} Unmatched row => group key of the row it's an alias of
+ */
+function qreportAliases(rows, keyOf) {
+  const signals = row => {
+    const title = normalizeTitle(row.title);
+    const instructor = row.qreportInstructor ? normalizeName(row.qreportInstructor) : null;
+    return [
+      row.qreportLink ? `link:${row.qreportLink}` : null,
+      title && instructor && !INDEPENDENT_STUDY_TITLE.test(row.title) ? `taught:${title}|${instructor}` : null
+    ].filter(Boolean);
+  };
+
+  const keyBySignal = new Map();
+  const aliases = new Map();
+  [...rows.filter(row => row.matchedBy), ...rows.filter(row => !row.matchedBy)].forEach(row => {
+    const rowSignals = signals(row);
+    const known = rowSignals.map(signal => keyBySignal.get(signal)).find(Boolean);
+    if (!row.matchedBy && known && known !== keyOf(row)) aliases.set(row, known);
+    const key = aliases.get(row) || keyOf(row);
+    rowSignals.forEach(signal => { if (!keyBySignal.has(signal)) keyBySignal.set(signal, key); });
+  });
+  return aliases;
+}
+
+module.exports = CrossListings;
+module.exports.qreportAliases = qreportAliases;
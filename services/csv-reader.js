@@ -0,0 +1,295 @@
+// CSV Reader - RFC 4180 parser shared by every course loader and data script
+// Streams characters through a small state machine, so quoted fields may contain
+// commas, newlines and "" escapes. Handles a leading BOM and CRLF/CR/LF line endings.
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Parser states
+const FIELD_START = 0;  // At the beginning of a field
+const UNQUOTED = 1;     // Inside an unquoted field
+const QUOTED = 2;       // Inside a quoted field
+const QUOTE_SEEN = 3;   // Saw a quote inside a quoted field (escape or closing quote)
+
+/**
+ * Incremental CSV parser. Feed it text with write() and call end() when done.
+ * Every completed row is passed to onRow(values, { row, line }).
+ *
+ * Problems are collected in `errors` as { row, line, column, message } instead of
+ * throwing, so loaders can keep going and report what they skipped.
+ */
+class CsvParser {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onRow - Called with (values, { row, line }) for each record
+   * @param {string} [options.delimiter=','] - Field delimiter
+   * @param {number} [options.expectedColumns] - Column count to validate against (defaults to header width)
+   */
+  constructor(options = {}) {
+    this.onRow = options.onRow || (() => {});
+    this.delimiter = options.delimiter || ',';
+    this.expectedColumns = options.expectedColumns || null;
+    this.errors = [];
+
+    this.state = FIELD_START;
+    this.field = '';
+    this.values = [];
+    this.row = 1;          // Record number (1 = header)
+    this.line = 1;         // Physical line currently being read
+    this.rowStartLine = 1; // Physical line where the current record started
+    this.quoteLine = 1;    // Line where the current quoted field opened
+    this.pendingCR = false;
+    this.lastChar = '';
+    this.started = false;
+  }
+
+  addError(message, column = this.values.length + 1) {
+    this.errors.push({ row: this.row, line: this.line, column, message });
+  }
+
+  endField() {
+    this.values.push(this.field);
+    this.field = '';
+    this.state = FIELD_START;
+  }
+
+  endRow() {
+    this.endField();
+    const values = this.values;
+    this.values = [];
+
+    // Blank lines are not records
+    if (values.length === 1 && values[0] === '') {
+      this.rowStartLine = this.line + 1;
+      return;
+    }
+
+    if (this.expectedColumns == null) {
+      this.expectedColumns = values.length;
+    } else if (values.length !== this.expectedColumns) {
+      this.errors.push({
+        row: this.row,
+        line: this.rowStartLine,
+        column: Math.min(values.length, this.expectedColumns) + 1,
+        message: `Expected ${this.expectedColumns} columns, found ${values.length}`
+      });
+    }
+
+    this.onRow(values, { row: this.row, line: this.rowStartLine });
+    this.row++;
+    this.rowStartLine = this.line + 1;
+  }
+
+  /**
+   * Feed a chunk of text to the parser
+   * @param {string} chunk
+   */
+  write(chunk) {
+    let i = 0;
+    if (!this.started && chunk.length > 0) {
+      this.started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) i = 1; // Strip UTF-8 BOM
+    }
+
+    for (; i < chunk.length; i++) {
+      const char = chunk[i];
+      const lastChar = this.lastChar;
+      this.lastChar = char;
+
+      // "\r\n" ends a single row; the "\r" already closed it
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      switch (this.state) {
+        case FIELD_START:
+          if (char === '"') {
+            this.state = QUOTED;
+            this.quoteLine = this.line;
+            break;
+          }
+          this.state = UNQUOTED;
+          // falls through
+        case UNQUOTED:
+          if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\n' || char === '\r') {
+            this.endRow();
+            this.line++;
+            this.pendingCR = char === '\r';
+          } else {
+            if (char === '"') this.addError('Unexpected quote in unquoted field');
+            this.field += char;
+          }
+          break;
+
+        case QUOTED:
+          if (char === '"') {
+            this.state = QUOTE_SEEN;
+          } else {
+            if (char === '\r' || (char === '\n' && lastChar !== '\r')) this.line++;
+            this.field += char;
+          }
+          break;
+
+        case QUOTE_SEEN:
+          if (char === '"') {
+            // Escaped quote ("")
+            this.field += '"';
+            this.state = QUOTED;
+          } else if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\n' || char === '\r') {
+            this.endRow();
+            this.line++;
+            this.pendingCR = char === '\r';
+          } else {
+            this.addError('Unexpected character after closing quote');
+            this.field += char;
+            this.state = UNQUOTED;
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Flush the final row and close the parser
+   */
+  end() {
+    if (this.state === QUOTED) {
+      this.errors.push({
+        row: this.row,
+        line: this.quoteLine,
+        column: this.values.length + 1,
+        message: 'Unterminated quoted field'
+      });
+    }
+    if (this.state !== FIELD_START || this.values.length > 0 || this.field !== '') {
+      this.endRow();
+    }
+  }
+}
+
+/**
+ * Parse a CSV string
+ * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - Treat the first record as column names
+ * @param {boolean} [options.trim=false] - Trim whitespace around every value
+ * @returns {{headers: string[], rows: string[][], errors: Object[]}}
+ */
+function parseCsv(text, options = {}) {
+  const collector = createCollector(options);
+  const parser = new CsvParser({ ...options, onRow: collector.onRow });
+  parser.write(text);
+  parser.end();
+  return collector.result(parser.errors);
+}
+
+/**
+ * Read and parse a CSV file in chunks
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} [options] - Same options as parseCsv
+ * @returns {{headers: string[], rows: string[][], errors: Object[]}}
+ */
+function readCsvFile(filePath, options = {}) {
+  const collector = createCollector(options);
+  const parser = new CsvParser({ ...options, onRow: collector.onRow });
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      parser.write(decoder.write(buffer.subarray(0, bytesRead)));
+    }
+    parser.write(decoder.end());
+    parser.end();
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return collector.result(parser.errors);
+}
+
+function createCollector(options) {
+  const useHeader = options.header !== false;
+  const trim = options.trim === true;
+  let headers = [];
+  const rows = [];
+
+  return {
+    onRow(values, position) {
+      const row = trim ? values.map(v => v.trim()) : values;
+      if (useHeader && position.row === 1) {
+        headers = row.map(h => h.trim());
+      } else {
+        rows.push(row);
+      }
+    },
+    result(errors) {
+      return { headers, rows, errors };
+    }
+  };
+}
+
+/**
+ * Convert a row of values into an object keyed by header
+ * @param {string[]} headers
+ * @param {string[]} row
+ * @returns {Object}
+ */
+function rowToObject(headers, row) {
+  const obj = {};
+  headers.forEach((key, idx) => {
+    obj[key] = row[idx] ?? '';
+  });
+  return obj;
+}
+
+/**
+ * Escape a value for writing back to CSV
+ * @param {*} field
+ * @returns {string}
+ */
+function escapeCsvField(field) {
+  if (field == null || field === '') return '';
+  const value = String(field);
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+/**
+ * Format a whole row for writing
+ * @param {Array} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return values.map(escapeCsvField).join(',');
+}
+
+/**
+ * Format parser errors for logging, e.g. "row 12 (line 14), column 3: Unterminated quoted field"
+ * @param {Object} error
+ * @returns {string}
+ */
+function describeCsvError(error) {
+  return `row ${error.row} (line ${error.line}), column ${error.column}: ${error.message}`;
+}
+
+module.exports = {
+  CsvParser,
+  parseCsv,
+  readCsvFile,
+  rowToObject,
+  escapeCsvField,
+  formatCsvRow,
+  describeCsvError
+};
@@ -0,0 +1,365 @@
+// Data Audit - reports suspicious rows in the AY catalog and Q-Report exports
+// Runs the real loaders so it sees exactly what the bot sees, then groups problems
+// by category. Counts can be compared against a saved baseline to gate data updates.
+
+const fs = require('fs');
+const path = require('path');
+const QReportLoader = require('./qreport-loader');
+const CatalogAYLoader = require('./catalog-ay-loader');
+const { CourseIdentityResolver, normalizeCourseCode } = require('./course-identity');
+const { DAY_NAMES, parseClockTime } = require('./meeting-times');
+
+const REPORTS_DIR = path.join(__dirname, '..', 'data', 'reports');
+const DEFAULT_BASELINE_PATH = path.join(__dirname, '..', 'data', 'audit-baseline.json');
+
+// Report categories. "error" and "warning" counts are gated; "info" is only reported.
+const CATEGORIES = {
+  csvErrors: { severity: 'error', title: 'CSV parse errors' },
+  duplicateKeys: { severity: 'error', title: 'Duplicate keys' },
+  unparseableTimes: { severity: 'error', title: 'Unparseable meeting times' },
+  leakedDescription: { severity: 'warning', title: 'Description text leaked into instructors' },
+  missingIds: { severity: 'warning', title: 'Missing IDs' },
+  unmatchedQReport: { severity: 'warning', title: 'Q-Report rows with no catalog match' },
+  sharedIds: { severity: 'info', title: 'Course IDs shared by several codes (likely cross-listings)' },
+  missingMeetingTimes: { severity: 'info', title: 'Catalog rows with no meeting time' }
+};
+
+// Name particles that legitimately follow a first name ("Alejandro de la Fuente")
+const NAME_PARTICLES = new Set(['de', 'la', 'del', 'della', 'der', 'di', 'da', 'du', 'van', 'von', 'le', 'bin', 'ibn', 'al', 'y', 'dos', 'das']);
+
+/**
+ * Check a catalog meeting time
+ * @returns {string|null} Why the time can't be used, 'missing' if there is none, or null if fine
+ */
+function checkMeetingTime({ weekdays, startTime, endTime }) {
+  if (!weekdays && !startTime && !endTime) return 'missing';
+  if (!weekdays || !startTime || !endTime) return 'incomplete meeting time (need weekdays, start and end)';
+
+  const badDays = weekdays.split('/').filter(day => !DAY_NAMES.includes(day));
+  if (badDays.length > 0) return `unknown weekday(s): ${badDays.join(', ')}`;
+
+  const start = parseClockTime(startTime);
+  const end = parseClockTime(endTime);
+  if (start === null) return `unparseable start time "${startTime}"`;
+  if (end === null) return `unparseable end time "${endTime}"`;
+  if (end <= start) return `ends (${endTime}) before it starts (${startTime})`;
+  return null;
+}
+
+/**
+ * Detect the start of the description bleeding into the instructors column.
+ * Descriptions in the export begin with the instructor names, so a leak shows up as the
+ * instructors value being a prefix of the description that stops mid-sentence:
+ *   instructors "Amber Henry What", description "Amber Henry What does tourism sell? ..."
+ * @returns {string|null} The leaked text, or null
+ */
+function detectLeakedDescription(instructors, description) {
+  const names = String(instructors || '').replace(/\s+/g, ' ').trim();
+  const text = String(description || '').replace(/\s+/g, ' ').trim();
+  if (!names || !text.startsWith(names + ' ')) return null;
+
+  const nextWord = text.slice(names.length + 1).split(' ')[0];
+  if (!/^[a-z?,;:]/.test(nextWord) || NAME_PARTICLES.has(nextWord.toLowerCase())) return null;
+
+  // The last word of the instructors value starts the sentence
+  const words = names.split(' ');
+  return words[words.length - 1];
+}
+
+/**
+ * Run the loaders over the data files and collect findings
+ * @param {Object} [options]
+ * @param {CatalogAYLoader} [options.catalogLoader] - Already-loaded loader to audit (e.g. from dataset-manager)
+ * @param {QReportLoader} [options.qreportLoader]
+ * @param {string} [options.catalogPath] - Catalog CSV for a fresh loader (defaults to CATALOG_AY_CSV_PATH)
+ * @param {string} [options.qreportDir] - Q-Report directory for a fresh loader (defaults to QREPORT_DATA_DIR)
+ * @returns {Object} Report: { generatedAt, files, rows, summary, findings }
+ */
+function auditData(options = {}) {
+  const catalogLoader = options.catalogLoader || new CatalogAYLoader({ csvPath: options.catalogPath });
+  const qreportLoader = options.qreportLoader || new QReportLoader({ dataDir: options.qreportDir });
+
+  const catalogCourses = catalogLoader.loadData();
+  const { terms, byTerm } = qreportLoader.loadAllTerms();
+  const qCourses = terms.flatMap(term => byTerm.get(term));
+
+  const findings = {};
+  Object.keys(CATEGORIES).forEach(category => { findings[category] = []; });
+
+  auditLoaderIssues(catalogLoader.issues, findings);
+  auditLoaderIssues(qreportLoader.issues, findings);
+  auditCatalogRows(catalogCourses, catalogLoader.issues, findings, path.basename(catalogLoader.csvPath));
+  auditQReportRows(qCourses, catalogCourses, findings);
+
+  const summary = {};
+  Object.entries(CATEGORIES).forEach(([category, { severity, title }]) => {
+    summary[category] = { severity, title, count: findings[category].length };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    files: {
+      catalog: catalogLoader.csvPath,
+      qreport: qreportLoader.getFiles().map(f => f.filePath)
+    },
+    rows: {
+      catalogCourses: catalogCourses.length,
+      qreportRows: qCourses.length
+    },
+    summary,
+    findings
+  };
+}
+
+function auditLoaderIssues(issues = [], findings) {
+  issues.forEach(issue => {
+    if (issue.type === 'csvError') {
+      findings.csvErrors.push({ file: issue.file, row: issue.row, line: issue.line, column: issue.column, message: issue.message });
+    } else if (issue.type === 'skippedRow' && issue.reason !== 'table of contents') {
+      findings.missingIds.push({
+        file: issue.file,
+        row: issue.row,
+        courseId: issue.courseId || null,
+        title: issue.title || null,
+        term: issue.term || null,
+        reason: issue.reason
+      });
+    }
+  });
+}
+
+function auditCatalogRows(courses, issues = [], findings, file) {
+  // Instructors the loader's heuristic already rewrote
+  const cleanedByRow = new Map();
+  issues.filter(issue => issue.type === 'instructorsCleaned').forEach(issue => cleanedByRow.set(issue.row, issue));
+
+  const byKey = new Map();
+
+  courses.forEach(course => {
+    const where = { file, row: course.sourceRow, courseId: course.courseId, term: course.term || null };
+
+    // Leaked description text
+    const cleaned = cleanedByRow.get(course.sourceRow);
+    const original = cleaned ? cleaned.original : course.instructors;
+    const leaked = detectLeakedDescription(original, course.description) ||
+                   (cleaned ? original.slice(cleaned.cleaned.length).trim() || original : null);
+    if (leaked) {
+      findings.leakedDescription.push({
+        ...where,
+        instructors: original,
+        leakedText: leaked,
+        cleanedByLoader: !!cleaned,
+        loadedAs: course.instructors
+      });
+    }
+
+    // Meeting times
+    const problem = checkMeetingTime(course);
+    if (problem === 'missing') {
+      findings.missingMeetingTimes.push(where);
+    } else if (problem) {
+      findings.unparseableTimes.push({
+        ...where,
+        weekdays: course.weekdays,
+        startTime: course.startTime,
+        endTime: course.endTime,
+        reason: problem
+      });
+    }
+
+    // Same numeric course ID listed twice in one term
+    const key = `${course.numericId}|${course.term}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(course);
+  });
+
+  byKey.forEach(rows => {
+    if (rows.length < 2) return;
+    const key = `course_id ${rows[0].numericId} in ${rows[0].term || 'no term'}`;
+
+    // Rows with the same code are true duplicates; different codes are usually cross-listings
+    const byCode = new Map();
+    rows.forEach(c => {
+      const code = normalizeCourseCode(c.courseId);
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push(c);
+    });
+    byCode.forEach(sameCode => {
+      if (sameCode.length < 2) return;
+      findings.duplicateKeys.push({
+        file,
+        key,
+        rows: sameCode.map(c => c.sourceRow),
+        courseIds: Array.from(new Set(sameCode.map(c => c.courseId))),
+        kind: 'repeated catalog row'
+      });
+    });
+    if (byCode.size > 1) {
+      findings.sharedIds.push({ file, key, rows: rows.map(c => c.sourceRow), courseIds: Array.from(byCode.keys()) });
+    }
+  });
+}
+
+function auditQReportRows(qCourses, catalogCourses, findings) {
+  const byKey = new Map();
+
+  qCourses.forEach(q => {
+    if (!q.numericId) {
+      findings.missingIds.push({
+        file: q.sourceFile,
+        row: q.sourceRow,
+        courseId: q.courseId,
+        title: q.title,
+        term: q.term,
+        reason: 'no numeric course ID (course_id / fas_code)'
+      });
+    }
+
+    // One row per section (fas_code) per instructor per term
+    const key = `${q.term}|${q.fasCode || q.numericId || q.courseId}|${q.instructor || ''}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(q);
+  });
+
+  byKey.forEach(rows => {
+    if (rows.length < 2) return;
+    const first = rows[0];
+    findings.duplicateKeys.push({
+      file: first.sourceFile,
+      key: `${first.fasCode || first.numericId || first.courseId} / ${first.instructor || 'no instructor'} in ${first.term}`,
+      rows: rows.map(q => q.sourceRow),
+      courseIds: Array.from(new Set(rows.map(q => q.courseId))),
+      kind: 'repeated Q-Report row'
+    });
+  });
+
+  const resolver = new CourseIdentityResolver(catalogCourses);
+  const { unmatched } = resolver.resolveAll(qCourses);
+  findings.unmatchedQReport.push(...resolver.describeUnmatched(unmatched));
+}
+
+/**
+ * Compare a report against a saved baseline
+ * Without a baseline, any "error" finding fails. With one, a category fails if its count grew.
+ * @param {Object} report - From auditData
+ * @param {Object|null} baseline - From loadBaseline
+ * @returns {{passed: boolean, failures: Array<{category: string, count: number, allowed: number}>}}
+ */
+function compareToBaseline(report, baseline) {
+  const failures = [];
+  Object.entries(report.summary).forEach(([category, { severity, count }]) => {
+    if (severity === 'info') return;
+    let allowed;
+    if (baseline) {
+      allowed = baseline.counts?.[category] ?? 0;
+    } else {
+      allowed = severity === 'error' ? 0 : Infinity;
+    }
+    if (count > allowed) failures.push({ category, count, allowed });
+  });
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * Read a baseline file (null if it doesn't exist)
+ */
+function loadBaseline(filePath = DEFAULT_BASELINE_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Save the report's category counts as the accepted baseline
+ */
+function writeBaseline(report, filePath = DEFAULT_BASELINE_PATH) {
+  const counts = {};
+  Object.entries(report.summary).forEach(([category, { count }]) => { counts[category] = count; });
+  const baseline = { updatedAt: report.generatedAt, rows: report.rows, counts };
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+/**
+ * Render the report as Markdown (summary table plus up to `limit` rows per category)
+ */
+function formatMarkdown(report, gate = null, limit = 50) {
+  const lines = [
+    '# Data Audit',
+    '',
+    `Generated: ${report.generatedAt}`,
+    '',
+    `- Catalog: \`${report.files.catalog}\` (${report.rows.catalogCourses} courses loaded)`,
+    `- Q-Report: ${report.files.qreport.map(f => `\`${f}\``).join(', ') || 'none'} (${report.rows.qreportRows} rows)`,
+    ''
+  ];
+
+  if (gate) {
+    lines.push(gate.passed
+      ? '**Gate: passed**'
+      : `**Gate: failed** - ${gate.failures.map(f => `${f.category} ${f.count} > ${f.allowed}`).join(', ')}`);
+    lines.push('');
+  }
+
+  lines.push('| Category | Severity | Count |', '| --- | --- | --- |');
+  Object.values(report.summary).forEach(({ title, severity, count }) => {
+    lines.push(`| ${title} | ${severity} | ${count} |`);
+  });
+
+  Object.entries(report.findings).forEach(([category, rows]) => {
+    if (rows.length === 0) return;
+    lines.push('', `## ${CATEGORIES[category].title} (${rows.length})`, '');
+    rows.slice(0, limit).forEach(row => lines.push(`- ${describeFinding(category, row)}`));
+    if (rows.length > limit) lines.push(`- ...and ${rows.length - limit} more (see the JSON report)`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function describeFinding(category, row) {
+  const where = row.row ? `${row.file} row ${row.row}` : row.file || '';
+  switch (category) {
+    case 'csvErrors':
+      return `${where}, line ${row.line}, column ${row.column}: ${row.message}`;
+    case 'sharedIds':
+      return `${row.file}: ${row.key} - ${row.courseIds.join(', ')} (rows ${row.rows.join(', ')})`;
+    case 'duplicateKeys':
+      return `${row.file}: ${row.key} (${row.kind}) - rows ${row.rows.join(', ')}${row.courseIds.length > 1 ? ` - ${row.courseIds.join(', ')}` : ''}`;
+    case 'unparseableTimes':
+      return `${where} ${row.courseId}: ${row.reason}`;
+    case 'leakedDescription':
+      return `${where} ${row.courseId}: "${row.instructors}" (leaked: "${row.leakedText}"${row.cleanedByLoader ? ', stripped by loader' : ''})`;
+    case 'missingIds':
+      return `${where} ${row.courseId || ''} ${row.title ? `"${row.title}"` : ''}: ${row.reason}`.replace(/\s+/g, ' ');
+    case 'unmatchedQReport':
+      return `${row.courseId} "${row.title}" (${row.term || 'no term'}): ${row.reason}${row.candidates.length ? ` - same title: ${row.candidates.map(c => c.courseId).join(', ')}` : ''}`;
+    default:
+      return `${where} ${row.courseId || ''}`.trim();
+  }
+}
+
+/**
+ * Write data-audit.json and data-audit.md
+ * @returns {{jsonPath: string, markdownPath: string}}
+ */
+function writeReport(report, gate = null, dir = REPORTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, 'data-audit.json');
+  const markdownPath = path.join(dir, 'data-audit.md');
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...report, gate }, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(markdownPath, formatMarkdown(report, gate), 'utf8');
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_BASELINE_PATH,
+  auditData,
+  compareToBaseline,
+  loadBaseline,
+  writeBaseline,
+  writeReport,
+  formatMarkdown,
+  detectLeakedDescription,
+  checkMeetingTime,
+  parseClockTime
+};
@@ -0,0 +1,296 @@
+// Data Sources - registry of the adapters course data is merged from
+// Every adapter has a kind:
+//   catalog   - what's offered and when (AY catalog); the first enabled one is used
+//   ratings   - student ratings and workload. The first enabled one (Q-Report) decides which courses
+//               have ratings; the others (HUGems) are matched to the catalog and fill fields by priority
+//   signals   - extra per-course facts (Canvas assessments)
+//   overrides - curated corrections (data/course-overrides.json)
+// An adapter's `fields` maps merged field names to the record property it reads (or a function of
+// the record). config.sources.priority lists, per merged field, which source wins: the first one
+// that has a record for the course and a value for the field. Adding a source is a register() call,
+// a name in DATA_SOURCES and, if it should win somewhere, an entry in the priority lists.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const QReportLoader = require('./qreport-loader');
+const CatalogAYLoader = require('./catalog-ay-loader');
+const canvas = require('./canvas-signals');
+const hugems = require('./hugems-source');
+const { parseMeetings } = require('./meeting-times');
+
+const KINDS = ['catalog', 'ratings', 'signals', 'overrides'];
+
+const DEFAULT_OVERRIDES_PATH = config.sources?.overridesPath || path.join(__dirname, '..', 'data', 'course-overrides.json');
+
+/**
+ * Whether a field value counts as present ('' and [] don't)
+ */
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  return !(Array.isArray(value) && value.length === 0);
+}
+
+class SourceRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.enabled] - Source names in use (default config.sources.enabled)
+   * @param {Object} [options.priority] - Field => source names, plus `default` (default config.sources.priority)
+   */
+  constructor(options = {}) {
+    this.adapters = new Map();
+    this.enabled = options.enabled || config.sources.enabled;
+    this.priority = options.priority || config.sources.priority;
+  }
+
+  /**
+   * Register a source adapter
+   * @param {Object} adapter
+   * @param {string} adapter.name - e.g. 'hugems'; used in DATA_SOURCES and the priority lists
+   * @param {string} adapter.kind - One of KINDS
+   * @param {Object} adapter.fields - Merged field => record property name or (record) => value
+   * @param {Function} adapter.load - () => { records?, loader?, paths } (synchronous; called per dataset build)
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name) {
+      throw new Error('Source name is required');
+    }
+    if (!KINDS.includes(adapter.kind)) {
+      throw new Error(`Source '${adapter.name}' has unknown kind '${adapter.kind}' (expected ${KINDS.join(', ')})`);
+    }
+    if (typeof adapter.load !== 'function') {
+      throw new Error(`Source '${adapter.name}' needs a load() function`);
+    }
+    if (this.adapters.has(adapter.name)) {
+      console.warn(`⚠️  Source '${adapter.name}' is already registered. Overwriting...`);
+    }
+    this.adapters.set(adapter.name, { fields: {}, ...adapter });
+    return this;
+  }
+
+  /**
+   * Get an adapter by name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Enabled adapters in DATA_SOURCES order, optionally of one kind
+   * @param {string} [kind]
+   * @returns {Array}
+   */
+  list(kind) {
+    return this.enabled
+      .map(name => this.adapters.get(name))
+      .filter(adapter => adapter && (!kind || adapter.kind === kind));
+  }
+
+  /**
+   * Load every enabled source
+   * The first catalog source and the first ratings source must provide a loader
+   * (CatalogAYLoader / QReportLoader interface); the rest provide records.
+   * @returns {{ catalog: Object, ratings: Object, others: Array, all: Array }}
+   *   each entry is { adapter, loader?, records, paths }
+   */
+  load() {
+    const unknown = this.enabled.filter(name => !this.adapters.has(name));
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Unknown data source(s) in DATA_SOURCES: ${unknown.join(', ')}`);
+    }
+
+    const all = this.list().map(adapter => ({ records: [], paths: [], ...adapter.load(), adapter }));
+    const catalog = all.find(source => source.adapter.kind === 'catalog');
+    const ratings = all.find(source => source.adapter.kind === 'ratings');
+    if (!catalog || !catalog.loader) {
+      throw new Error('No catalog source enabled (DATA_SOURCES needs one, e.g. "catalog")');
+    }
+    if (!ratings || !ratings.loader) {
+      throw new Error('The first ratings source in DATA_SOURCES must be a term-based one like "qreport"');
+    }
+
+    return {
+      catalog,
+      ratings,
+      others: all.filter(source => source !== catalog && source !== ratings),
+      all
+    };
+  }
+
+  /**
+   * Source names for a field, highest priority first
+   */
+  priorityFor(field) {
+    return this.priority[field] || this.priority.default;
+  }
+
+  /**
+   * Value of a merged field from a course's source records
+   * @param {string} field - e.g. 'workloadHrs'
+   * @param {Object} records - Source name => that source's record for the course
+   * @returns {{ value: *, source: string|null }}
+   */
+  pick(field, records) {
+    for (const name of this.priorityFor(field)) {
+      const record = records[name];
+      const adapter = record && this.adapters.get(name);
+      const read = adapter && adapter.fields[field];
+      if (!read) continue;
+      const value = typeof read === 'function' ? read(record) : record[read];
+      if (hasValue(value)) return { value, source: name };
+    }
+    return { value: null, source: null };
+  }
+}
+
+// Fields a curated override may set (data/course-overrides.json: { "COMPSCI 50": { "workloadHrs": 12 } })
+const OVERRIDE_FIELDS = [
+  'title', 'rating', 'workloadHrs', 'sentiment', 'genEd', 'finalExam',
+  'description', 'instructors', 'weekdays', 'startTime', 'endTime'
+];
+
+const catalogSource = {
+  name: 'catalog',
+  kind: 'catalog',
+  fields: {
+    courseId: 'courseId',
+    numericId: 'numericId',
+    title: 'title',
+    department: entry => entry.department || entry.subject,
+    subject: 'subject',
+    genEd: 'distribution',
+    finalExam: 'finalExam',
+    description: 'description',
+    weekdays: 'weekdays',
+    startTime: 'startTime',
+    endTime: 'endTime',
+    meetings: 'meetings',
+    meetingText: 'meeting',
+    requirements: 'requirements',
+    prerequisites: 'prerequisites', // Parsed requirements (see prerequisites.js)
+    instructors: 'instructors',
+    term: 'term'
+  },
+  load() {
+    const loader = new CatalogAYLoader();
+    return { loader, paths: [loader.csvPath] };
+  }
+};
+
+const qreportSource = {
+  name: 'qreport',
+  kind: 'ratings',
+  fields: {
+    courseId: 'courseId',
+    numericId: 'numericId',
+    title: 'title',
+    department: 'department',
+    rating: 'rating',
+    workloadHrs: 'workloadHrs',
+    sentiment: 'sentiment',
+    gemProbability: 'gemProbability',
+    recScore: 'recScore',
+    comments: 'comments',
+    adjustedRating: 'adjustedRating',
+    ratingConfidence: 'ratingConfidence',
+    numResponded: 'numResponded',
+    numStudents: 'numStudents',
+    responseRate: 'responseRate',
+    distributions: 'distributions',
+    genEd: 'genEd',
+    qreportLink: 'qreportLink',
+    description: 'description',
+    weekdays: 'weekdays',
+    startTime: 'startTime',
+    endTime: 'endTime',
+    instructors: 'instructor',
+    qreportInstructor: 'instructor',
+    lecturerScore: 'lecturerScore',
+    qreportTerm: 'term',
+    history: 'history',
+    trend: 'trend'
+  },
+  load() {
+    const loader = new QReportLoader();
+    return { loader, paths: loader.getFiles().map(f => f.filePath) };
+  }
+};
+
+const hugemsSource = {
+  name: 'hugems',
+  kind: 'ratings',
+  fields: {
+    courseId: 'courseId',
+    numericId: 'numericId',
+    title: 'title',
+    rating: 'rating',
+    workloadHrs: 'workloadHrs',
+    sentiment: 'sentiment',
+    gemProbability: 'gemProbability',
+    comments: 'comments',
+    numResponded: 'numResponded',
+    numStudents: 'numStudents',
+    qreportLink: 'qreportLink'
+  },
+  load() {
+    return { records: hugems.loadRecords(), paths: hugems.sourcePath ? [hugems.sourcePath] : [] };
+  }
+};
+
+const canvasSource = {
+  name: 'canvas',
+  kind: 'signals',
+  fields: {
+    assessmentLightness: 'assessmentLightness',
+    finalExam: 'finalExam',
+    // Assessment breakdown from an ingested Canvas export/syllabus (see canvas-ingest.js)
+    assessments: 'assessments',
+    gradingWeights: 'gradingWeights',
+    canvasSources: 'sources'
+  },
+  load() {
+    let records = [];
+    try {
+      records = Object.entries(canvas.readCache()).map(([courseId, signal]) => ({ ...signal, courseId }));
+    } catch (e) {
+      console.warn('CanvasSignals: failed to read cache', e.message);
+    }
+    return { records, paths: [canvas.cachePath] };
+  }
+};
+
+const overridesSource = {
+  name: 'overrides',
+  kind: 'overrides',
+  fields: {
+    ...Object.fromEntries(OVERRIDE_FIELDS.map(field => [field, field])),
+    // Overridden days/times replace the catalog's meeting blocks
+    meetings: override => (override.weekdays ? parseMeetings(override) : null)
+  },
+  load() {
+    const filePath = DEFAULT_OVERRIDES_PATH;
+    if (!fs.existsSync(filePath)) return { records: [], paths: [filePath] };
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.warn(`⚠️  Course overrides: couldn't read ${path.basename(filePath)} (${e.message}) - ignoring it`);
+      return { records: [], paths: [filePath] };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      console.warn(`⚠️  Course overrides: ${path.basename(filePath)} should be an object keyed by course code - ignoring it`);
+      return { records: [], paths: [filePath] };
+    }
+    const records = Object.entries(data).map(([courseId, override]) => ({ ...override, courseId }));
+    console.log(`✅ Course overrides: ${records.length} courses from ${path.basename(filePath)}`);
+    return { records, paths: [filePath] };
+  }
+};
+
+const registry = new SourceRegistry();
+[catalogSource, qreportSource, hugemsSource, canvasSource, overridesSource].forEach(adapter => registry.register(adapter));
+
+module.exports = registry;
+module.exports.SourceRegistry = SourceRegistry;
+module.exports.KINDS = KINDS;
+module.exports.hasValue = hasValue;
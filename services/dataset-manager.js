@@ -0,0 +1,279 @@
+// Dataset Manager - owns the loaded catalog + Q-Report data and swaps in new versions
+// A reload builds a complete new dataset (fresh loaders, indexes, merged gem data) while
+// requests keep using the current one, then replaces the reference in a single assignment.
+// Triggered by file changes (fs.watch) or POST /admin/reload.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const QReportLoader = require('./qreport-loader');
+const sources = require('./data-sources');
+const CourseStore = require('./course-store');
+const { sourceHash, readSnapshot } = require('./dataset-snapshot');
+const { auditData, compareToBaseline, loadBaseline } = require('./data-audit');
+
+class DatasetManager {
+  constructor() {
+    this.current = null;
+    this.warmups = [];
+    this.reloadPromise = null;
+    // Reload asked for while one was running: { reason, promise }, run once that one finishes
+    this.pendingReload = null;
+    this.reloadTimer = null;
+    this.watchers = [];
+    this.lastReload = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Register work to run against a new dataset before it goes live
+   * (e.g. building the merged gem index), so the first request after a swap stays fast
+   * @param {Function} fn - async (dataset) => void
+   */
+  onWarmup(fn) {
+    this.warmups.push(fn);
+  }
+
+  /**
+   * Active dataset. Loaded synchronously on first use.
+   * @returns {Object} { version, sourceHash, fromSnapshot, loadedAt, loadMs, catalogLoader, qreportLoader, catalogStore, crossListings, sources, counts, files, cache }
+   */
+  getDataset() {
+    if (!this.current) {
+      this.current = this.buildDataset();
+    }
+    return this.current;
+  }
+
+  /**
+   * Load every enabled source (see data-sources.js) into a new, self-contained dataset
+   * The parsed catalog, Q-Report terms and merged gem indexes come from the dataset snapshot
+   * when it was built from the same files (see dataset-snapshot.js).
+   * @param {Object} [options]
+   * @param {boolean} [options.snapshot] - Set false to always parse the CSVs (default config.data.snapshot)
+   */
+  buildDataset(options = {}) {
+    const started = Date.now();
+    const loaded = sources.load();
+    const catalogLoader = loaded.catalog.loader;
+    const qreportLoader = loaded.ratings.loader;
+
+    // Every file a source read (Canvas cache, HUGems cache, overrides) so changing one bumps the version
+    const files = loaded.all.flatMap(source => source.paths)
+      .filter(filePath => filePath && fs.existsSync(filePath))
+      .map(filePath => {
+        const stats = fs.statSync(filePath);
+        return { path: filePath, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+      });
+    const hash = sourceHash(files.map(f => f.path), sources.enabled);
+
+    const useSnapshot = options.snapshot ?? config.data.snapshot;
+    const snapshot = useSnapshot ? readSnapshot(hash) : null;
+    if (snapshot) {
+      catalogLoader.restoreSnapshot(snapshot.catalog);
+      qreportLoader.restoreSnapshot(snapshot.qreport);
+    }
+
+    const catalogStore = catalogLoader.getStore();
+    const crossListings = catalogLoader.getCrossListings();
+    const prerequisites = catalogLoader.getPrerequisites();
+    const { terms, byTerm } = qreportLoader.loadAllTerms();
+
+    const qreportRows = {};
+    terms.forEach(term => { qreportRows[term] = byTerm.get(term).length; });
+    const sourceRecords = {};
+    loaded.others.forEach(source => { sourceRecords[source.adapter.name] = source.records.length; });
+
+    // Merged gem indexes, keyed like getGemDataset's cache entries ("gems:Spring 2025")
+    const cache = new Map();
+    if (snapshot) {
+      Object.entries(snapshot.gems).forEach(([key, courses]) => cache.set(key, Promise.resolve(new CourseStore(courses))));
+    }
+
+    return {
+      version: datasetVersion(files),
+      sourceHash: hash,
+      fromSnapshot: !!snapshot,
+      loadedAt: new Date().toISOString(),
+      loadMs: Date.now() - started,
+      catalogLoader,
+      qreportLoader,
+      catalogStore,
+      crossListings,
+      prerequisites,
+      // The other enabled sources ({ adapter, records, paths }), merged by field priority
+      sources: loaded.others,
+      counts: {
+        catalogCourses: catalogStore.size,
+        crossListings: crossListings.size,
+        qreportTerms: terms.length,
+        qreportRows,
+        sourceRecords
+      },
+      files,
+      // Derived data built from this dataset (merged gem indexes etc.), dropped with it on swap
+      cache
+    };
+  }
+
+  /**
+   * Rebuild from disk and swap the new dataset in. If anything fails, the current dataset stays active.
+   * A call while a rebuild is running queues one more rebuild after it (files may have changed
+   * after the running one read them); every call made meanwhile shares that queued one.
+   * @param {string} [reason] - Shown in logs and status (e.g. 'file change', 'admin')
+   * @returns {Promise<Object>} { reloaded, version, previousVersion, reason, error? }
+   */
+  reload(reason = 'manual') {
+    if (this.reloadPromise) {
+      if (this.pendingReload) {
+        this.pendingReload.reason = reason;
+      } else {
+        const pending = { reason };
+        pending.promise = this.reloadPromise.then(() => {
+          this.pendingReload = null;
+          return this.reload(pending.reason);
+        });
+        this.pendingReload = pending;
+      }
+      return this.pendingReload.promise;
+    }
+
+    this.reloadPromise = (async () => {
+      // Let the triggering request/event finish before the (synchronous) CSV parsing starts
+      await new Promise(resolve => setImmediate(resolve));
+      console.log(`🔄 Reloading course data (${reason})...`);
+
+      try {
+        const next = this.buildDataset();
+        if (config.data.auditGate && this.current) {
+          this.checkAudit(next);
+        }
+        for (const warmup of this.warmups) {
+          await warmup(next);
+        }
+
+        const previousVersion = this.current ? this.current.version : null;
+        this.current = next;
+        this.lastError = null;
+        this.lastReload = { at: next.loadedAt, reason, version: next.version, previousVersion };
+
+        const from = next.fromSnapshot ? 'snapshot' : 'CSVs';
+        console.log(`✅ Course data reloaded: ${previousVersion || 'none'} → ${next.version} (${next.counts.catalogCourses} catalog courses, ${next.counts.qreportTerms} Q-Report term(s), from ${from}, ${next.loadMs}ms)`);
+        return { reloaded: true, version: next.version, previousVersion, reason };
+      } catch (err) {
+        this.lastError = { at: new Date().toISOString(), reason, message: err.message };
+        console.error('❌ Course data reload failed - keeping current dataset:', err.message);
+        return { reloaded: false, version: this.current ? this.current.version : null, reason, error: err.message };
+      } finally {
+        this.reloadPromise = null;
+      }
+    })();
+
+    return this.reloadPromise;
+  }
+
+  /**
+   * Refuse a dataset that is worse than the audit baseline (see scripts/audit-data.js)
+   */
+  checkAudit(dataset) {
+    const report = auditData({ catalogLoader: dataset.catalogLoader, qreportLoader: dataset.qreportLoader });
+    const gate = compareToBaseline(report, loadBaseline());
+    if (!gate.passed) {
+      const failures = gate.failures.map(f => `${f.category} ${f.count} > ${f.allowed}`).join(', ');
+      throw new Error(`data audit failed (${failures}) - run npm run georgie:audit for details`);
+    }
+  }
+
+  /**
+   * Watch the catalog CSV, Q-Report directory and the other sources' files, reloading (debounced) when they change
+   */
+  watch() {
+    if (this.watchers.length > 0) return;
+
+    const dataset = this.getDataset();
+    const catalogPath = path.resolve(dataset.catalogLoader.csvPath);
+    const { qreportLoader } = dataset;
+    const qreportDir = path.resolve(qreportLoader.csvPath ? path.dirname(qreportLoader.csvPath) : qreportLoader.dataDir);
+    const pinnedQReport = qreportLoader.csvPath ? path.basename(qreportLoader.csvPath) : null;
+
+    // Watch directories rather than files so replaced files (save-as, mv, git checkout) are seen
+    const targets = new Map();
+    const addTarget = (dir, matches) => {
+      if (!targets.has(dir)) targets.set(dir, []);
+      targets.get(dir).push(matches);
+    };
+    addTarget(path.dirname(catalogPath), name => name === path.basename(catalogPath));
+    addTarget(qreportDir, name => (pinnedQReport ? name === pinnedQReport : QReportLoader.isQReportFile(name)));
+    dataset.sources.forEach(source => source.paths.forEach(filePath => {
+      addTarget(path.dirname(path.resolve(filePath)), name => name === path.basename(filePath));
+    }));
+
+    targets.forEach((matchers, dir) => {
+      if (!fs.existsSync(dir)) return;
+      try {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          if (!filename || !matchers.some(matches => matches(String(filename)))) return;
+          this.scheduleReload(`${filename} changed`);
+        });
+        watcher.on('error', err => console.warn(`⚠️  Data watcher error (${dir}): ${err.message}`));
+        watcher.unref();
+        this.watchers.push(watcher);
+        console.log(`👀 Watching for data changes: ${dir}`);
+      } catch (err) {
+        console.warn(`⚠️  Could not watch ${dir}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Stop watching data files
+   */
+  unwatch() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Editors and copies fire several events per save; wait for things to settle
+   */
+  scheduleReload(reason) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reload(reason);
+    }, config.data.reloadDebounceMs);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * Summary for /health and /
+   */
+  getStatus() {
+    const dataset = this.current;
+    return {
+      version: dataset ? dataset.version : null,
+      loadedAt: dataset ? dataset.loadedAt : null,
+      loadMs: dataset ? dataset.loadMs : null,
+      fromSnapshot: dataset ? dataset.fromSnapshot : false,
+      counts: dataset ? dataset.counts : null,
+      files: dataset ? dataset.files : [],
+      watching: this.watchers.length > 0,
+      reloading: !!this.reloadPromise,
+      lastReload: this.lastReload,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Short, stable version for a set of source files (changes whenever any file does)
+ */
+function datasetVersion(files) {
+  const fingerprint = files.map(f => `${path.basename(f.path)}:${f.size}:${f.modifiedAt}`).join('|');
+  return crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 12);
+}
+
+module.exports = new DatasetManager();
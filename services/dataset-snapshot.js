@@ -0,0 +1,87 @@
+// Dataset Snapshot - parsed catalog, Q-Report terms and merged gem indexes in one JSON file
+// Built offline by scripts/build-snapshot.js (npm run build) so a fresh process doesn't parse
+// the CSVs on its first request. The snapshot stores a content hash of every source file;
+// if any of them changed, or the snapshot was written by an older format, it is stale and
+// the dataset is built from the CSVs as usual.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Bump when the loaders or the merge change what they produce, so old snapshots are ignored
+const SNAPSHOT_FORMAT = 3;
+const DEFAULT_SNAPSHOT_PATH = config.data?.snapshotPath || path.join(__dirname, '..', 'data', 'dataset-snapshot.json');
+
+/**
+ * Hash of the source files' contents plus the settings that change what's built from them
+ * @param {string[]} filePaths - Every file the sources read
+ * @param {string[]} enabledSources - config.sources.enabled
+ */
+function sourceHash(filePaths, enabledSources = []) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`format:${SNAPSHOT_FORMAT}|sources:${enabledSources.join(',')}`);
+  filePaths.forEach(filePath => {
+    hash.update(`|${path.basename(filePath)}|`);
+    hash.update(fs.readFileSync(filePath));
+  });
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the snapshot if it was built from exactly these source files
+ * @param {string} expectedHash - sourceHash() of the current files
+ * @param {string} [snapshotPath]
+ * @returns {Object|null} null when missing, unreadable or stale
+ */
+function readSnapshot(expectedHash, snapshotPath = DEFAULT_SNAPSHOT_PATH) {
+  if (!fs.existsSync(snapshotPath)) return null;
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    if (snapshot.format !== SNAPSHOT_FORMAT || snapshot.sourceHash !== expectedHash) {
+      console.log(`⚠️  Dataset snapshot is stale (built ${snapshot.builtAt}) - loading the CSVs`);
+      return null;
+    }
+    return snapshot;
+  } catch (err) {
+    console.warn(`⚠️  Could not read dataset snapshot ${snapshotPath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a dataset (and every merged gem index already built for it) to the snapshot file
+ * @param {Object} dataset - From dataset-manager
+ * @param {string} [snapshotPath]
+ * @returns {Promise<Object>} { path, bytes, sourceHash, gemIndexes }
+ */
+async function writeSnapshot(dataset, snapshotPath = DEFAULT_SNAPSHOT_PATH) {
+  const gems = {};
+  for (const [key, value] of dataset.cache) {
+    if (!key.startsWith('gems:')) continue;
+    gems[key] = (await value).all();
+  }
+
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    builtAt: new Date().toISOString(),
+    version: dataset.version,
+    sourceHash: dataset.sourceHash,
+    files: dataset.files.map(f => ({ ...f, path: path.basename(f.path) })),
+    catalog: dataset.catalogLoader.toSnapshot(),
+    qreport: dataset.qreportLoader.toSnapshot(),
+    gems
+  };
+
+  const json = JSON.stringify(snapshot);
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(snapshotPath, json);
+  return { path: snapshotPath, bytes: Buffer.byteLength(json), sourceHash: dataset.sourceHash, gemIndexes: Object.keys(gems) };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  DEFAULT_SNAPSHOT_PATH,
+  sourceHash,
+  readSnapshot,
+  writeSnapshot
+};
@@ -1,84 +1,141 @@
 // Gem Miner orchestrates Q-Report + Catalog + Canvas to produce ranked results
-const QReportLoader = require('./qreport-loader'); // Load from pre-scraped CSV
-const CatalogAYLoader = require('./catalog-ay-loader'); // Load full AY 2025-2026 catalog
+const fs = require('fs');
+const path = require('path');
+const datasets = require('./dataset-manager'); // Q-Report + AY 2025-2026 catalog, hot-reloadable
 const catalog = require('./catalog-parser');
-const canvas = require('./canvas-signals');
-const { rankCourses } = require('./gem-ranking');
+const sources = require('./data-sources'); // Source adapters + per-field priority for mergeCourseData
+const { rankCourses, computeBounds, diversify } = require('./gem-ranking');
 const { getGenEdCategory } = require('./gened-categories');
+const { CourseIdentityResolver, normalizeCourseCode } = require('./course-identity');
+const CourseStore = require('./course-store');
+const { qreportAliases } = require('./cross-listings');
+const InstructorProfiles = require('./instructor-profiles');
+const CommentCorpus = require('./comment-corpus');
+const { parseMeetings, formatMeetings, timeFilters } = require('./meeting-times');
+const { parseTerm, registrationTerm, pickAvailableTerm } = require('./academic-term');
+const catalogDiff = require('./catalog-diff');
+const { feedbackAdjustment } = require('./student-feedback');
+const { isDifferentInstructor } = InstructorProfiles;
 
-// Initialize loaders
-const qreportLoader = new QReportLoader();
-const catalogAYLoader = new CatalogAYLoader();
-
-function mergeCourseData(qCourse, catalogEntry, canvasSignal) {
-  const rating = qCourse?.rating ?? null;
-  const workloadHrs = qCourse?.workloadHrs ?? null;
-  const sentiment = qCourse?.sentiment ?? null;
-  const assessmentLightness = canvasSignal?.assessmentLightness ?? null;
-  const genEd = qCourse?.genEd || catalogEntry?.distribution || null;
-  const finalExam = canvasSignal?.finalExam ?? catalogEntry?.finalExam ?? null;
-  const title = qCourse?.title || catalogEntry?.title || 'Unknown Title';
-  const courseId = qCourse?.courseId || catalogEntry?.courseId || 'UNKNOWN';
-  
-  // Get meeting time info from catalog (prioritize catalog over Q-Report since catalog has current term data)
-  // Q-Report data is from Spring 2025, catalog is from 2025-2026 (more current)
-  const weekdays = catalogEntry?.weekdays || qCourse?.weekdays || null;
-  const startTime = catalogEntry?.startTime || qCourse?.startTime || null;
-  const endTime = catalogEntry?.endTime || qCourse?.endTime || null;
-  const meetingTime = weekdays && startTime && endTime 
-    ? `${weekdays} ${startTime}-${endTime}`
-    : (catalogEntry?.meeting || null);
+// Identity resolver is rebuilt only when the catalog data changes
+let identityResolver = null;
+let identityCatalog = null;
+
+function getIdentityResolver(catalogEntries) {
+  if (identityCatalog !== catalogEntries) {
+    identityResolver = new CourseIdentityResolver(catalogEntries);
+    identityCatalog = catalogEntries;
+  }
+  return identityResolver;
+}
+
+/**
+ * Short form of an instructor profile for course results
+ */
+function summarizeProfile(profile) {
+  if (!profile) return null;
+  return {
+    name: profile.name,
+    lecturerScore: profile.lecturerScore,
+    responses: profile.responses,
+    courseCount: profile.courses.length,
+    termCount: profile.terms.length
+  };
+}
+
+/**
+ * Merge one course's source records into a gem record
+ * Each field comes from the highest-priority source with a value for it (config.sources.priority,
+ * see data-sources.js); `fieldSources` says which source that was.
+ * @param {Object} records - Source name => record, e.g. { qreport: row, catalog: entry, canvas: signal }
+ */
+function mergeCourseData(records) {
+  const fieldSources = {};
+  const pick = field => {
+    const { value, source } = sources.pick(field, records);
+    if (source) fieldSources[field] = source;
+    return value;
+  };
+
+  const courseId = pick('courseId') || 'UNKNOWN';
+  const subject = pick('subject');
+  const genEd = pick('genEd');
+
+  // Meeting times come from the catalog first (config.sources.priority): Q-Report describes a past term
+  const weekdays = pick('weekdays');
+  const startTime = pick('startTime');
+  const endTime = pick('endTime');
+  const meetings = pick('meetings') || parseMeetings({ weekdays, startTime, endTime });
+  const meetingTime = meetings.length > 0
+    ? formatMeetings(meetings)
+    : pick('meetingText');
   
+  // The adjusted rating shrinks the Q-Report rating; when the rating comes from elsewhere (an
+  // override, HUGems) it would hide that rating from GemScore, so the rating is used as is
+  const rating = pick('rating');
+  let adjustedRating = pick('adjustedRating');
+  if (fieldSources.adjustedRating && fieldSources.adjustedRating !== fieldSources.rating) {
+    adjustedRating = null;
+    delete fieldSources.adjustedRating;
+  }
+
   // Determine if this is a GenEd and get its category
-  const isGenEd = catalogEntry?.subject?.toUpperCase() === 'GENED' || genEd !== null;
+  const isGenEd = subject?.toUpperCase() === 'GENED' || genEd !== null;
   const genEdCategory = isGenEd ? getGenEdCategory(courseId) : null;
   
   return {
     courseId,
-    title,
-    department: qCourse?.department || catalogEntry?.department || catalogEntry?.subject || null,
-    subject: catalogEntry?.subject || null, // Preserve subject field for GenEd detection
+    numericId: pick('numericId'),
+    title: pick('title') || 'Unknown Title',
+    department: pick('department'),
+    subject, // Preserve subject field for GenEd detection
     rating,
-    workloadHrs,
-    sentiment,
-    assessmentLightness,
+    workloadHrs: pick('workloadHrs'),
+    sentiment: pick('sentiment'),
+    gemProbability: pick('gemProbability'),
+    recScore: pick('recScore'),
+    // Most positive, most critical and most gem-like student comment (see comment-corpus.js)
+    comments: pick('comments'),
+    // Rating shrunk toward the term average by response count, and how sure we are of it
+    adjustedRating,
+    ratingConfidence: pick('ratingConfidence'),
+    numResponded: pick('numResponded'),
+    numStudents: pick('numStudents'),
+    responseRate: pick('responseRate'),
+    distributions: pick('distributions'),
+    assessmentLightness: pick('assessmentLightness'),
     meetingTime,
+    meetings, // [{ days, start, end }] blocks (see meeting-times.js)
     genEd,
     genEdCategory, // Add GenEd category (Aesthetics and Culture, Ethics and Civics, etc.)
-    finalExam,
-    // Include Q-Report link and other metadata from qCourse
-    qreportLink: qCourse?.qreportLink || null,
-    description: qCourse?.description || catalogEntry?.description || null,
-    weekdays: weekdays,
-    startTime: startTime,
-    endTime: endTime,
-    requirements: catalogEntry?.requirements || null,
-    instructors: catalogEntry?.instructors || qCourse?.instructor || null,
-    term: catalogEntry?.term || null
+    finalExam: pick('finalExam'),
+    // Assessment breakdown from an ingested Canvas export/syllabus (see canvas-ingest.js)
+    assessments: pick('assessments'),
+    gradingWeights: pick('gradingWeights'),
+    canvasSources: pick('canvasSources'),
+    qreportLink: pick('qreportLink'),
+    description: pick('description'),
+    weekdays,
+    startTime,
+    endTime,
+    requirements: pick('requirements'),
+    prerequisites: pick('prerequisites'), // Parsed requirements (see prerequisites.js)
+    instructors: pick('instructors'),
+    qreportInstructor: pick('qreportInstructor'),
+    lecturerScore: pick('lecturerScore'),
+    term: pick('term'),
+    // Which Q-Report term the ratings come from, plus how they've moved over time
+    qreportTerm: pick('qreportTerm'),
+    history: pick('history'),
+    trend: pick('trend'),
+    fieldSources
   };
 }
 
 /**
- * Strip section numbers from course IDs for matching
- * e.g., "ANTHRO 97Z 001" => "ANTHRO 97Z"
- * BUT keep course numbers like "APMTH 120" unchanged
+ * Deduplicate catalog entries by courseId (keep most recent term or first entry)
  */
-function stripSectionNumber(courseId) {
-  // Only strip section numbers that are 001-099 (actual sections)
-  // Do NOT strip course numbers like 100-999
-  // Pattern: space + 0 + two digits at end (001-099)
-  return courseId.replace(/\s+0\d{2}$/,'').trim();
-}
-
-async function findGems(query = {}) {
-  // 1) Source datasets
-  // Use the NEW AY Catalog (with clean meeting times, requirements, etc.)
-  const qCourses = await qreportLoader.fetchCourses(query.filters || {});
-  const catalogEntries = catalogAYLoader.loadData(); // Use AY catalog, not old catalog!
-  
-  console.log(`🔍 Gem Miner: Found ${qCourses.length} Q-Report courses, ${catalogEntries.length} AY catalog entries`);
-  
-  // Deduplicate catalog entries by courseId (keep most recent term or first entry)
+function dedupeCatalog(catalogEntries) {
   const catalogDeduped = new Map();
   catalogEntries.forEach(entry => {
     const existing = catalogDeduped.get(entry.courseId);
@@ -95,51 +152,113 @@ async function findGems(query = {}) {
       }
     }
   });
-  const catalogUnique = Array.from(catalogDeduped.values());
-  console.log(`📚 Deduplicated catalog: ${catalogEntries.length} → ${catalogUnique.length} unique courses`);
-  
-  const courseIds = qCourses.map(c => c.courseId).filter(Boolean);
-  const canvasSignals = await canvas.loadSignals(courseIds);
+  return Array.from(catalogDeduped.values());
+}
+
+/**
+ * A source's records keyed by their own normalized code and the catalog code they resolve to
+ * @param {Array} records - Records with a courseId (and optionally numericId)
+ * @param {CourseIdentityResolver} resolver
+ * @returns {Map<string, Object>}
+ */
+function indexByCourseCode(records, resolver) {
+  const byCode = new Map();
+  if (records.length === 0) return byCode;
+  const { matches } = resolver.resolveAll(records);
+  records.forEach(record => {
+    const match = matches.get(record);
+    const codes = [normalizeCourseCode(record.courseId)];
+    if (match) codes.unshift(normalizeCourseCode(match.entry.courseId));
+    codes.forEach(code => {
+      if (!byCode.has(code)) byCode.set(code, record);
+    });
+  });
+  return byCode;
+}
+
+/**
+ * Merge one Q-Report term with the AY catalog and index the result
+ * @param {Array} qCourses - Every Q-Report row for the term (unfiltered)
+ * @param {Array} catalogEntries - AY catalog entries
+ * @param {Object} [options]
+ * @param {InstructorProfiles} [options.profiles] - Lecturer score profiles for the Q-Report instructors
+ * @param {CrossListings} [options.crossListings] - Cross-listed catalog courses, merged into one result
+ * @param {Array} [options.sources] - The other loaded sources ({ adapter, records }, see data-sources.js):
+ *   HUGems, Canvas, overrides. Their fields win or fill in by config.sources.priority.
+ * @returns {Promise<CourseStore>}
+ */
+async function buildGemDataset(qCourses, catalogEntries, options = {}) {
+  const { profiles = null, crossListings = null } = options;
+  console.log(`🔍 Gem Miner: Merging ${qCourses.length} Q-Report courses with ${catalogEntries.length} AY catalog entries`);
+
+  const resolver = getIdentityResolver(catalogEntries);
+  const catalogName = sources.list('catalog')[0].name;
+  const ratingsName = sources.list('ratings')[0].name;
+  const indexes = (options.sources || []).map(source => ({
+    name: source.adapter.name,
+    byCode: indexByCourseCode(source.records, resolver)
+  }));
+  // Records from every other source for a course, tried under each of its codes
+  const recordsFor = (...codes) => {
+    const records = {};
+    indexes.forEach(({ name, byCode }) => {
+      const record = codes.map(code => byCode.get(code)).find(Boolean);
+      if (record) records[name] = record;
+    });
+    return records;
+  };
 
   //  stale Q-Report data, use catalog entries with default ratings
-  const qById = new Map(qCourses.map(q => [q.courseId, q]));
   let merged = [];
   
-  if (qCourses.length === 0 && catalogUnique.length > 0) {
+  if (qCourses.length === 0 && catalogEntries.length > 0) {
+    const catalogUnique = dedupeCatalog(catalogEntries);
+    console.log(`📚 Deduplicated catalog: ${catalogEntries.length} → ${catalogUnique.length} unique courses`);
+
     // Fallback: use catalog entries with default values
     console.warn('⚠️  WARNING: No Q-Report data found! Using catalog entries with DEFAULT ratings');
-    console.warn('⚠️  To get real ratings, ensure data/qreport-spring-2025.csv exists');
-    merged = catalogUnique.map(cat => mergeCourseData(null, cat, null)).map(c => {
+    console.warn('⚠️  To get real ratings, add a data/qreport-<term>-<year>.csv export (e.g. qreport-spring-2025.csv)');
+    merged = catalogUnique.map(cat => {
+      const code = normalizeCourseCode(cat.courseId);
+      const c = mergeCourseData({ ...recordsFor(code), [catalogName]: cat });
+      c.courseId = code;
       // Add a flag so we can warn users
-      c._usingDefaults = true;
+      c._usingDefaults = c.rating == null || c.workloadHrs == null;
+      // Which fields get a default below, so the GemScore breakdown can say so
+      c._defaulted = ['rating', 'workloadHrs', 'sentiment'].filter(field => c[field] == null);
       return {
         ...c,
-        rating: 4.0, // Default rating (NOT from HUGems)
-        workloadHrs: 6, // Default workload (NOT from HUGems)
-        sentiment: 0.5 // Default sentiment
+        rating: c.rating ?? 4.0, // Default rating when no source (e.g. HUGems) has one
+        workloadHrs: c.workloadHrs ?? 6, // Default workload when no source has one
+        sentiment: c.sentiment ?? 0.5 // Default sentiment
       };
     });
   } else {
     // Normal merge: Q-Report courses + catalog enrichment
     // ONLY use courses that have Q-Report data (don't add catalog-only courses)
-    // Create catalog map with BOTH original ID and stripped ID for matching
-    const catalogById = new Map();
-    catalogUnique.forEach(entry => {
-      catalogById.set(entry.courseId, entry);
-      // Also add with stripped version for matching Q-Report sections
-      const stripped = stripSectionNumber(entry.courseId);
-      if (stripped !== entry.courseId) {
-        catalogById.set(stripped, entry);
-      }
-    });
+    // Join on the numeric course ID first, then subject + number (see course-identity.js)
+    const { matches, stats } = resolver.resolveAll(qCourses);
+    console.log(`🔗 Matched Q-Report rows to catalog: ${stats.byNumericId} by course ID, ${stats.byCode} by code, ${stats.unmatched} unmatched`);
     
-    // Merge Q-Report data with catalog, trying both exact match and stripped match
     merged = qCourses.map(q => {
-      const strippedId = stripSectionNumber(q.courseId);
-      const catalogEntry = catalogById.get(q.courseId) || catalogById.get(strippedId);
-      const mergedCourse = mergeCourseData(q, catalogEntry, canvasSignals[q.courseId]);
-      // Use stripped ID as the canonical courseId for consistency
-      mergedCourse.courseId = strippedId;
+      const match = matches.get(q);
+      const catalogEntry = match ? match.entry : null;
+      // Use the catalog's current code (without section numbers) as the canonical courseId,
+      // so renumbered courses show up under the number students will register for
+      const courseId = normalizeCourseCode(catalogEntry ? catalogEntry.courseId : q.courseId);
+      const mergedCourse = mergeCourseData({
+        ...recordsFor(courseId, normalizeCourseCode(q.courseId)),
+        [ratingsName]: q,
+        ...(catalogEntry ? { [catalogName]: catalogEntry } : {})
+      });
+      mergedCourse.courseId = courseId;
+      mergedCourse.matchedBy = match ? match.matchedBy : null;
+      mergedCourse.catalogInstructors = catalogEntry?.instructors || null;
+      const profile = profiles && profiles.forRow(q);
+      mergedCourse.instructorProfile = summarizeProfile(profile);
+      // Q-Report only has a surname; show the full name when the catalog (or an override) doesn't list anyone
+      const instructorsFrom = mergedCourse.fieldSources.instructors;
+      if ((!instructorsFrom || instructorsFrom === ratingsName) && profile?.fullNameKnown) mergedCourse.instructors = profile.name;
       
       return mergedCourse;
     });
@@ -148,24 +267,200 @@ async function findGems(query = {}) {
     merged.forEach(c => c._hasQReportData = true);
   }
 
+
   // Final deduplication pass (in case Q-Report has duplicates too)
+  // Cross-listings (NEURO 141 / PHYSICS 141) collapse into one result that lists every code,
+  // and so do unmatched Q-Report rows that are another row's course under a different code.
+  // Q-Report has a row per instructor/section; remember every instructor the ratings came from
+  const canonicalCode = c => (crossListings ? crossListings.canonicalCode(c.courseId) : c.courseId);
+  const aliases = qreportAliases(merged.filter(c => c._hasQReportData), canonicalCode);
+  const groupKey = c => aliases.get(c) || canonicalCode(c);
   const mergedDeduped = new Map();
+  const ratingsInstructors = new Map();
+  const groupCodes = new Map();
   merged.forEach(c => {
-    const key = c.courseId;
-    if (!mergedDeduped.has(key)) {
-      mergedDeduped.set(key, c);
+    const key = groupKey(c);
+    const kept = mergedDeduped.get(key);
+    if (!kept) {
+      ratingsInstructors.set(key, new Set());
+      groupCodes.set(key, new Set());
     }
+    // An unmatched alias only stands for the course until the row the catalog knows turns up
+    if (!kept || (aliases.has(kept) && !aliases.has(c))) mergedDeduped.set(key, c);
+    if (c._hasQReportData && c.qreportInstructor) ratingsInstructors.get(key).add(c.qreportInstructor);
+    const codes = crossListings ? crossListings.codesFor(c.courseId) : [c.courseId];
+    codes.forEach(code => groupCodes.get(key).add(code));
   });
   merged = Array.from(mergedDeduped.values());
+  merged.forEach(c => {
+    const codes = groupCodes.get(groupKey(c));
+    if (codes.size > 1) c.codes = Array.from(codes).sort();
+    if (!c._hasQReportData) return;
+    c.ratingsInstructors = Array.from(ratingsInstructors.get(groupKey(c)));
+    // Flag ratings that describe a different instructor than the one teaching next
+    c.differentInstructor = isDifferentInstructor(c.ratingsInstructors, c.catalogInstructors);
+  });
   
   console.log(`📊 Gem Miner: ${merged.length} courses after merge and deduplication`);
+  // How many courses took at least one field from each of the other sources
+  indexes.forEach(({ name }) => {
+    const used = merged.filter(c => Object.values(c.fieldSources).includes(name)).length;
+    if (used > 0) console.log(`🧩 ${name}: supplied fields for ${used} courses`);
+  });
+  return new CourseStore(merged);
+}
+
+/**
+ * Indexed gem dataset for a Q-Report term (defaults to the most recent term)
+ * Built on first use and kept with the loaded dataset, so a data reload starts fresh.
+ * @param {string} [qreportTerm]
+ * @param {Object} [dataset] - Defaults to the active dataset
+ * @returns {Promise<CourseStore>}
+ */
+async function getGemDataset(qreportTerm, dataset = datasets.getDataset()) {
+  const qCourses = dataset.qreportLoader.loadData({ term: qreportTerm });
+  const key = `gems:${qCourses.length > 0 ? qCourses[0].term : ''}`;
+
+  if (!dataset.cache.has(key)) {
+    // Store the promise so concurrent requests share one build
+    const building = buildGemDataset(qCourses, dataset.catalogStore.all(), {
+      profiles: getInstructorProfiles(dataset),
+      crossListings: dataset.crossListings,
+      sources: dataset.sources
+    })
+      .catch(err => {
+        dataset.cache.delete(key);
+        throw err;
+      });
+    dataset.cache.set(key, building);
+  }
+  return dataset.cache.get(key);
+}
+
+/**
+ * Lecturer score profiles across every Q-Report term, kept with the loaded dataset
+ * @param {Object} [dataset] - Defaults to the active dataset
+ * @returns {InstructorProfiles}
+ */
+function getInstructorProfiles(dataset = datasets.getDataset()) {
+  if (!dataset.cache.has('instructors')) {
+    const { byTerm } = dataset.qreportLoader.loadAllTerms();
+    const profiles = new InstructorProfiles(byTerm, getIdentityResolver(dataset.catalogStore.all()));
+    console.log(`👩‍🏫 Instructor profiles: ${profiles.size} instructors`);
+    dataset.cache.set('instructors', profiles);
+  }
+  return dataset.cache.get('instructors');
+}
+
+/**
+ * Student comments from every Q-Report term, kept with the loaded dataset
+ * @param {Object} [dataset] - Defaults to the active dataset
+ * @returns {CommentCorpus}
+ */
+function getCommentCorpus(dataset = datasets.getDataset()) {
+  if (!dataset.cache.has('comments')) {
+    const { byTerm } = dataset.qreportLoader.loadAllTerms();
+    const corpus = new CommentCorpus(Array.from(byTerm.values()).flat());
+    console.log(`💬 Comment corpus: ${corpus.size} comments`);
+    dataset.cache.set('comments', corpus);
+  }
+  return dataset.cache.get('comments');
+}
+
+// Build the latest term's gem index before a reloaded dataset goes live
+datasets.onWarmup(dataset => getGemDataset(undefined, dataset));
+
+/**
+ * Keep only courses offered in a catalog term, with that offering's meeting times and instructors
+ * (a gem record carries one catalog entry, normally the most recent offering)
+ * @param {Array} courses - Gem records
+ * @param {string} term - Catalog term, e.g. "2025 Fall"
+ */
+function offeredInTerm(courses, term) {
+  const offerings = datasets.getDataset().catalogStore.getByTerm(term);
+  const byId = new Map();
+  const byCode = new Map();
+  offerings.forEach(entry => {
+    if (entry.numericId) byId.set(entry.numericId, entry);
+    byCode.set(normalizeCourseCode(entry.courseId), entry);
+  });
+
+  return courses.flatMap(c => {
+    const entry = (c.numericId && byId.get(c.numericId)) ||
+                  [normalizeCourseCode(c.courseId), ...(c.codes || [])].map(code => byCode.get(code)).find(Boolean);
+    if (!entry) return [];
+    if (entry.term === c.term) return [c];
+    return [{
+      ...c,
+      term: entry.term,
+      meetings: entry.meetings,
+      meetingTime: entry.meetings.length > 0 ? formatMeetings(entry.meetings) : entry.meeting,
+      weekdays: entry.weekdays,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      catalogInstructors: entry.instructors || null,
+      differentInstructor: c.ratingsInstructors
+        ? isDifferentInstructor(c.ratingsInstructors, entry.instructors)
+        : c.differentInstructor
+    }];
+  });
+}
+
+/**
+ * Apply Q-Report filters (department, titleSearch, instructor, minRating, maxHrsPerWeek, minGemProb)
+ * and time filters (startsAfter, endsBefore, freeDays, onlyDays, notOverlapping)
+ * Department, keyword and instructor filters use the store's indexes; the rest are checked per course,
+ * after switching to the given term's offering so meeting times are the ones for that term.
+ * @param {CourseStore} store
+ * @param {Object} [filters]
+ * @param {string} [term] - Catalog term; courses not offered then are dropped
+ */
+function queryGemDataset(store, filters = {}, term = null) {
+  let courses = store.query({
+    subject: filters.department,
+    keyword: filters.titleSearch,
+    instructor: filters.instructor
+  });
+
+  if (term) courses = offeredInTerm(courses, term);
+  const fitsTimes = timeFilters(filters);
+  if (fitsTimes.length > 0) {
+    courses = courses.filter(c => fitsTimes.every(fits => fits(c.meetings || [])));
+  }
+
+  if (filters.minRating != null) {
+    courses = courses.filter(c => c.rating != null && c.rating >= filters.minRating);
+  }
+  if (filters.maxHrsPerWeek != null) {
+    courses = courses.filter(c => c.workloadHrs != null && c.workloadHrs <= filters.maxHrsPerWeek);
+  }
+  if (filters.minGemProb != null) {
+    courses = courses.filter(c => c.gemProbability != null && c.gemProbability >= filters.minGemProb);
+  }
+  return courses;
+}
+
+async function findGems(query = {}) {
+  // 1) Source datasets
+  // Ratings come from the most recent Q-Report term unless a specific term was asked for.
+  // The merge with the AY catalog happens once per term (see getGemDataset)
+  const store = await getGemDataset(query.qreportTerm);
+
+  // 2) Indexed filters, limited to courses offered in query.term (a catalog term, see selectTerm)
+  const filters = query.filters || {};
+  const merged = queryGemDataset(store, filters, query.term);
+  const inTerm = query.term ? ` in ${query.term}` : '';
+  console.log(`🔍 Gem Miner: ${merged.length} of ${store.size} courses match the query filters${inTerm}`);
 
   // 3) Optional constraints
   let filtered = merged;
   if (query.maxHrsPerWeek != null) {
     filtered = filtered.filter(c => c.workloadHrs == null || c.workloadHrs <= query.maxHrsPerWeek);
   }
-  if (query.noFinal === true) {
+  // extractQuery puts noFinal in query.filters; accept it at the top level too
+  // Courses with no Canvas data (finalExam null) are kept - we can't rule them out
+  const noFinal = query.noFinal ?? filters.noFinal;
+  if (noFinal === true) {
     filtered = filtered.filter(c => c.finalExam === false || c.finalExam === 'no' || c.finalExam === null);
   }
   if (query.department) {
@@ -185,7 +480,9 @@ async function findGems(query = {}) {
       const courseId = String(c.courseId || '').toUpperCase().trim();
       // Match exact course code (e.g., "COMPSCI 50" matches "COMPSCI 50")
       // Also handle section numbers (e.g., "COMPSCI 50" matches "COMPSCI 50 001")
-      return courseId === codeUpper || courseId.startsWith(codeUpper + ' ');
+      // and the other codes a cross-listed course is offered under
+      return courseId === codeUpper || courseId.startsWith(codeUpper + ' ') ||
+             (c.codes || []).includes(normalizeCourseCode(codeUpper));
     });
     console.log(`🎯 Filtered to course code "${codeUpper}": ${filtered.length} courses found`);
   }
@@ -203,10 +500,30 @@ async function findGems(query = {}) {
   
   console.log(`✅ Gem Miner: ${filtered.length} courses after filtering`);
 
-  // 4) Rank
-  const ranked = rankCourses(filtered, { preferredTimes: query.preferredTimes || [] });
-  console.log(`🎯 Gem Miner: ${ranked.length} courses ranked`);
-  return ranked;
+  // 4) Rank with the requested scoring profile, normalized over the whole term so scores
+  // don't depend on which courses happened to match.
+  // query.feedback (a chat's saved feedback): dismissed courses are hidden unless asked about
+  // by code, and courses like the liked ones score higher
+  const feedback = feedbackAdjustment(query.feedback);
+  const askedAbout = filters.courseCode || query.courseCode;
+  if (feedback && askedAbout) feedback.hidden.delete(normalizeCourseCode(askedAbout));
+  const ranked = rankCourses(filtered, {
+    profile: query.profile,
+    bounds: computeBounds(store.all()),
+    timePreferences: query.timePreferences,
+    feedback
+  });
+  console.log(`🎯 Gem Miner: ${ranked.length} courses ranked (${ranked[0]?.scoreProfile || 'no'} profile)`);
+  if (ranked.length < filtered.length) {
+    console.log(`🙈 Gem Miner: ${filtered.length - ranked.length} course(s) the student dismissed left out`);
+  }
+
+  // 5) Spread the top of the list across subjects, GenEd categories and meeting times
+  // (query.diversity: 0 keeps plain GemScore order; default config.ranking.diversity.strength)
+  const diversified = diversify(ranked, { strength: query.diversity });
+  const moved = diversified.filter((c, i) => c.scoreRank != null && c.scoreRank !== i + 1).length;
+  if (moved > 0) console.log(`🔀 Gem Miner: ${moved} of the top courses re-ranked for variety`);
+  return diversified;
 }
 
 /**
@@ -215,62 +532,195 @@ async function findGems(query = {}) {
  * Use this to validate course existence and prevent hallucinations
  */
 async function getAllAvailableCourses(filters = {}) {
-  let courses = catalogAYLoader.loadData();
-  
-  // Apply basic filters
-  if (filters.term) {
-    courses = courses.filter(c => 
-      c.term.toLowerCase().includes(filters.term.toLowerCase())
-    );
-  }
-  
-  if (filters.subject) {
-    courses = courses.filter(c =>
-      c.subject.toUpperCase().includes(filters.subject.toUpperCase())
-    );
-  }
-  
-  if (filters.weekdays) {
-    const weekdaysLower = filters.weekdays.toLowerCase();
-    courses = courses.filter(c => {
-      if (!c.meetingParsed || !c.meetingParsed.weekdays) return false;
-      return c.meetingParsed.weekdays.toLowerCase().includes(weekdaysLower);
-    });
-  }
-  
-  // Filter by course code if provided
-  if (filters.courseCode) {
-    const codeUpper = String(filters.courseCode).toUpperCase().trim();
-    courses = courses.filter(c => {
-      const courseId = String(c.courseId || '').toUpperCase().trim();
-      return courseId === codeUpper || courseId.startsWith(codeUpper + ' ');
-    });
-  }
+  const courses = datasets.getDataset().catalogStore.query({
+    term: filters.term,
+    subject: filters.subject,
+    weekdays: filters.weekdays,
+    courseCode: filters.courseCode,
+    startsAfter: filters.startsAfter,
+    endsBefore: filters.endsBefore,
+    freeDays: filters.freeDays,
+    onlyDays: filters.onlyDays,
+    notOverlapping: filters.notOverlapping
+  });
   
   console.log(`📚 Catalog: ${courses.length} courses available matching filters`);
   return courses;
 }
 
+/**
+ * Ranked keyword search over catalog titles and descriptions
+ * @param {string} text - e.g. "climate policy"
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.term] - Only courses offered in this term
+ * @returns {Array} Catalog entries, best matches first
+ */
+function searchCourses(text, options = {}) {
+  const store = datasets.getDataset().catalogStore;
+  let hits = store.search(text).map(hit => hit.course);
+  if (options.term) {
+    const inTerm = new Set(store.getByTerm(options.term));
+    hits = hits.filter(c => inTerm.has(c));
+  }
+  return hits.slice(0, options.limit || 20);
+}
+
+/**
+ * Instructor profiles matching a name
+ * @param {string} name - "Hammonds" or "Evelynn Hammonds"
+ * @returns {Array} { name, lecturerScore, lecturerScoreMedian, lecturerScoreStdev, responses, courses, terms, sections }
+ */
+function findInstructors(name) {
+  return getInstructorProfiles().find(name);
+}
+
+/**
+ * Q-Report terms available, oldest first, and the most recent one
+ * @returns {{terms: string[], latest: string|null}}
+ */
+function getQReportTerms() {
+  const { qreportLoader } = datasets.getDataset();
+  return {
+    terms: qreportLoader.getTerms(),
+    latest: qreportLoader.getLatestTerm()
+  };
+}
+
+/**
+ * Terms in the AY catalog, oldest first (e.g. ["2025 Fall", "2026 Spring"])
+ */
+function getCatalogTerms() {
+  return datasets.getDataset().catalogLoader.getTerms();
+}
+
+/**
+ * Catalog term to answer for: the one the student asked for, or else the term they're
+ * registering for on `date`. When that term isn't in the catalog yet (the calendar has
+ * moved past our data) the closest available term is used and `isFallback` is set.
+ * @param {string|Object} [requested] - "Fall 2025", a parsed term, or nothing
+ * @param {Date} [date]
+ * @returns {{term: Object, requested: Object, isFallback: boolean}}
+ */
+function selectTerm(requested, date = new Date()) {
+  const wanted = parseTerm(requested) || registrationTerm(date);
+  const term = pickAvailableTerm(wanted, getCatalogTerms()) || wanted;
+  return { term, requested: wanted, isFallback: term.key !== wanted.key };
+}
+
 /**
  * Verify if a course exists in the catalog
  */
 function courseExists(courseId) {
-  const course = catalogAYLoader.getCourseById(courseId);
+  const course = datasets.getDataset().catalogLoader.getCourseById(courseId);
   return course !== undefined;
 }
 
 /**
  * Get course details by ID
+ * Cross-listed courses also get `codes`, every code the course is offered under
  */
 function getCourseDetails(courseId) {
-  return catalogAYLoader.getCourseById(courseId);
+  const dataset = datasets.getDataset();
+  const course = dataset.catalogLoader.getCourseById(courseId);
+  const group = course && dataset.crossListings.getGroup(course.courseId);
+  return group ? { ...course, codes: group.codes } : course;
+}
+
+/**
+ * Cross-listing group for any of its codes ("HIST 86" finds AFRAMER 86 / HIST 86)
+ * @returns {{canonical: string, codes: string[], title: string}|null}
+ */
+function getCrossListing(courseId) {
+  return datasets.getDataset().crossListings.getGroup(courseId);
+}
+
+/**
+ * What a course requires before you can take it
+ * @param {string} courseId - "ECON 1010A", "CS 2790R"
+ * @returns {{course: Object, prerequisites: Object|null, summary: string|null}|null} null if not in the catalog
+ */
+function getPrerequisites(courseId) {
+  return datasets.getDataset().prerequisites.requirementsFor(courseId);
+}
+
+/**
+ * Courses that list a course as a prerequisite, optionally only those offered in a term
+ * @param {string} courseId - "MCB 80"
+ * @param {Object} [options]
+ * @param {string} [options.term] - Catalog term, e.g. "2026 Spring"
+ * @returns {Array} Catalog entries
+ */
+function getUnlockedCourses(courseId, options = {}) {
+  const { prerequisites, catalogStore } = datasets.getDataset();
+  let courses = prerequisites.unlocks(courseId);
+  if (options.term) {
+    const inTerm = new Set(catalogStore.getByTerm(options.term).map(c => normalizeCourseCode(c.courseId)));
+    courses = courses.filter(c => inTerm.has(normalizeCourseCode(c.courseId)));
+  }
+  return courses;
+}
+
+/**
+ * What changed in the catalog since the saved previous version (data/catalog-previous.json)
+ * The full diff is kept with the loaded dataset until the previous catalog is saved again.
+ * @param {Object} [options]
+ * @param {string} [options.term] - Catalog term, e.g. "2026 Spring"
+ * @param {string} [options.courseId] - Only this course ("CS 50")
+ * @returns {Object|null} Diff from catalog-diff.js, or null if no previous catalog is saved
+ */
+function getCatalogChanges(options = {}) {
+  const dataset = datasets.getDataset();
+  const previousPath = catalogDiff.DEFAULT_PREVIOUS_PATH;
+  if (!fs.existsSync(previousPath)) return null;
+
+  const key = `catalogDiff:${fs.statSync(previousPath).mtimeMs}`;
+  if (!dataset.cache.has(key)) {
+    const previous = catalogDiff.loadCatalogSnapshot(previousPath);
+    const current = catalogDiff.catalogSnapshot(dataset.catalogStore.all(), path.basename(dataset.catalogLoader.csvPath));
+    dataset.cache.set(key, catalogDiff.diffCatalogs(previous, current));
+  }
+  return catalogDiff.filterDiff(dataset.cache.get(key), options);
+}
+
+/**
+ * Courses students describe with a phrase ("life-changing"), with the matching quote
+ * @param {string} text - Phrase to look for in Q-Report comments
+ * @param {Object} [options]
+ * @param {string} [options.term] - Only courses offered in this catalog term, e.g. "2026 Spring"
+ * @param {string} [options.kind] - Only 'positive', 'critical' or 'gem' comments
+ * @param {number} [options.limit] - Max courses (default 10)
+ * @returns {Array} [{ courseId, numericId, title, term, kind, text, sentiment?, gemProbability?, exact, score }]
+ */
+function searchComments(text, options = {}) {
+  const dataset = datasets.getDataset();
+  let hits = getCommentCorpus(dataset).search(text, { kind: options.kind });
+  if (options.term) {
+    // Numeric IDs catch courses renumbered since the Q-Report term
+    const offered = dataset.catalogStore.getByTerm(options.term);
+    const codes = new Set(offered.map(c => normalizeCourseCode(c.courseId)));
+    const ids = new Set(offered.map(c => c.numericId).filter(Boolean));
+    hits = hits.filter(hit => codes.has(hit.courseId) || ids.has(hit.numericId));
+  }
+  return hits.slice(0, options.limit || 10);
 }
 
 module.exports = { 
   findGems, 
+  getGemDataset,
   getAllAvailableCourses, 
   courseExists,
-  getCourseDetails
+  getCourseDetails,
+  getCrossListing,
+  getPrerequisites,
+  getUnlockedCourses,
+  getCatalogChanges,
+  searchComments,
+  searchCourses,
+  findInstructors,
+  getQReportTerms,
+  getCatalogTerms,
+  selectTerm
 };
 
 
@@ -1,4 +1,10 @@
 // Gem ranking functions (GemScore) and normalization utilities
+// GemScore weights come from the scoring profile (config.ranking.profiles)
+const config = require('../config');
+const { meetingsOf, meetingsOverlap } = require('./meeting-times');
+const { hasGemComment } = require('./comment-corpus');
+const { checkTimePreferences, hasTimePreferences } = require('./time-preferences');
+const { normalizeCourseCode } = require('./course-identity');
 
 function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 
@@ -9,60 +15,326 @@ function normalize(value, min, max, invert = false) {
   return invert ? 1 - v : v;
 }
 
-// Simplified, intuitive GemScore: Higher = Better Gem
-// Based on clear criteria students care about
-function computeGemScore(course, bounds) {
-  let score = 0;
-
-  // 1. RATING (0-50 points) - Most important factor
-  const rating = course.rating ?? 0;
-  if (rating >= 4.5) score += 50;      // Perfect/Excellent
-  else if (rating >= 4.0) score += 40; // Very good
-  else if (rating >= 3.5) score += 30; // Good
-  else if (rating >= 3.0) score += 20; // Okay
-  else score += 10;                     // Below average
-
-  // 2. WORKLOAD (0-40 points) - Lower hours = more points
-  const workloadHrs = course.workloadHrs ?? 10;
-  if (workloadHrs <= 3) score += 40;      // Very light
-  else if (workloadHrs <= 5) score += 30; // Light
-  else if (workloadHrs <= 8) score += 20; // Moderate
-  else if (workloadHrs <= 10) score += 10; // Medium
-  else score += 0;                         // Heavy (no points)
-
-  // 3. COMMENTS MENTIONING "GEM" or "EASY" (0-10 points bonus)
-  const comment = course.bestComment || '';
-  const lowerComment = comment.toLowerCase();
-  if (lowerComment.includes('gem') || lowerComment.includes('easy class') || lowerComment.includes('easy course')) {
-    score += 10; // Bonus for explicit "gem" or "easy" mentions
+// Bounds cover the 5th-95th percentile of each factor, so one 22-hour course doesn't squash
+// everyone else's workload into the top of the scale; values outside are clamped
+const BOUNDS_PERCENTILES = [0.05, 0.95];
+
+// Used when there are too few courses to measure a spread
+const DEFAULT_BOUNDS = {
+  ratingMin: 1, ratingMax: 5,
+  workloadMin: 0, workloadMax: 20,
+  enrollmentMin: Math.log1p(5), enrollmentMax: Math.log1p(500),
+  gemProbabilityMin: 0, gemProbabilityMax: 1,
+  recScoreMin: 1, recScoreMax: 5,
+  sentimentMin: -1, sentimentMax: 1
+};
+
+function percentile(sorted, p) {
+  return sorted[Math.floor(p * (sorted.length - 1))];
+}
+
+function range(values, minKey, maxKey, options = {}) {
+  const sorted = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  const [low, high] = BOUNDS_PERCENTILES.map(p => percentile(sorted, p));
+  if (options.fromZero) {
+    // Mostly zeros: scale from 0 up to the spread of the courses that have any
+    const positive = sorted.filter(v => v > 0);
+    const top = positive.length > 0 ? percentile(positive, BOUNDS_PERCENTILES[1]) : 0;
+    return top > 0 ? { [minKey]: 0, [maxKey]: top } : { [minKey]: DEFAULT_BOUNDS[minKey], [maxKey]: DEFAULT_BOUNDS[maxKey] };
   }
+  if (sorted.length === 0 || low === high) return { [minKey]: DEFAULT_BOUNDS[minKey], [maxKey]: DEFAULT_BOUNDS[maxKey] };
+  return { [minKey]: low, [maxKey]: high };
+}
+
+/**
+ * Ranges GemScore normalizes each factor over
+ * Pass the whole term's courses (not just a query's matches) so scores mean the same thing in every answer.
+ * @param {Array} courses
+ * @returns {Object} Min/max per factor: { ratingMin, ratingMax, workloadMin, ... }
+ */
+function computeBounds(courses = []) {
+  return {
+    ...range(courses.map(c => c.adjustedRating ?? c.rating), 'ratingMin', 'ratingMax'),
+    ...range(courses.map(c => c.workloadHrs), 'workloadMin', 'workloadMax'),
+    // Enrollment is log-scaled: 10 vs 20 students matters more than 300 vs 310
+    ...range(courses.map(c => (c.numStudents != null ? Math.log1p(c.numStudents) : null)), 'enrollmentMin', 'enrollmentMax'),
+    // Share of comments calling the course a gem - 0 for most courses
+    ...range(courses.map(c => c.gemProbability), 'gemProbabilityMin', 'gemProbabilityMax', { fromZero: true }),
+    ...range(courses.map(c => c.recScore), 'recScoreMin', 'recScoreMax'),
+    ...range(courses.map(c => c.sentiment), 'sentimentMin', 'sentimentMax')
+  };
+}
+
+/**
+ * Scoring profile by name ("chill", "hidden gem", "hiddenGem"), falling back to the default
+ * @param {string|Object} [name] - A profile name, or a profile object (returned as is)
+ * @returns {{name: string, label: string, description: string, weights: Object}}
+ */
+function resolveProfile(name) {
+  if (name && typeof name === 'object') return name;
+  const profiles = config.ranking.profiles;
+  const key = name ? String(name).toLowerCase().replace(/[^a-z]/g, '') : null;
+  const match = key && Object.keys(profiles).find(profileName => profileName.toLowerCase() === key);
+  if (name && !match) {
+    console.warn(`⚠️  Unknown GemScore profile "${name}" - using ${config.ranking.defaultProfile}`);
+  }
+  const profileName = match || (profiles[config.ranking.defaultProfile] ? config.ranking.defaultProfile : 'balanced');
+  return { name: profileName, ...profiles[profileName] };
+}
+
+const round = (x, places) => Math.round(x * 10 ** places) / 10 ** places;
+
+// What each factor is called in explanations, the course field it comes from and how its raw value reads
+const FACTORS = {
+  rating: { label: 'Rating', field: 'rating', value: c => c.adjustedRating ?? c.rating, format: (v, c) => `${round(v, 2)}/5${c.adjustedRating != null ? ' (adjusted for response count)' : ''}` },
+  workload: { label: 'Workload', field: 'workloadHrs', value: c => c.workloadHrs, format: v => `${round(v, 1)} hrs/week` },
+  enrollment: { label: 'Class size', field: 'numStudents', value: c => c.numStudents, format: v => `${v} students` },
+  gemProbability: { label: 'Gem probability', field: 'gemProbability', value: c => c.gemProbability, format: v => `${Math.round(v * 100)}% of comments call it a gem` },
+  recScore: { label: 'Recommendation', field: 'recScore', value: c => c.recScore, format: v => `${round(v, 2)}/5 would recommend` },
+  sentiment: { label: 'Comment sentiment', field: 'sentiment', value: c => c.sentiment, format: v => `${round(v, 2)} (-1 to 1)` },
+  comments: { label: 'Gem comment', field: 'comments', value: c => (c.comments?.length ? hasGemComment(c.comments) : null), format: v => (v ? 'students call it a gem' : 'no comment calls it a gem') },
+  logistics: { label: 'Time fit', field: 'logisticsFit', value: c => c.logisticsFit, format: v => `${Math.round(v * 100)}% of your time preferences met` },
+  affinity: { label: 'Similar to liked courses', field: 'affinity', value: c => c.affinity, format: (v, c) => describeLikedMatch(c.likedMatch) }
+};
+
+/**
+ * Each factor normalized to 0-1 over `bounds` (1 = better for the student), null when the course has no data for it
+ */
+function scoreFactors(course, bounds) {
+  const scale = (value, key, invert = false) => (value != null && Number.isFinite(Number(value))
+    ? normalize(value, bounds[`${key}Min`], bounds[`${key}Max`], invert)
+    : null);
+  return {
+    // Bayesian-average rating, so a 4.9 from 5 students counts for less than a 4.9 from 300
+    rating: scale(course.adjustedRating ?? course.rating, 'rating'),
+    workload: scale(course.workloadHrs, 'workload', true),
+    // Smaller classes score higher
+    enrollment: scale(course.numStudents != null ? Math.log1p(course.numStudents) : null, 'enrollment', true),
+    // Q-Report signals: share of comments calling it a gem, "would you recommend it", comment sentiment
+    gemProbability: scale(course.gemProbability, 'gemProbability'),
+    recScore: scale(course.recScore, 'recScore'),
+    sentiment: scale(course.sentiment, 'sentiment'),
+    // Scored by the Q-Report's gem probability, so "don't take this if you want a gem" doesn't count
+    comments: course.comments?.length ? (hasGemComment(course.comments) ? 1 : 0) : null,
+    // Share of the student's time preferences the meetings satisfy (only set when they gave some)
+    logistics: course.logisticsFit ?? null,
+    // Same subject / meeting time as courses the student liked (only set when they liked some)
+    affinity: course.affinity ?? null
+  };
+}
+
+/**
+ * GemScore with the points each factor contributed
+ * Factors the course has no data for are left out and the remaining weights rescaled,
+ * so a missing value neither helps nor hurts; they're listed under `missing`.
+ * Values a loader filled in with a default (course._defaulted) are flagged `defaulted`.
+ * @param {Object} course
+ * @param {Object} bounds - From computeBounds
+ * @param {Object} [profile] - From resolveProfile (default profile if omitted)
+ * @returns {Object} { score, profile, factors: [{ factor, label, value, display, normalized, weight, points, defaulted }], missing: [{ factor, label, weight }], defaulted: [factor] }
+ *   weight is the factor's share of the weights used; points add up to score (give or take rounding)
+ */
+function explainGemScore(course, bounds, profile = resolveProfile()) {
+  const normalized = scoreFactors(course, bounds);
+  const defaulted = new Set(course._defaulted || []);
+  const weighted = Object.entries(profile.weights).filter(([, weight]) => weight > 0);
+  const used = weighted.filter(([factor]) => normalized[factor] != null);
+  const weightSum = used.reduce((sum, [, weight]) => sum + weight, 0);
+  const total = used.reduce((sum, [factor, weight]) => sum + weight * normalized[factor], 0);
+
+  const factors = used.map(([factor, weight]) => {
+    const meta = FACTORS[factor];
+    const value = meta.value(course);
+    return {
+      factor,
+      label: meta.label,
+      value,
+      display: meta.format(value, course),
+      normalized: round(normalized[factor], 2),
+      weight: round(weight / weightSum, 2),
+      points: round(100 * weight * normalized[factor] / weightSum, 1),
+      defaulted: defaulted.has(meta.field)
+    };
+  }).sort((a, b) => b.points - a.points);
+
+  return {
+    score: weightSum === 0 ? 0 : Math.max(0, Math.min(100, Math.round(100 * total / weightSum))),
+    profile: profile.name,
+    factors,
+    missing: weighted
+      .filter(([factor]) => normalized[factor] == null)
+      .map(([factor, weight]) => ({ factor, label: FACTORS[factor]?.label || factor, weight })),
+    defaulted: factors.filter(f => f.defaulted).map(f => f.factor)
+  };
+}
 
-  return Math.max(0, Math.min(100, Math.round(score)));
+/**
+ * GemScore (0-100): the profile's weighted average of the normalized factors (see explainGemScore)
+ * @param {Object} course
+ * @param {Object} bounds - From computeBounds
+ * @param {Object} [profile] - From resolveProfile (default profile if omitted)
+ */
+function computeGemScore(course, bounds, profile = resolveProfile()) {
+  return explainGemScore(course, bounds, profile).score;
 }
 
+/**
+ * One line for chat: "Rating 4.71/5 (...) +31 pts; Workload 2.5 hrs/week +27 pts; no data: Comment sentiment"
+ * @param {Object} breakdown - From explainGemScore
+ */
+function describeBreakdown(breakdown) {
+  const parts = breakdown.factors.map(f => `${f.label} ${f.display}${f.defaulted ? ' [default value, not real data]' : ''} +${f.points} pts`);
+  if (breakdown.missing.length > 0) {
+    parts.push(`no data (left out): ${breakdown.missing.map(f => f.label).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+// How much being like a course the student liked counts (see likedMatch)
+const AFFINITY_WEIGHTS = { subject: 0.7, meetingSlot: 0.3 };
+
+/**
+ * Which liked courses a course shares a subject or a meeting time with
+ * @param {Object} course
+ * @param {Array} liked - From feedbackAdjustment: [{ courseId, subject, meetings }]
+ * @returns {{affinity: number, subject: string[], time: string[]}} affinity 0-1 (AFFINITY_WEIGHTS)
+ */
+function likedMatch(course, liked) {
+  const meetings = meetingsOf(course);
+  const subject = liked.filter(l => l.subject && l.subject === subjectOf(course)).map(l => l.courseId);
+  const time = liked.filter(l => meetingsOverlap(meetings, l.meetings || [])).map(l => l.courseId);
+  return {
+    affinity: (subject.length > 0 ? AFFINITY_WEIGHTS.subject : 0) + (time.length > 0 ? AFFINITY_WEIGHTS.meetingSlot : 0),
+    subject,
+    time
+  };
+}
+
+/**
+ * "same subject as COMPSCI 50, meets when ECON 10 does" (courses the student liked)
+ */
+function describeLikedMatch(match) {
+  const parts = [];
+  if (match?.subject.length > 0) parts.push(`same subject as ${match.subject.join(', ')}`);
+  if (match?.time.length > 0) parts.push(`meets when ${match.time.join(', ')} does`);
+  return parts.length > 0 ? parts.join(', ') : 'no shared subject or meeting time';
+}
+
+/**
+ * Whether a course is one the student dismissed, under any of its codes
+ */
+function isHidden(course, hidden) {
+  return hidden.has(normalizeCourseCode(course.courseId)) || (course.codes || []).some(code => hidden.has(code));
+}
+
+/**
+ * Score and sort courses, best first
+ * @param {Array} courses
+ * @param {Object} [userPrefs]
+ * @param {string} [userPrefs.profile] - Scoring profile name (default config.ranking.defaultProfile)
+ * @param {Object} [userPrefs.bounds] - From computeBounds; defaults to the bounds of `courses`
+ * @param {Object} [userPrefs.timePreferences] - From parseTimePreferences ("after 10am", "no Fridays");
+ *   scored as the `logistics` factor with weight config.ranking.logisticsWeight
+ * @param {Object} [userPrefs.feedback] - From feedbackAdjustment (student-feedback.js): hidden courses are
+ *   left out, and likeness to liked ones is scored as the `affinity` factor with weight config.ranking.feedbackWeight
+ * @returns {Array} Courses with GemScore, scoreProfile (the profile's name), scoreBreakdown (see explainGemScore),
+ *   when there are time preferences logisticsFit (0-1) and timeFit (see checkTimePreferences),
+ *   and when the student liked courses affinity (0-1) and likedMatch (see likedMatch)
+ */
 function rankCourses(courses, userPrefs = {}) {
   if (!Array.isArray(courses) || courses.length === 0) return [];
-  const bounds = {
-    ratingMin: Math.min(...courses.map(c => c.rating ?? 0), 0),
-    ratingMax: Math.max(...courses.map(c => c.rating ?? 0), 5),
-    workloadMin: Math.min(...courses.map(c => c.workloadHrs ?? 0), 0),
-    workloadMax: Math.max(...courses.map(c => c.workloadHrs ?? 0), 20)
-  };
+  const bounds = userPrefs.bounds || computeBounds(courses);
+  const profile = resolveProfile(userPrefs.profile);
 
-  const preferredTimes = (userPrefs.preferredTimes || []).map(s => String(s).toLowerCase());
+  // Time preferences and liked courses count in every profile, on top of its own weights
+  const timePreferences = hasTimePreferences(userPrefs.timePreferences) ? userPrefs.timePreferences : null;
+  const feedback = userPrefs.feedback || null;
+  const liked = feedback?.liked?.length > 0 ? feedback.liked : null;
+  const weights = { ...profile.weights };
+  if (timePreferences) weights.logistics = config.ranking.logisticsWeight;
+  if (liked) weights.affinity = config.ranking.feedbackWeight;
+  const scoring = timePreferences || liked ? { ...profile, weights } : profile;
 
-  const scored = courses.map(c => {
-    const fitsTime = preferredTimes.length === 0 || preferredTimes.some(t => String(c.meetingTime || '').toLowerCase().includes(t));
-    const logisticsFit = fitsTime ? 1 : 0;
-    const courseWithDerived = { ...c, logisticsFit };
-    const GemScore = computeGemScore(courseWithDerived, bounds);
-    return { ...courseWithDerived, GemScore };
+  const visible = feedback?.hidden?.size > 0 ? courses.filter(c => !isHidden(c, feedback.hidden)) : courses;
+  const scored = visible.map(c => {
+    const timeFit = timePreferences ? checkTimePreferences(meetingsOf(c), timePreferences) : null;
+    const match = liked ? likedMatch(c, liked) : null;
+    const courseWithDerived = {
+      ...c,
+      logisticsFit: timeFit ? timeFit.fit : null,
+      timeFit,
+      affinity: match ? match.affinity : null,
+      likedMatch: match
+    };
+    const scoreBreakdown = explainGemScore(courseWithDerived, bounds, scoring);
+    return { ...courseWithDerived, GemScore: scoreBreakdown.score, scoreProfile: profile.name, scoreBreakdown };
   });
 
-  scored.sort((a, b) => b.GemScore - a.GemScore);
+  // Ties go to the course whose rating is better supported
+  const ratingOf = c => c.adjustedRating ?? c.rating ?? 0;
+  scored.sort((a, b) => b.GemScore - a.GemScore || ratingOf(b) - ratingOf(a));
   return scored;
 }
 
-module.exports = { rankCourses };
+// How alike two courses count as when re-ranking for variety (see diversify)
+const SIMILARITY_WEIGHTS = { subject: 0.5, genEdCategory: 0.3, meetingSlot: 0.2 };
+
+function subjectOf(course) {
+  return String(course.subject || course.courseId || '').toUpperCase().split(' ')[0] || null;
+}
+
+/**
+ * 0-1: same subject, same GenEd category, meetings at the same time (weighted by SIMILARITY_WEIGHTS)
+ */
+function courseSimilarity(a, b) {
+  let similarity = 0;
+  if (subjectOf(a) && subjectOf(a) === subjectOf(b)) similarity += SIMILARITY_WEIGHTS.subject;
+  if (a.genEdCategory && a.genEdCategory === b.genEdCategory) similarity += SIMILARITY_WEIGHTS.genEdCategory;
+  if (meetingsOverlap(meetingsOf(a), meetingsOf(b))) similarity += SIMILARITY_WEIGHTS.meetingSlot;
+  return similarity;
+}
+
+/**
+ * Re-rank the top of a ranked list for variety (maximal marginal relevance)
+ * Each place goes to the course with the best
+ *   (1 - strength) × GemScore/100 - strength × (similarity to the courses already placed)
+ * picked from the top `top × 3` by GemScore, so the list spreads across subjects, GenEd
+ * categories and meeting times without reaching for low scores.
+ * @param {Array} ranked - From rankCourses (best first)
+ * @param {Object} [options]
+ * @param {number} [options.strength] - 0 (GemScore order) to 1 (variety first); default config.ranking.diversity.strength
+ * @param {number} [options.top] - Places to re-rank; the rest keep their order (default config.ranking.diversity.top)
+ * @returns {Array} The same courses; re-ranked ones carry scoreRank (their place by GemScore alone)
+ */
+function diversify(ranked, options = {}) {
+  const strength = clamp01(Number(options.strength ?? config.ranking.diversity.strength) || 0);
+  const top = Math.min(options.top || config.ranking.diversity.top, ranked.length);
+  if (strength === 0 || top < 2) return ranked;
 
+  const candidates = ranked.slice(0, top * 3).map((course, i) => ({ course, scoreRank: i + 1, closest: 0 }));
+  const picked = [];
+  while (picked.length < top && candidates.length > 0) {
+    let best = 0;
+    let bestValue = -Infinity;
+    candidates.forEach((candidate, i) => {
+      const value = (1 - strength) * (candidate.course.GemScore || 0) / 100 - strength * candidate.closest;
+      if (value > bestValue) {
+        best = i;
+        bestValue = value;
+      }
+    });
+    const [next] = candidates.splice(best, 1);
+    picked.push(next);
+    candidates.forEach(candidate => {
+      candidate.closest = Math.max(candidate.closest, courseSimilarity(candidate.course, next.course));
+    });
+  }
+
+  const pickedCourses = new Set(picked.map(p => p.course));
+  return [
+    ...picked.map(p => ({ ...p.course, scoreRank: p.scoreRank })),
+    ...ranked.filter(course => !pickedCourses.has(course))
+  ];
+}
 
+module.exports = { rankCourses, diversify, courseSimilarity, subjectOf, computeGemScore, explainGemScore, describeBreakdown, computeBounds, resolveProfile, scoreFactors, FACTORS };
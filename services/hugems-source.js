@@ -0,0 +1,192 @@
+// HUGems Source - course ratings/workload from HUGems (config.qreport.mode)
+// Records are normalized into the same course shape QReportLoader produces. The 'hugems' source in
+// data-sources.js fills gaps in Q-Report rows with them, or stands in when no export is loaded.
+//
+// Modes:
+//   live    - read data/hugems-cache.json; refresh() fetches config.qreport.hugemsUrl and rewrites it
+//   cache   - read data/hugems-cache.json, never fetch (default)
+//   off     - no HUGems data
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { extractNumericId, normalizeCourseCode } = require('./course-identity');
+
+const MODES = ['live', 'cache', 'off'];
+const DEFAULT_CACHE_PATH = config.qreport?.hugemsCachePath || path.join(__dirname, '..', 'data', 'hugems-cache.json');
+const FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Number or null ("4.2" => 4.2, "" => null)
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Normalize one HUGems record into the QReportLoader course shape
+ * Accepts the cache's own field names and the snake_case ones HUGems responses use.
+ * @returns {Object|null} null when the record has no course code
+ */
+function normalizeRecord(raw, index = 0, sourceFile = null) {
+  if (!raw || typeof raw !== 'object') return null;
+  const code = raw.courseId || raw.courseCode || raw.course_code || raw.code;
+  if (!code) return null;
+
+  return {
+    courseId: normalizeCourseCode(code),
+    numericId: extractNumericId(raw.numericId ?? raw.course_id ?? null),
+    fasCode: null,
+    title: raw.title || raw.name || null,
+    term: raw.term || null,
+    rating: toNumber(raw.rating ?? raw.courseScore ?? raw.course_score),
+    workloadHrs: toNumber(raw.workloadHrs ?? raw.workload ?? raw.hours),
+    recScore: null,
+    sentiment: toNumber(raw.sentiment),
+    gemProbability: toNumber(raw.gemProbability ?? raw.gem_probability),
+    comments: commentsOf(raw),
+    numResponded: toNumber(raw.numResponded ?? raw.num_responded),
+    numStudents: toNumber(raw.numStudents ?? raw.num_students),
+    distributions: null,
+    qreportLink: raw.qreportLink || raw.url || null,
+    description: raw.description || null,
+    genEd: raw.genEd || null,
+    weekdays: null,
+    startTime: null,
+    endTime: null,
+    instructor: raw.instructor || null,
+    lecturerScore: null,
+    lecturerScoreMedian: null,
+    lecturerScoreStdev: null,
+    source: 'hugems',
+    sourceFile,
+    sourceRow: index + 1
+  };
+}
+
+/**
+ * A HUGems record's comments in the QReportLoader shape (see comment-corpus.js)
+ * HUGems only sends the best comment, as `bestComment` / `best_comment`; the cache keeps them as `comments`.
+ */
+function commentsOf(raw) {
+  if (Array.isArray(raw.comments)) return raw.comments;
+  const text = String(raw.bestComment || raw.best_comment || '').trim();
+  return text ? [{ kind: 'positive', text, sentiment: null }] : [];
+}
+
+/**
+ * Course records from a HUGems response or cache file
+ * Either a bare array or an object wrapping one ({ courses: [...] } / { data: [...] })
+ * @returns {Array} Normalized records
+ */
+function normalizeResponse(data, sourceFile = null) {
+  const rows = Array.isArray(data) ? data : (data?.courses || data?.data || []);
+  if (!Array.isArray(rows)) return [];
+  const records = rows
+    .map((row, i) => normalizeRecord(row, i, sourceFile))
+    .filter(Boolean);
+
+  // The same sentiment on every course (the cache's 0.5) is a placeholder, not a measurement:
+  // leave it missing so it doesn't fill Q-Report gaps or hide a default in the GemScore breakdown
+  const sentiments = new Set(records.map(r => r.sentiment).filter(v => v != null));
+  if (records.length > 1 && sentiments.size === 1 && records.every(r => r.sentiment != null)) {
+    records.forEach(r => { r.sentiment = null; });
+  }
+  return records;
+}
+
+class HugemsSource {
+  constructor(options = {}) {
+    const mode = String(options.mode || config.qreport?.mode || 'cache').toLowerCase();
+    if (!MODES.includes(mode)) {
+      console.warn(`⚠️  HUGems: unknown HUGEMS_MODE "${mode}" - using the cache (expected ${MODES.join(', ')})`);
+    }
+    this.mode = MODES.includes(mode) ? mode : 'cache';
+    this.url = options.url || config.qreport?.hugemsUrl || null;
+    this.cachePath = options.cachePath || DEFAULT_CACHE_PATH;
+  }
+
+  /**
+   * File the records are read from in this mode (null when off)
+   */
+  get sourcePath() {
+    return this.mode === 'off' ? null : this.cachePath;
+  }
+
+  /**
+   * Read and normalize the cache. A missing or unreadable file gives no records.
+   * @returns {Array} Course records in the QReportLoader shape, with source: 'hugems'
+   */
+  loadRecords() {
+    const filePath = this.sourcePath;
+    if (!filePath || !fs.existsSync(filePath)) return [];
+    try {
+      const records = normalizeResponse(JSON.parse(fs.readFileSync(filePath, 'utf8')), path.basename(filePath));
+      console.log(`✅ HUGems: Loaded ${records.length} courses from ${path.basename(filePath)} (${this.mode})`);
+      return records;
+    } catch (err) {
+      console.warn(`⚠️  HUGems: failed to read ${filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch HUGems and rewrite the cache (live mode only). On any failure the cache is left as it was.
+   * @returns {Promise<Object>} { refreshed, count?, reason?, error? }
+   */
+  async refresh() {
+    if (this.mode !== 'live') {
+      return { refreshed: false, reason: `HUGEMS_MODE is ${this.mode}` };
+    }
+    if (!this.url) {
+      return { refreshed: false, reason: 'no HUGEMS_URL (a JSON endpoint with course records) configured' };
+    }
+
+    try {
+      const axios = require('axios');
+      const response = await axios.get(this.url, {
+        timeout: FETCH_TIMEOUT_MS,
+        headers: { Accept: 'application/json' }
+      });
+      const records = normalizeResponse(response.data, path.basename(this.cachePath));
+      if (records.length === 0) {
+        throw new Error(`no course records in the response from ${this.url}`);
+      }
+
+      writeJson(this.cachePath, records.map(toCacheEntry));
+      console.log(`✅ HUGems: Refreshed ${records.length} courses from ${this.url}`);
+      return { refreshed: true, count: records.length };
+    } catch (err) {
+      console.warn(`⚠️  HUGems: refresh failed, keeping ${path.basename(this.cachePath)}: ${err.message}`);
+      return { refreshed: false, error: err.message };
+    }
+  }
+}
+
+// Where a record came from; set again when the cache is read
+const PROVENANCE_FIELDS = ['source', 'sourceFile', 'sourceRow'];
+
+/**
+ * Cache entry for a normalized record: every field it has a value for, so the cache reads back
+ * the same record (courseId, title, rating and workloadHrs are always written)
+ */
+function toCacheEntry(record) {
+  const always = ['courseId', 'title', 'rating', 'workloadHrs'];
+  return Object.fromEntries(Object.entries(record).filter(([field, value]) => {
+    if (PROVENANCE_FIELDS.includes(field)) return false;
+    if (always.includes(field)) return true;
+    return value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0);
+  }));
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = new HugemsSource();
+module.exports.HugemsSource = HugemsSource;
+module.exports.MODES = MODES;
+module.exports.normalizeRecord = normalizeRecord;
+module.exports.normalizeResponse = normalizeResponse;
@@ -0,0 +1,235 @@
+// Instructor Profiles - lecturer scores aggregated per instructor across every Q-Report term
+// Q-Report names instructors by surname only ("Hammonds"). When a row's course is in the
+// catalog and one of its listed instructors has that surname, the profile uses the full
+// catalog name ("Evelynn Hammonds"), which also keeps different people named "Martin" apart.
+
+const { normalizeCourseCode } = require('./course-identity');
+const { splitInstructors } = require('./course-store');
+
+// Catalog instructor values that don't name anyone
+const PLACEHOLDER_INSTRUCTORS = /^(instructor not listed|staff|tba|tbd|required)$/i;
+
+/**
+ * Lowercase, accent-free name for comparisons ("Guigó Corominas" => "guigo corominas")
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ') // "Bamberg (he)"
+    .toLowerCase()
+    .replace(/[^a-z' -]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a catalog name is the person a Q-Report surname refers to
+ * The catalog's instructors column is scraped text, so names can be truncated
+ * ("Coburn-Palo" => "Nicholas Coburn") or run into the next word ("Ivy Livingston Latin").
+ */
+function isSamePerson(surname, fullName) {
+  const target = normalizeName(surname).split(/[\s-]+/).filter(Boolean);
+  const words = normalizeName(fullName).split(/[\s-]+/).filter(Boolean);
+  if (target.length === 0 || words.length === 0) return false;
+
+  if (` ${words.join(' ')} `.includes(` ${target.join(' ')} `)) return true;
+  const last = words[words.length - 1];
+  return words.length > 1 && last.length >= 2 && target.join('').startsWith(last);
+}
+
+/**
+ * Catalog instructors that look like real names ("Jane Doe"), skipping placeholders
+ * and the lone first names the scraper sometimes leaves behind ("John")
+ */
+function listedInstructors(instructors) {
+  return splitInstructors(instructors)
+    .filter(name => !PLACEHOLDER_INSTRUCTORS.test(name) && name.split(/\s+/).length >= 2);
+}
+
+/**
+ * Find the catalog instructor a Q-Report surname refers to
+ * @param {string} surname - Q-Report course_teacher, e.g. "Le Brun"
+ * @param {string} instructors - Catalog instructors field, e.g. "Jane Le Brun, Ann Lee"
+ * @returns {string|null} The full catalog name, or null if nobody listed has that surname
+ */
+function findInstructorName(surname, instructors) {
+  const name = listedInstructors(instructors).find(listed => isSamePerson(surname, listed));
+  if (!name) return null;
+
+  // Drop words that ran in after the surname ("Ivy Livingston Latin" => "Ivy Livingston")
+  const target = normalizeName(surname);
+  const tokens = name.split(/\s+/);
+  for (let end = 1; end <= tokens.length; end++) {
+    const prefix = normalizeName(tokens.slice(0, end).join(' '));
+    if (end > 1 && (prefix === target || prefix.endsWith(` ${target}`))) {
+      return tokens.slice(0, end).join(' ');
+    }
+  }
+  return name;
+}
+
+/**
+ * Whether the catalog lists someone other than the Q-Report instructor(s) for a course
+ * @param {string[]} surnames - Q-Report course_teacher values the ratings came from
+ * @param {string} catalogInstructors - Catalog instructors field for the upcoming term
+ * @returns {boolean|null} null when either side doesn't name anyone
+ */
+function isDifferentInstructor(surnames, catalogInstructors) {
+  if (!surnames || surnames.length === 0 || listedInstructors(catalogInstructors).length === 0) return null;
+  return !surnames.some(surname => findInstructorName(surname, catalogInstructors));
+}
+
+function subjectOf(courseId) {
+  return normalizeCourseCode(courseId).split(' ')[0];
+}
+
+/**
+ * Combine per-section lecturer scores
+ * The mean is weighted by responses; the standard deviation is pooled (spread within
+ * each section plus spread between sections); the median is the median section median.
+ */
+function summarizeScores(sections) {
+  const scored = sections.filter(s => s.lecturerScore != null);
+  if (scored.length === 0) {
+    return { lecturerScore: null, lecturerScoreMedian: null, lecturerScoreStdev: null, responses: 0 };
+  }
+
+  const weightOf = s => s.numResponded || 1;
+  const responses = scored.reduce((sum, s) => sum + weightOf(s), 0);
+  const mean = scored.reduce((sum, s) => sum + weightOf(s) * s.lecturerScore, 0) / responses;
+
+  const squares = scored.reduce((sum, s) => {
+    const n = weightOf(s);
+    return sum + (n - 1) * (s.lecturerScoreStdev || 0) ** 2 + n * (s.lecturerScore - mean) ** 2;
+  }, 0);
+
+  const medians = scored.map(s => s.lecturerScoreMedian ?? s.lecturerScore).sort((a, b) => a - b);
+  const mid = Math.floor(medians.length / 2);
+  const median = medians.length % 2 ? medians[mid] : (medians[mid - 1] + medians[mid]) / 2;
+
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    lecturerScore: round(mean),
+    lecturerScoreMedian: round(median),
+    lecturerScoreStdev: responses > 1 ? round(Math.sqrt(squares / (responses - 1))) : null,
+    responses
+  };
+}
+
+class InstructorProfiles {
+  /**
+   * @param {Map<string, Array>} byTerm - Q-Report rows per term (QReportLoader.loadAllTerms().byTerm)
+   * @param {CourseIdentityResolver} [resolver] - Used to look up full names in the catalog
+   */
+  constructor(byTerm, resolver = null) {
+    this.profiles = new Map();
+    this.byRow = new Map();
+
+    const surnameOnly = [];
+    const keysBySurname = new Map();
+
+    byTerm.forEach(rows => rows.forEach(row => {
+      if (!row.instructor) return;
+      const fullName = resolver ? this.catalogName(row, resolver) : null;
+      if (!fullName) {
+        surnameOnly.push(row);
+        return;
+      }
+      const profile = this.addRow(fullName, row, true);
+      const surname = normalizeName(row.instructor);
+      if (!keysBySurname.has(surname)) keysBySurname.set(surname, new Set());
+      keysBySurname.get(surname).add(profile.key);
+    }));
+
+    // A surname-only row joins a full-name profile with that surname only when exactly one
+    // of them has taught in the same subject; otherwise it gets a surname-only profile
+    surnameOnly.forEach(row => {
+      const subject = subjectOf(row.courseId);
+      const candidates = Array.from(keysBySurname.get(normalizeName(row.instructor)) || [])
+        .map(key => this.profiles.get(key))
+        .filter(profile => profile.sections.some(section => subjectOf(section.courseId) === subject));
+      if (candidates.length === 1) {
+        this.addRow(candidates[0].name, row, true);
+      } else {
+        this.addRow(row.instructor, row, false);
+      }
+    });
+
+    this.profiles.forEach(profile => {
+      Object.assign(profile, summarizeScores(profile.sections));
+      profile.courses = Array.from(new Set(profile.sections.map(s => s.courseId)));
+      profile.terms = Array.from(new Set(profile.sections.map(s => s.term)));
+    });
+  }
+
+  catalogName(row, resolver) {
+    const entries = [
+      ...(row.numericId ? resolver.findCatalogEntries(row.numericId) : []),
+      ...resolver.findCatalogEntries(row.courseId)
+    ];
+    for (const entry of entries) {
+      const name = findInstructorName(row.instructor, entry.instructors);
+      if (name) return name;
+    }
+    return null;
+  }
+
+  addRow(name, row, fullNameKnown) {
+    const key = normalizeName(name);
+    if (!this.profiles.has(key)) {
+      this.profiles.set(key, { key, name, surname: row.instructor, fullNameKnown: !!fullNameKnown, sections: [] });
+    }
+    const profile = this.profiles.get(key);
+    profile.sections.push({
+      courseId: normalizeCourseCode(row.courseId),
+      title: String(row.title || '').replace(/\s+\d{3}\s*$/, ''),
+      term: row.term,
+      lecturerScore: row.lecturerScore,
+      lecturerScoreMedian: row.lecturerScoreMedian,
+      lecturerScoreStdev: row.lecturerScoreStdev,
+      numResponded: row.numResponded,
+      rating: row.rating,
+      qreportLink: row.qreportLink
+    });
+    this.byRow.set(row, profile);
+    return profile;
+  }
+
+  get size() {
+    return this.profiles.size;
+  }
+
+  all() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Profile for a Q-Report row, or null if the row has no instructor
+   */
+  forRow(row) {
+    return this.byRow.get(row) || null;
+  }
+
+  /**
+   * Profiles matching a name ("Hammonds", "Evelynn Hammonds"); every word must match
+   * @param {string} name
+   * @returns {Array} Most-reviewed instructors first
+   */
+  find(name) {
+    const words = normalizeName(name).split(/[\s-]+/).filter(Boolean);
+    if (words.length === 0) return [];
+    return this.all()
+      .filter(profile => {
+        const nameWords = profile.key.split(/[\s-]+/);
+        return words.every(word => nameWords.includes(word));
+      })
+      .sort((a, b) => b.responses - a.responses);
+  }
+}
+
+module.exports = InstructorProfiles;
+module.exports.findInstructorName = findInstructorName;
+module.exports.listedInstructors = listedInstructors;
+module.exports.isDifferentInstructor = isDifferentInstructor;
+module.exports.normalizeName = normalizeName;
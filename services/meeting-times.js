@@ -0,0 +1,241 @@
+// Meeting Times - structured meeting model for catalog courses
+// A course has one or more meeting blocks: { days, start, end }, where `days` is a bitmask
+// (Mon = 1, Tue = 2, ... Sun = 64) and start/end are minutes after midnight. Blocks let a
+// lecture and a Friday section live on the same course, and make overlap / before / after /
+// free-day checks plain comparisons instead of substring matches on "Tue/Thu 12:00 PM".
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Spellings seen in exports and chat ("Tues", "thursday", "R" for Thursday)
+const DAY_ALIASES = {
+  m: 'Mon', mon: 'Mon', monday: 'Mon',
+  t: 'Tue', tu: 'Tue', tue: 'Tue', tues: 'Tue', tuesday: 'Tue',
+  w: 'Wed', wed: 'Wed', wednesday: 'Wed',
+  r: 'Thu', th: 'Thu', thu: 'Thu', thur: 'Thu', thurs: 'Thu', thursday: 'Thu',
+  f: 'Fri', fri: 'Fri', friday: 'Fri',
+  sa: 'Sat', sat: 'Sat', saturday: 'Sat',
+  su: 'Sun', sun: 'Sun', sunday: 'Sun'
+};
+
+const DAY_BITS = {};
+DAY_NAMES.forEach((day, i) => { DAY_BITS[day] = 1 << i; });
+
+/**
+ * Parse "12:00 PM" into minutes after midnight
+ * @returns {number|null}
+ */
+function parseClockTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours < 1 || hours > 12 || minutes > 59) return null;
+  return (hours % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0)) * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as "9:00 AM"
+ */
+function formatClockTime(minutes) {
+  if (minutes == null) return null;
+  const hours = Math.floor(minutes / 60);
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours % 12 || 12}:${mins} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Parse a day list into a bitmask
+ * Examples:
+ *   "Tue/Thu"      => Tue | Thu
+ *   "Mon, Wed"     => Mon | Wed
+ *   "friday"       => Fri
+ *   "MWF"          => Mon | Wed | Fri
+ * @param {string} value
+ * @returns {number} 0 if no day was recognized
+ */
+function parseDays(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(/[\s/,&+-]+|\band\b/)
+    .reduce((mask, part) => {
+      const day = DAY_ALIASES[part] || DAY_ALIASES[part.replace(/s$/, '')];
+      if (day) return mask | DAY_BITS[day];
+      // Letter codes run together ("mwf", "tr")
+      if (/^[mtwrf]{2,5}$/.test(part)) {
+        return part.split('').reduce((letters, letter) => letters | DAY_BITS[DAY_ALIASES[letter]], mask);
+      }
+      return mask;
+    }, 0);
+}
+
+/**
+ * Day names in a bitmask, Monday first
+ */
+function dayNames(mask) {
+  return DAY_NAMES.filter(day => mask & DAY_BITS[day]);
+}
+
+/**
+ * Build meeting blocks from catalog fields
+ * Several patterns can be given as ";"-separated lists that line up:
+ *   { weekdays: "Tue/Thu; Fri", startTime: "10:30 AM; 1:00 PM", endTime: "11:45 AM; 2:00 PM" }
+ * A block with days but no usable times keeps start/end null (still counts for day checks).
+ * @param {{weekdays: string, startTime: string, endTime: string}} fields
+ * @returns {Array<{days: number, start: number|null, end: number|null}>}
+ */
+function parseMeetings({ weekdays, startTime, endTime } = {}) {
+  const dayParts = String(weekdays || '').split(';');
+  const startParts = String(startTime || '').split(';');
+  const endParts = String(endTime || '').split(';');
+
+  const meetings = [];
+  dayParts.forEach((dayText, i) => {
+    const days = parseDays(dayText);
+    if (!days) return;
+    const start = parseClockTime(startParts[i] ?? startParts[0]);
+    const end = parseClockTime(endParts[i] ?? endParts[0]);
+    const valid = start !== null && end !== null && end > start;
+    meetings.push({ days, start: valid ? start : null, end: valid ? end : null });
+  });
+  return meetings;
+}
+
+/**
+ * Add blocks to a list, skipping exact duplicates
+ */
+function mergeMeetings(meetings, more) {
+  more.forEach(block => {
+    const exists = meetings.some(m => m.days === block.days && m.start === block.start && m.end === block.end);
+    if (!exists) meetings.push(block);
+  });
+  return meetings;
+}
+
+/**
+ * Meeting blocks for any course-like record (catalog entry or merged gem)
+ */
+function meetingsOf(course) {
+  if (!course) return [];
+  if (Array.isArray(course.meetings)) return course.meetings;
+  return parseMeetings(course);
+}
+
+/**
+ * Union of the days a course meets
+ */
+function meetingDays(meetings) {
+  return meetings.reduce((mask, m) => mask | m.days, 0);
+}
+
+/**
+ * Whether two blocks meet at the same time on a shared day
+ */
+function blocksOverlap(a, b) {
+  if (!(a.days & b.days)) return false;
+  if (a.start == null || b.start == null) return false;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Whether any block of one course clashes with any block of another
+ * @param {Array} a - Meeting blocks
+ * @param {Array} b - Meeting blocks
+ */
+function meetingsOverlap(a, b) {
+  return a.some(blockA => b.some(blockB => blocksOverlap(blockA, blockB)));
+}
+
+/**
+ * Every timed block starts at or after `minutes` (false if the course has no times)
+ */
+function startsAtOrAfter(meetings, minutes) {
+  const timed = meetings.filter(m => m.start != null);
+  return timed.length > 0 && timed.every(m => m.start >= minutes);
+}
+
+/**
+ * Every timed block ends at or before `minutes` (false if the course has no times)
+ */
+function endsAtOrBefore(meetings, minutes) {
+  const timed = meetings.filter(m => m.end != null);
+  return timed.length > 0 && timed.every(m => m.end <= minutes);
+}
+
+/**
+ * The course doesn't meet on any of the given days
+ * @param {Array} meetings
+ * @param {number} daysMask - e.g. parseDays("Fri")
+ */
+function keepsDaysFree(meetings, daysMask) {
+  return (meetingDays(meetings) & daysMask) === 0;
+}
+
+/**
+ * Minutes after midnight from a number or a "10:00 AM" string
+ */
+function toMinutes(value) {
+  return typeof value === 'number' ? value : parseClockTime(value);
+}
+
+/**
+ * Predicates over a course's meeting blocks for the time criteria in a query
+ * Courses without meeting times never pass a start/end filter.
+ * @param {Object} criteria
+ * @param {number|string} [criteria.startsAfter] - Every meeting starts at or after (minutes or "10:00 AM")
+ * @param {number|string} [criteria.endsBefore] - Every meeting ends by (minutes or "3:00 PM")
+ * @param {number|string} [criteria.freeDays] - No meetings on these days ("Fri" or a day bitmask)
+ * @param {number|string} [criteria.onlyDays] - Meets on these days only ("MWF" or a day bitmask)
+ * @param {Array} [criteria.notOverlapping] - Meeting blocks the course must not clash with
+ * @returns {Array<function(Array): boolean>}
+ */
+function timeFilters(criteria = {}) {
+  const filters = [];
+  const after = toMinutes(criteria.startsAfter);
+  const before = toMinutes(criteria.endsBefore);
+  if (after != null) filters.push(meetings => startsAtOrAfter(meetings, after));
+  if (before != null) filters.push(meetings => endsAtOrBefore(meetings, before));
+  if (criteria.freeDays) {
+    const mask = typeof criteria.freeDays === 'number' ? criteria.freeDays : parseDays(criteria.freeDays);
+    if (mask) filters.push(meetings => keepsDaysFree(meetings, mask));
+  }
+  if (criteria.onlyDays) {
+    const mask = typeof criteria.onlyDays === 'number' ? criteria.onlyDays : parseDays(criteria.onlyDays);
+    if (mask) filters.push(meetings => meetingDays(meetings) !== 0 && (meetingDays(meetings) & ~mask) === 0);
+  }
+  if (criteria.notOverlapping?.length) {
+    filters.push(meetings => !meetingsOverlap(meetings, criteria.notOverlapping));
+  }
+  return filters;
+}
+
+/**
+ * "Tue/Thu 10:30 AM-11:45 AM; Fri 1:00 PM-2:00 PM"
+ */
+function formatMeetings(meetings) {
+  return meetings
+    .map(m => {
+      const days = dayNames(m.days).join('/');
+      return m.start != null ? `${days} ${formatClockTime(m.start)}-${formatClockTime(m.end)}` : days;
+    })
+    .join('; ');
+}
+
+module.exports = {
+  DAY_NAMES,
+  DAY_BITS,
+  parseClockTime,
+  formatClockTime,
+  parseDays,
+  dayNames,
+  parseMeetings,
+  mergeMeetings,
+  meetingsOf,
+  meetingDays,
+  blocksOverlap,
+  meetingsOverlap,
+  startsAtOrAfter,
+  endsAtOrBefore,
+  keepsDaysFree,
+  timeFilters,
+  formatMeetings
+};
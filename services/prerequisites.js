@@ -0,0 +1,411 @@
+// Prerequisites - structured prerequisites from the AY catalog `requirements` column
+// The column is free text written by departments:
+//   "Instructor Permission Required; Prerequisite: Applied Mathematics 21a and 21b, or Mathematics 21a and 21b"
+//   "Prerequisite: (Economics 2010a AND Economics 2010b) OR (Economics 2020a AND Economics 2020b)"
+//   "Prerequisites: RUSS Ba-Bb, RUSS Bab, placement test, or permission of the instructor"
+// We turn it into an expression tree of course codes joined by and/or, keep what isn't a course
+// ("placement test") as text, and record "or equivalent" / "permission of instructor" as flags.
+// PrerequisiteGraph answers "what do I need before X" and "what does X unlock".
+
+const { normalizeCourseCode } = require('./course-identity');
+
+// Subject names used in requirement text that aren't catalog subject codes
+const SUBJECT_NAMES = {
+  'applied mathematics': 'APMTH',
+  'applied math': 'APMTH',
+  am: 'APMTH',
+  'applied physics': 'APPHY',
+  ap: 'APPHY',
+  mathematics: 'MATH',
+  economics: 'ECON',
+  ec: 'ECON',
+  statistics: 'STAT',
+  stats: 'STAT',
+  government: 'GOV',
+  'life sciences': 'LIFESCI',
+  'life science': 'LIFESCI',
+  ls: 'LIFESCI',
+  'computer science': 'COMPSCI',
+  cs: 'COMPSCI',
+  chemistry: 'CHEM',
+  chinese: 'CHNSE',
+  portuguese: 'PORTUG',
+  port: 'PORTUG',
+  russian: 'RUSS',
+  spanish: 'SPANSH',
+  vietnamese: 'VIETNAM'
+};
+
+// Text that is a flag (or filler), not a requirement of its own
+const FLAG_TEXT = /\b(equivalent|permission|consent|approval|course head|instructor|none)\b/;
+const FILLER_TEXT = /^(the|a|an|are|is|for|of|in|at|to|level|class|prerequisites?)(\s+(the|a|an|are|is|for|of|in|at|to|level|class|prerequisites?))*$/;
+
+// Clauses about courses you may NOT take alongside, which aren't prerequisites
+const EXCLUSION_TEXT = /\b(may not be taken|cannot be taken|not open to)\b/i;
+
+/**
+ * Parse a catalog requirements field
+ * Example:
+ *   "Instructor Permission Required; Prerequisite: Gov 50, Stat 100, Stat 104 or equivalent"
+ *   => {
+ *        text: "Gov 50, Stat 100, Stat 104 or equivalent",
+ *        expression: { type: 'or', items: [{type: 'course', code: 'GOV 50'}, ...] },
+ *        courses: ['GOV 50', 'STAT 100', 'STAT 104'],
+ *        orEquivalent: true, orPermission: false, permissionRequired: true, notes: []
+ *      }
+ * @param {string} requirements
+ * @param {Object} [options]
+ * @param {Set<string>} [options.subjects] - Catalog subject codes ("GOV", "STAT") recognized in the text
+ * @returns {Object|null} null when there are no requirements
+ */
+function parsePrerequisites(requirements, options = {}) {
+  const raw = String(requirements || '').trim();
+  if (!raw) return null;
+
+  let permissionRequired = false;
+  const prerequisiteParts = [];
+  const notes = [];
+
+  // "Instructor Permission Required; Prerequisite: ...; Enrollment limited ..."
+  let inPrerequisite = false;
+  raw.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    if (/^instructor permission required\b/i.test(part)) {
+      permissionRequired = true;
+      inPrerequisite = false;
+    } else if (/^prerequisites?\s*:/i.test(part)) {
+      prerequisiteParts.push(part.replace(/^prerequisites?\s*:\s*/i, ''));
+      inPrerequisite = true;
+    } else if (inPrerequisite && !/^enrollment\b/i.test(part)) {
+      prerequisiteParts.push(part); // "750 on the Spanish SAT II; 5 on the Spanish AP test; ..."
+    } else {
+      notes.push(part);
+      inPrerequisite = false;
+    }
+  });
+
+  let text = prerequisiteParts.join('; ').trim();
+  const exclusion = text.match(EXCLUSION_TEXT);
+  if (exclusion) {
+    notes.push(text.slice(exclusion.index).trim());
+    text = text.slice(0, exclusion.index).replace(/\s*\b(and|or)?\s*$/i, '').trim();
+  }
+  if (/^none\.?$/i.test(text)) text = '';
+
+  const lower = text.toLowerCase();
+  const expression = text ? parseExpression(tokenize(text, options.subjects || new Set())) : null;
+
+  return {
+    text: text || null,
+    expression,
+    courses: coursesIn(expression),
+    orEquivalent: /\bequivalent\b/.test(lower),
+    orPermission: /\b(permission|consent|approval)\b/.test(lower),
+    permissionRequired,
+    notes
+  };
+}
+
+/**
+ * Split requirement text into course, operator and word tokens
+ * "Applied Mathematics 21a and 21b" => APMTH 21A, and, APMTH 21B (the subject carries over)
+ */
+function tokenize(text, subjects) {
+  const words = text.toLowerCase().match(/[(),;&+/]|\d+[a-z]*\d?|[a-z]+(?:\d+[a-z]*\d?)?/g) || [];
+  const subjectFor = word => SUBJECT_NAMES[word] || (subjects.has(String(word).toUpperCase()) ? String(word).toUpperCase() : null);
+  const isNumber = word => /^\d{1,4}[a-z]{0,3}\d?$/.test(word || '');
+  const isLetterNumber = word => /^[a-d]{1,3}$/.test(word || ''); // "RUSS Ba", "RUSS Bab", "LPS A"
+
+  const tokens = [];
+  let lastSubject = null; // For "21a and 21b" after "Mathematics 21a"
+  const pushCourse = (subject, number, alsoListedAs = []) => {
+    const code = normalizeCourseCode(`${subject} ${number}`);
+    lastSubject = subject;
+    // "(Economics 2020a AND Economics 2020b) 2020b)" - text repeated after a closing parenthesis
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.type === ')' && tokens.some(token => token.code === code)) return;
+    const token = { type: 'course', code };
+    if (alsoListedAs.length > 0) {
+      token.codes = [code, ...alsoListedAs.map(other => normalizeCourseCode(`${other} ${number}`))];
+    }
+    tokens.push(token);
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (word === '(' || word === ')') { tokens.push({ type: word }); continue; }
+    if (word === 'and' || word === '&' || word === '+') { tokens.push({ type: 'and' }); continue; }
+    if (word === 'or' || word === '/') { tokens.push({ type: 'or' }); continue; }
+    if (word === ',' || word === ';') { tokens.push({ type: ',' }); continue; }
+    if (word === 'either') { tokens.push({ type: 'either' }); continue; }
+
+    // "ec1010a", "ls1b"
+    const glued = word.match(/^([a-z]+)(\d+[a-z]*)$/);
+    if (glued && subjectFor(glued[1])) { pushCourse(subjectFor(glued[1]), glued[2]); continue; }
+
+    // "applied mathematics 21a", "mcb/neuro 80", "gov 50", "vietnam ba"
+    let subject = subjectFor(`${word} ${words[i + 1]}`);
+    let next = i + 2;
+    const alsoListedAs = [];
+    if (!subject) {
+      subject = subjectFor(word);
+      next = i + 1;
+      // Cross-listed subjects share the number ("MCB/NEURO 80")
+      if (subject && words[next] === '/' && subjectFor(words[next + 1])) {
+        alsoListedAs.push(subjectFor(words[next + 1]));
+        next += 2;
+      }
+    }
+    if (subject && (isNumber(words[next]) || isLetterNumber(words[next]))) {
+      pushCourse(subject, words[next], alsoListedAs);
+      i = next;
+      continue;
+    }
+
+    // A bare number right after a course ("Stat 100/104/110", "RUSS Ba-Bb")
+    if (lastSubject && (isNumber(word) || (word.length > 1 && isLetterNumber(word)))) {
+      pushCourse(lastSubject, word);
+      continue;
+    }
+
+    tokens.push({ type: 'text', word });
+    lastSubject = null;
+  }
+  return tokens;
+}
+
+/**
+ * Build an and/or tree from tokens. "and" binds tighter than "or", and "either A or B" is a group
+ * ("A and either B or C" needs A). A comma list takes the operator written before its last item
+ * ("A, B, or C"), failing that the one inside it ("A, B and C", "A, B or equivalent"), and is a
+ * list of requirements ("A, B") otherwise. Words next to a course ("Introductory Micro (Ec 10a)")
+ * just describe it.
+ */
+function parseExpression(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  // First "and"/"or" between two positions, outside parentheses
+  function operatorIn(from, to) {
+    let depth = 0;
+    for (let i = from; i < to; i++) {
+      const type = tokens[i].type;
+      if (type === '(') depth++;
+      else if (type === ')') depth--;
+      else if (depth === 0 && (type === 'and' || type === 'or')) return type;
+    }
+    return null;
+  }
+
+  function parseList() {
+    const items = [];
+    let joiner = null;
+    let lastStart = pos;
+    const first = parseOr();
+    if (first) items.push(first);
+    while (peek() && peek().type === ',') {
+      pos++;
+      const explicit = peek() && (peek().type === 'and' || peek().type === 'or') ? peek().type : null;
+      const start = pos;
+      const item = parseOr();
+      if (item) {
+        items.push(item);
+        lastStart = start;
+        if (explicit) joiner = explicit;
+      }
+    }
+    if (!joiner) joiner = (items.length > 1 && operatorIn(lastStart, pos)) || 'and';
+    return combine(joiner, items);
+  }
+
+  // "either A or B", "either A, B, or C": alternatives up to the item after the last "or"
+  function parseEither() {
+    const items = [parseAnd()];
+    let sawOr = false;
+    while (peek()) {
+      const comma = peek().type === ',' ? 1 : 0;
+      const next = tokens[pos + comma];
+      const isOr = Boolean(next) && next.type === 'or';
+      // "either A, B, or C" goes on past commas; "either A or B, C" ends at B
+      const moreItems = !isOr && comma && !sawOr && next && ['course', 'text', '('].includes(next.type);
+      if (!isOr && !moreItems) break;
+      if (isOr && comma && sawOr) break;
+      pos += comma + (isOr ? 1 : 0);
+      sawOr = sawOr || isOr;
+      items.push(parseAnd());
+    }
+    return combine('or', items);
+  }
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return combine('or', items);
+  }
+
+  function parseAnd() {
+    const items = [parseSequence()];
+    while (peek() && peek().type === 'and') {
+      pos++;
+      items.push(parseSequence());
+    }
+    return combine('and', items);
+  }
+
+  function parseSequence() {
+    const nodes = [];
+    const words = [];
+    while (peek() && ['course', 'text', '(', 'either'].includes(peek().type)) {
+      const token = tokens[pos++];
+      if (token.type === 'text') words.push(token.word);
+      else if (token.type === 'course') nodes.push({ ...token });
+      else if (token.type === 'either') {
+        const group = parseEither();
+        if (group) nodes.push(group);
+      } else {
+        const inner = parseList();
+        if (peek() && peek().type === ')') pos++;
+        if (inner) nodes.push(inner);
+      }
+    }
+    if (nodes.length > 0) return combine('or', nodes);
+    const phrase = words.join(' ');
+    if (phrase.length < 3 || FLAG_TEXT.test(phrase) || FILLER_TEXT.test(phrase)) return null;
+    return { type: 'text', text: phrase };
+  }
+
+  const parts = [];
+  while (pos < tokens.length) {
+    const part = parseList();
+    if (part) parts.push(part);
+    if (pos < tokens.length) pos++; // Stray ")" or operator
+  }
+  return combine('and', parts);
+}
+
+/**
+ * Join nodes, dropping empties, flattening nested nodes of the same type and repeated courses
+ */
+function combine(type, nodes) {
+  const items = [];
+  const seen = new Set();
+  nodes.filter(Boolean).forEach(node => {
+    (node.type === type ? node.items : [node]).forEach(item => {
+      const key = describePrerequisites(item);
+      if (!seen.has(key)) {
+        seen.add(key);
+        items.push(item);
+      }
+    });
+  });
+  if (items.length === 0) return null;
+  if (items.length === 1) return items[0];
+  // "a score between 751 and 780" is one requirement, not two
+  if (items.every(item => item.type === 'text')) {
+    return { type: 'text', text: items.map(item => item.text).join(` ${type} `) };
+  }
+  return { type, items };
+}
+
+/**
+ * Course codes anywhere in an expression
+ */
+function coursesIn(node) {
+  if (!node) return [];
+  if (node.type === 'course') return node.codes || [node.code];
+  if (node.type === 'text') return [];
+  return Array.from(new Set(node.items.flatMap(coursesIn)));
+}
+
+/**
+ * Readable form of an expression: "ECON 10A and (STAT 100 or STAT 104)"
+ */
+function describePrerequisites(node) {
+  if (!node) return '';
+  if (node.type === 'course') return node.codes ? node.codes.join(' / ') : node.code;
+  if (node.type === 'text') return node.text;
+  return node.items
+    .map(item => (item.items ? `(${describePrerequisites(item)})` : describePrerequisites(item)))
+    .join(` ${node.type} `);
+}
+
+/**
+ * One-line summary of parsed prerequisites for chat context
+ * "ECON 10A and MATH 1A (or equivalent; or instructor permission) - instructor permission required"
+ */
+function summarizePrerequisites(prerequisites) {
+  if (!prerequisites) return null;
+  const parts = [];
+  if (prerequisites.expression) {
+    const alternatives = [];
+    if (prerequisites.orEquivalent) alternatives.push('or equivalent');
+    if (prerequisites.orPermission) alternatives.push('or instructor permission');
+    const extra = alternatives.length > 0 ? ` (${alternatives.join('; ')})` : '';
+    parts.push(`${describePrerequisites(prerequisites.expression)}${extra}`);
+  } else if (prerequisites.text) {
+    parts.push(prerequisites.text);
+  } else {
+    parts.push('None listed');
+  }
+  if (prerequisites.permissionRequired) parts.push('instructor permission required');
+  return parts.join(' - ');
+}
+
+class PrerequisiteGraph {
+  /**
+   * @param {Array} catalogEntries - Courses from CatalogAYLoader (with `prerequisites`)
+   * @param {CrossListings} [crossListings] - So "NEURO 80" and "MCB 80" count as one course
+   */
+  constructor(catalogEntries = [], crossListings = null) {
+    this.crossListings = crossListings;
+    this.byCode = new Map();
+    this.unlockedBy = new Map();
+
+    catalogEntries.forEach(entry => {
+      const key = this.keyOf(entry.courseId);
+      // Prefer the offering that actually lists requirements
+      const existing = this.byCode.get(key);
+      if (!existing || (!existing.prerequisites && entry.prerequisites)) this.byCode.set(key, entry);
+
+      (entry.prerequisites?.courses || []).forEach(code => {
+        const required = this.keyOf(code);
+        if (!this.unlockedBy.has(required)) this.unlockedBy.set(required, new Map());
+        this.unlockedBy.get(required).set(key, entry);
+      });
+    });
+  }
+
+  keyOf(code) {
+    return this.crossListings ? this.crossListings.canonicalCode(code) : normalizeCourseCode(code);
+  }
+
+  /**
+   * What a course requires ("what do I need before ECON 1010A?")
+   * @returns {{course: Object, prerequisites: Object|null, summary: string|null}|null} null if the course isn't in the catalog
+   */
+  requirementsFor(code) {
+    const course = this.byCode.get(this.keyOf(code));
+    if (!course) return null;
+    return {
+      course,
+      prerequisites: course.prerequisites || null,
+      summary: summarizePrerequisites(course.prerequisites)
+    };
+  }
+
+  /**
+   * Courses that list this course as a prerequisite ("what does STAT 110 unlock?")
+   * @returns {Array} Catalog entries
+   */
+  unlocks(code) {
+    const unlocked = this.unlockedBy.get(this.keyOf(code));
+    return unlocked ? Array.from(unlocked.values()) : [];
+  }
+}
+
+module.exports = PrerequisiteGraph;
+module.exports.parsePrerequisites = parsePrerequisites;
+module.exports.describePrerequisites = describePrerequisites;
+module.exports.summarizePrerequisites = summarizePrerequisites;
@@ -1,69 +1,233 @@
 // Q-Report Data Loader - Loads pre-scraped Q-Report data from CSV
-// Uses the 2025_spring.csv data from the Python scrapers
+// Picks up every data/qreport-<term>-<year>.csv export and keeps a per-course,
+// per-term history so results can show how a course has changed over time
 
 const fs = require('fs');
 const path = require('path');
+const { readCsvFile, describeCsvError } = require('./csv-reader');
+const { parseTerm, compareTerms, isSameTerm } = require('./academic-term');
+const { extractNumericId, normalizeCourseCode } = require('./course-identity');
+const { METRICS, applyConfidence } = require('./rating-confidence');
+const { COMMENT_COLUMNS, parseComments } = require('./comment-corpus');
+
+// e.g. qreport-spring-2025.csv, qreport-fall-2024.csv
+const QREPORT_FILE_PATTERN = /^qreport-([a-z-]+)-(\d{4})\.csv$/i;
+
+// Changes smaller than these are reported as "steady"
+const WORKLOAD_TREND_THRESHOLD = 0.5; // hrs/week
+const RATING_TREND_THRESHOLD = 0.1;   // points on the 5-point scale
 
 class QReportLoader {
   constructor(options = {}) {
-    // Default to data/qreport-spring-2025.csv which has complete Q-Report data
-    this.csvPath = options.csvPath || 
-                   process.env.QREPORT_CSV_PATH ||
-                   path.join(__dirname, '..', 'data', 'qreport-spring-2025.csv');
+    this.dataDir = options.dataDir ||
+                   process.env.QREPORT_DATA_DIR ||
+                   path.join(__dirname, '..', 'data');
+    // Optionally pin a single export (e.g. to preview a new file before dropping it in data/)
+    this.csvPath = options.csvPath || process.env.QREPORT_CSV_PATH || null;
     this.cache = null;
-    console.log(`📊 Q-Report Loader initialized: ${this.csvPath}`);
+    // Rows the loader skipped and CSV parse problems, for the data audit (see data-audit.js)
+    this.issues = [];
+    console.log(`📊 Q-Report Loader initialized: ${this.csvPath || path.join(this.dataDir, 'qreport-<term>-<year>.csv')}`);
   }
 
   /**
-   * Parse CSV line handling quoted fields
+   * Whether a file name looks like a Q-Report export (qreport-<term>-<year>.csv)
+   * @param {string} name
    */
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
+  static isQReportFile(name) {
+    return QREPORT_FILE_PATTERN.test(name) && !!parseTerm(name);
+  }
+
+  /**
+   * Find every Q-Report export in a directory, oldest term first
+   * @param {string} dataDir - Directory to scan
+   * @returns {Array<{filePath: string, term: Object}>}
+   */
+  static discoverFiles(dataDir) {
+    if (!fs.existsSync(dataDir)) return [];
+
+    return fs.readdirSync(dataDir)
+      .filter(name => QREPORT_FILE_PATTERN.test(name))
+      .map(name => ({ filePath: path.join(dataDir, name), term: parseTerm(name) }))
+      .filter(file => file.term)
+      .sort((a, b) => compareTerms(a.term, b.term));
+  }
+
+  /**
+   * Files this loader will read
+   */
+  getFiles() {
+    if (this.csvPath) {
+      const term = parseTerm(process.env.QREPORT_TERM || path.basename(this.csvPath));
+      if (!term) {
+        console.warn(`⚠️  Could not tell which term ${this.csvPath} covers - set QREPORT_TERM (e.g. "Spring 2025")`);
+        return [];
       }
+      return [{ filePath: this.csvPath, term }];
     }
-    result.push(current.trim());
-    return result;
+    return QReportLoader.discoverFiles(this.dataDir);
   }
 
   /**
-   * Load Q-Report data from CSV
+   * Load every term and build the per-course history
+   * @returns {{terms: string[], byTerm: Map<string, Object[]>, history: Map<string, Object[]>}}
    */
-  loadData() {
-    if (this.cache) {
-      console.log(`✅ Q-Report Loader: Using cached data (${this.cache.length} courses)`);
-      return this.cache;
+  loadAllTerms() {
+    if (this.cache) return this.cache;
+
+    const files = this.getFiles().filter(file => {
+      if (fs.existsSync(file.filePath)) return true;
+      console.warn(`⚠️  Q-Report CSV not found: ${file.filePath}`);
+      return false;
+    });
+
+    if (files.length === 0) {
+      console.warn(`⚠️  No Q-Report CSVs found in ${this.dataDir}`);
+      return { terms: [], byTerm: new Map(), history: new Map() };
     }
 
-    if (!fs.existsSync(this.csvPath)) {
-      console.warn(`⚠️  Q-Report CSV not found: ${this.csvPath}`);
-      return [];
+    const byTerm = new Map();
+    files.forEach(file => {
+      byTerm.set(file.term.label, this.loadTermFile(file.filePath, file.term));
+    });
+    const terms = Array.from(byTerm.keys());
+    const history = this.buildHistory(terms, byTerm);
+
+    console.log(`✅ Q-Report Loader: ${terms.length} term(s) loaded (${terms.join(', ')})`);
+    this.cache = { terms, byTerm, history };
+    return this.cache;
+  }
+
+  /**
+   * Parsed terms, history and issues, for the dataset snapshot (see dataset-snapshot.js)
+   */
+  toSnapshot() {
+    const { terms, byTerm, history } = this.loadAllTerms();
+    return {
+      terms,
+      byTerm: Object.fromEntries(byTerm),
+      history: Array.from(history),
+      issues: this.issues
+    };
+  }
+
+  /**
+   * Use terms from a dataset snapshot instead of parsing the CSVs
+   * @param {Object} snapshot - From toSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    this.cache = {
+      terms: snapshot.terms,
+      byTerm: new Map(snapshot.terms.map(term => [term, snapshot.byTerm[term]])),
+      history: new Map(snapshot.history)
+    };
+    this.issues = snapshot.issues || [];
+    console.log(`✅ Q-Report Loader: Restored ${snapshot.terms.length} term(s) from snapshot (${snapshot.terms.join(', ')})`);
+  }
+
+  /**
+   * Build a per-course series of { term, rating, workloadHrs, numResponded }
+   * and attach the series and a trend to every course row
+   */
+  buildHistory(terms, byTerm) {
+    const history = new Map();
+
+    terms.forEach(term => {
+      const seenThisTerm = new Set();
+      byTerm.get(term).forEach(course => {
+        const key = this.historyKey(course);
+        // Q-Report has one row per instructor; course-level scores are the same on each
+        if (seenThisTerm.has(key)) return;
+        seenThisTerm.add(key);
+
+        if (!history.has(key)) history.set(key, []);
+        history.get(key).push({
+          term,
+          rating: course.rating,
+          workloadHrs: course.workloadHrs,
+          numResponded: course.numResponded
+        });
+      });
+    });
+
+    terms.forEach(term => {
+      byTerm.get(term).forEach(course => {
+        const series = history.get(this.historyKey(course)) || [];
+        course.history = series;
+        course.trend = computeTrend(series, term);
+      });
+    });
+
+    return history;
+  }
+
+  /**
+   * Key used to line up the same course across terms
+   * The numeric course ID survives renumbering, so prefer it over the code
+   */
+  historyKey(course) {
+    return course.numericId ? `id:${course.numericId}` : `code:${normalizeCourseCode(course.courseId)}`;
+  }
+
+  /**
+   * Terms with Q-Report data, oldest first
+   */
+  getTerms() {
+    return this.loadAllTerms().terms;
+  }
+
+  /**
+   * Most recent term with Q-Report data (e.g. "Spring 2025"), or null
+   */
+  getLatestTerm() {
+    const terms = this.getTerms();
+    return terms.length > 0 ? terms[terms.length - 1] : null;
+  }
+
+  /**
+   * Load Q-Report data for one term (defaults to the most recent term)
+   * @param {Object} [options]
+   * @param {string} [options.term] - Term label in any format ("Fall 2024", "2024 Fall")
+   */
+  loadData(options = {}) {
+    const { terms, byTerm } = this.loadAllTerms();
+    if (terms.length === 0) return [];
+
+    let term = terms[terms.length - 1];
+    if (options.term) {
+      const requested = terms.find(t => isSameTerm(t, options.term));
+      if (requested) {
+        term = requested;
+      } else {
+        console.warn(`⚠️  No Q-Report data for ${options.term} - using ${term}`);
+      }
     }
 
+    const courses = byTerm.get(term);
+    console.log(`✅ Q-Report Loader: Using ${term} data (${courses.length} courses)`);
+    return courses;
+  }
+
+  /**
+   * Parse one Q-Report CSV export
+   * @param {string} filePath - CSV path
+   * @param {Object} term - Parsed term the export covers
+   */
+  loadTermFile(filePath, term) {
     try {
-      const content = fs.readFileSync(this.csvPath, 'utf-8');
-      const lines = content.split('\n').filter(l => l.trim());
+      const { headers, rows, errors } = readCsvFile(filePath, { trim: true });
       
-      if (lines.length === 0) {
-        console.warn('⚠️  Q-Report CSV is empty');
+      if (headers.length === 0) {
+        console.warn(`⚠️  Q-Report CSV is empty: ${filePath}`);
         return [];
       }
 
-      // Parse header
-      const headerLine = lines[0];
-      const headers = this.parseCSVLine(headerLine);
+      const file = path.basename(filePath);
+      errors.forEach(e => this.issues.push({ type: 'csvError', file, ...e }));
+      if (errors.length > 0) {
+        console.warn(`⚠️  Q-Report CSV ${file}: ${errors.length} parse problem(s)`);
+        errors.slice(0, 5).forEach(e => console.warn(`   ${describeCsvError(e)}`));
+      }
       
       // Find column indices (silently handle optional columns)
       const getIndex = (name, isOptional = false) => {
@@ -79,10 +243,31 @@ class QReportLoader {
       const recScoreIdx = getIndex('rec_score_mean');
       const sentimentIdx = getIndex('sentiment_score_mean');
       const gemProbIdx = getIndex('gem_probability_mean');
-      const bestCommentIdx = getIndex('best_gem_comment');
+      // Most positive, most critical and most gem-like comment, each with its score column
+      const commentIdx = {};
+      Object.values(COMMENT_COLUMNS).forEach(({ text, score }) => {
+        commentIdx[text] = headers.findIndex(h => h.toLowerCase() === text);
+        commentIdx[score] = headers.findIndex(h => h.toLowerCase() === score);
+      });
+      const teacherIdx = getIndex('course_teacher', true);
+      const lecturerScoreIdx = getIndex('lecturer_score_mean', true);
+      const lecturerMedianIdx = getIndex('lecturer_score_median', true);
+      const lecturerStdevIdx = getIndex('lecturer_score_stdev', true);
       const numRespondedIdx = getIndex('num_responded');
+      const numStudentsIdx = getIndex('num_students', true);
       const linkIdx = getIndex('link'); // Q-Report link
+      const courseIdIdx = getIndex('course_id', true); // Numeric course ID (e.g. 222126)
+      const fasCodeIdx = getIndex('fas_code', true); // e.g. FAS-222126-2252-1-1-001
       
+      // mean/median/mode/stdev columns for each metric (e.g. course_score_median)
+      const distributionIdx = {};
+      Object.entries(METRICS).forEach(([metric, { column }]) => {
+        distributionIdx[metric] = {};
+        ['mean', 'median', 'mode', 'stdev'].forEach(stat => {
+          distributionIdx[metric][stat] = getIndex(`${column}_${stat}`, true);
+        });
+      });
+
       // Optional columns (from catalog, not Q-Report)
       const descriptionIdx = getIndex('description', true); // Course description (optional)
       const genEdIdx = getIndex('general_education', true); // GenEd requirement (optional)
@@ -92,18 +277,18 @@ class QReportLoader {
 
       // Parse data rows
       const courses = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        if (!line.trim()) continue;
+      for (let i = 0; i < rows.length; i++) {
+        const values = rows[i];
 
         try {
-          const values = this.parseCSVLine(line);
-          
           const courseCode = values[courseCodeIdx] || '';
           const courseTitle = values[courseTitleIdx] || '';
           
           // Skip if no course code
-          if (!courseCode) continue;
+          if (!courseCode) {
+            this.issues.push({ type: 'skippedRow', file, row: i + 2, reason: 'missing course_code', title: courseTitle });
+            continue;
+          }
 
           // Parse numeric values
           const parseNum = (idx) => {
@@ -112,45 +297,79 @@ class QReportLoader {
             return isNaN(val) ? null : val;
           };
 
+          const distributions = {};
+          Object.entries(distributionIdx).forEach(([metric, indexes]) => {
+            if (indexes.mean === -1) return;
+            distributions[metric] = {
+              mean: parseNum(indexes.mean),
+              median: parseNum(indexes.median),
+              mode: parseNum(indexes.mode),
+              stdev: parseNum(indexes.stdev)
+            };
+          });
+
+          // The export writes 0.0 for a workload nobody answered (stdev -1) and for the sentiment
+          // and gem probability of a course without comments: those are missing, not zero
+          const comments = parseComments(column => commentIdx[column] !== -1 ? values[commentIdx[column]] : null);
+          const unanswered = distributions.workload?.mean === 0 && distributions.workload?.stdev === -1;
+
           const course = {
-            courseId: courseCode.trim(),
-            title: courseTitle.replace(/^"(.*)"$/, '$1').trim(),
+            courseId: courseCode,
+            numericId: extractNumericId(values[courseIdIdx]) || extractNumericId(values[fasCodeIdx]),
+            fasCode: fasCodeIdx !== -1 ? values[fasCodeIdx] || null : null, // Section-level key
+            title: courseTitle,
+            term: term.label,
             rating: parseNum(courseScoreIdx),
-            workloadHrs: parseNum(workloadIdx),
+            workloadHrs: unanswered ? null : parseNum(workloadIdx),
             recScore: parseNum(recScoreIdx),
-            sentiment: parseNum(sentimentIdx),
-            gemProbability: parseNum(gemProbIdx),
-            bestComment: bestCommentIdx !== -1 ? values[bestCommentIdx]?.replace(/^"(.*)"$/, '$1') : null,
+            sentiment: comments.length > 0 ? parseNum(sentimentIdx) : null,
+            gemProbability: comments.length > 0 ? parseNum(gemProbIdx) : null,
+            // [{ kind: 'positive' | 'critical' | 'gem', text, sentiment | gemProbability }] (see comment-corpus.js)
+            comments,
             numResponded: parseNum(numRespondedIdx),
+            numStudents: parseNum(numStudentsIdx),
+            // Per-metric mean/median/mode/stdev; rating-confidence.js adds a 95% interval to each
+            distributions,
             qreportLink: linkIdx !== -1 ? values[linkIdx] : null,
-            description: descriptionIdx !== -1 ? values[descriptionIdx]?.replace(/^"(.*)"$/, '$1') : null,
-            genEd: genEdIdx !== -1 ? values[genEdIdx]?.replace(/^"(.*)"$/, '$1') : null,
+            description: descriptionIdx !== -1 ? values[descriptionIdx] : null,
+            genEd: genEdIdx !== -1 ? values[genEdIdx] : null,
             weekdays: weekdaysIdx !== -1 ? values[weekdaysIdx] : null,
             startTime: startTimeIdx !== -1 ? values[startTimeIdx] : null,
-            endTime: endTimeIdx !== -1 ? values[endTimeIdx] : null
+            endTime: endTimeIdx !== -1 ? values[endTimeIdx] : null,
+            instructor: teacherIdx !== -1 ? values[teacherIdx] || null : null, // Surname, e.g. "Hammonds"
+            // How students rated this instructor in this section (see instructor-profiles.js)
+            lecturerScore: parseNum(lecturerScoreIdx),
+            lecturerScoreMedian: parseNum(lecturerMedianIdx),
+            lecturerScoreStdev: parseNum(lecturerStdevIdx),
+            sourceFile: file,
+            sourceRow: i + 2
           };
 
           courses.push(course);
         } catch (err) {
-          console.warn(`⚠️  Failed to parse line ${i}: ${err.message}`);
+          console.warn(`⚠️  Failed to parse row ${i + 2}: ${err.message}`);
         }
       }
 
-      console.log(`✅ Q-Report Loader: Loaded ${courses.length} courses from CSV`);
-      this.cache = courses;
+      // Response rates, confidence intervals and the Bayesian-average rating used for ranking
+      applyConfidence(courses);
+
+      console.log(`✅ Q-Report Loader: Loaded ${courses.length} courses from ${path.basename(filePath)}`);
       return courses;
 
     } catch (err) {
-      console.error('❌ Q-Report Loader: Failed to load CSV:', err.message);
+      console.error(`❌ Q-Report Loader: Failed to load ${filePath}:`, err.message);
       return [];
     }
   }
 
   /**
    * Fetch courses with optional filters
+   * @param {Object} filters - See applyFilters
+   * @param {Object} [options] - See loadData (e.g. { term: 'Fall 2024' })
    */
-  async fetchCourses(filters = {}) {
-    const courses = this.loadData();
+  async fetchCourses(filters = {}, options = {}) {
+    const courses = this.loadData(options);
     return this.applyFilters(courses, filters);
   }
 
@@ -200,5 +419,40 @@ class QReportLoader {
   }
 }
 
+/**
+ * Compare a course's numbers in `term` with the previous term it was offered
+ * @param {Array} series - History entries, oldest first
+ * @param {string} term - Term label to describe
+ * @returns {Object|null} { sinceTerm, ratingChange, workloadChange, summary } or null if no earlier term
+ */
+function computeTrend(series, term) {
+  const idx = series.findIndex(entry => entry.term === term);
+  if (idx <= 0) return null;
+
+  const current = series[idx];
+  const previous = series[idx - 1];
+  const change = (a, b) => (a != null && b != null ? Math.round((a - b) * 10) / 10 : null);
+  const workloadChange = change(current.workloadHrs, previous.workloadHrs);
+  const ratingChange = change(current.rating, previous.rating);
+
+  const parts = [];
+  if (workloadChange != null && Math.abs(workloadChange) >= WORKLOAD_TREND_THRESHOLD) {
+    parts.push(`workload ${workloadChange > 0 ? 'up' : 'down'} ${Math.abs(workloadChange)} hrs`);
+  }
+  if (ratingChange != null && Math.abs(ratingChange) >= RATING_TREND_THRESHOLD) {
+    parts.push(`rating ${ratingChange > 0 ? 'up' : 'down'} ${Math.abs(ratingChange)}`);
+  }
+
+  return {
+    sinceTerm: previous.term,
+    ratingChange,
+    workloadChange,
+    summary: parts.length > 0
+      ? `${parts.join(', ')} since ${previous.term}`
+      : `steady since ${previous.term}`
+  };
+}
+
 module.exports = QReportLoader;
+module.exports.computeTrend = computeTrend;
 
@@ -0,0 +1,198 @@
+// Query Parser - reads a chat message into the query findGems answers
+// Department, GenEd category, topic, instructor, term, course code, scoring profile, variety,
+// time windows and the kind of question (prerequisites, catalog changes, comment search,
+// "why is this a gem?"). No model is involved, so the webhook and the offline ranking
+// evaluation (scripts/evaluate-ranking.js) read messages the same way.
+
+const { mapDepartment } = require('./department-mapper');
+const { parseTermReference } = require('./academic-term');
+const {
+  parseTimePreferences,
+  removeTimePhrases,
+  describeTimePreferences,
+  hasTimePreferences
+} = require('./time-preferences');
+
+// "Why is this a gem?", "why did CS 50 rank so high?", "what makes it a gem?"
+const EXPLAIN_SCORE_PATTERN = /\bwhy\b.*\b(gems?|rank(ed|s)?|recommend(ed)?|score|top|first|so high)\b|\bwhat makes\b.*\bgems?\b/;
+
+/**
+ * The query in a chat message
+ * Example: "chill CS classes after 10am" =>
+ *   { filters: { department: 'COMPSCI' }, profile: 'chill', timePreferences: { startsAfter: 600 } }
+ * @param {string} userMessage
+ * @returns {Object} { filters, term?, profile?, diversity?, timePreferences?, prerequisites?,
+ *   catalogChanges?, commentSearch?, explainScore? }
+ */
+function extractQuery(userMessage = '') {
+  const text = (userMessage || '').toLowerCase();
+  const query = { filters: {} };
+  
+  // GenEd detection - CRITICAL: GenEds have subject = "GENED"
+  // Also detect specific GenEd category requests with SMART MATCHING
+  if (text.includes('gened') || text.includes('gen ed') || text.includes('general education')) {
+    query.filters.department = 'GENED';
+    query.filters.isGenEd = true;
+    console.log('🎓 GenEd request detected - filtering for subject = GENED');
+    
+    // Smart category matching - check for partial matches
+    const lowerText = text.toLowerCase();
+    
+    // Aesthetics and Culture - match: aesthetics, culture, arts, artistic
+    if (lowerText.includes('aesthetics') || lowerText.includes('culture') || 
+        (lowerText.includes('art') && !lowerText.includes('mart'))) {
+      query.filters.genEdCategory = 'Aesthetics and Culture';
+      console.log('🎨 Aesthetics and Culture category detected');
+    } 
+    // Ethics and Civics - match: ethics, civics, moral, political, justice
+    else if (lowerText.includes('ethics') || lowerText.includes('civics') || 
+             lowerText.includes('moral') || (lowerText.includes('political') && !lowerText.includes('apolitical')) ||
+             lowerText.includes('justice')) {
+      query.filters.genEdCategory = 'Ethics and Civics';
+      console.log('⚖️ Ethics and Civics category detected');
+    } 
+    // Histories, Societies, Individuals - match: histories, history, societies, society, individuals, social (but not "social science" which is different)
+    else if (lowerText.includes('histories') || lowerText.includes('history') || 
+             lowerText.includes('societies') || (lowerText.includes('society') && !lowerText.includes('science and technology')) ||
+             lowerText.includes('individuals') || (lowerText.includes('social') && !lowerText.includes('science'))) {
+      query.filters.genEdCategory = 'Histories, Societies, Individuals';
+      console.log('📚 Histories, Societies, Individuals category detected');
+    } 
+    // Science and Technology in Society - match: science (with tech/society context), technology, tech, sci, stis
+    else if ((lowerText.includes('science') && (lowerText.includes('technology') || lowerText.includes('society') || lowerText.includes('tech'))) ||
+             (lowerText.includes('technology') && lowerText.includes('society')) ||
+             lowerText.includes('stis') || (lowerText.includes('tech') && lowerText.includes('gened'))) {
+      query.filters.genEdCategory = 'Science and Technology in Society';
+      console.log('🔬 Science and Technology in Society category detected');
+    }
+  }
+  
+  // Smart department matching using the mapper (skip if GenEd already set)
+  if (!query.filters.department) {
+    const deptMatch = text.match(/\b(cs|computer science|comp sci|compsci|econ|economics|gov|government|political science|poli sci|hist|history|math|mathematics|stat|stats|statistics|eng|english|bio|biology|chem|chemistry|phys|physics|psy|psych|psychology|anthro|anthropology|soc|sociology|phil|philosophy|neuro|neuroscience|data science|ling|linguistics)\b/i);
+    if (deptMatch) {
+      const mapped = mapDepartment(deptMatch[1]);
+      if (mapped.department) {
+        query.filters.department = mapped.department;
+      } else if (mapped.titleSearch) {
+        query.filters.titleSearch = mapped.titleSearch;
+      }
+    }
+  }
+
+  // Topic keywords (e.g., "classes about climate change") - matched against the
+  // course store's title/description index
+  if (!query.filters.titleSearch) {
+    const topicMatch = text.match(/\b(?:about|related to|involving|focused on)\s+([a-z][a-z\s-]{2,40}?)(?=\s+(?:that|which|with|for|in|and|taught)\b|[?.!,]|$)/);
+    if (topicMatch && !/^(the|a|an|my|me|it|campus)$/.test(topicMatch[1].trim())) {
+      query.filters.titleSearch = topicMatch[1].trim();
+      console.log(`🔎 Topic search: "${query.filters.titleSearch}"`);
+    }
+  }
+
+  // Instructor (e.g., "classes taught by Hammonds", "courses with professor le brun")
+  const instructorMatch = text.match(/\b(?:taught by|classes by|courses by|with (?:professor|prof\.?|dr\.?))\s+(?:professor\s+|prof\.?\s+|dr\.?\s+)?([a-z][a-z' -]{1,40}?)(?=\s+(?:that|which|with|for|in|and|this|next|on)\b|[?.!,]|$)/);
+  if (instructorMatch) {
+    query.filters.instructor = instructorMatch[1].trim();
+    console.log(`👩‍🏫 Instructor search: "${query.filters.instructor}"`);
+  }
+
+  // Term (e.g., "for fall", "next semester", "spring 2026") - checked against the catalog in processTextMode
+  const term = parseTermReference(text);
+  if (term) {
+    query.term = term.catalogLabel;
+    console.log(`📅 Term requested: ${term.label}`);
+  }
+
+  // Prerequisite questions about the course named below
+  // "what do I need before ECON 1010a?" => 'requires', "what does STAT 110 unlock?" => 'unlocks'
+  if (/\b(unlocks?|what can i take after|after taking|leads? to|opens up)\b/.test(text)) {
+    query.prerequisites = 'unlocks';
+  } else if (/\b(prereq(uisite)?s?|what do i need (before|for|to take)|before taking|requirements? for)\b/.test(text)) {
+    query.prerequisites = 'requires';
+  }
+
+  // Phrase to look for in student comments
+  // "which classes do students call life-changing?" => "life-changing"
+  const commentMatch = text.match(/\b(?:students?|people|reviews?|comments?)\s+(?:call|calls|say|says|describe|describes|called|described)\s+(?:(?:it|them|as|is|was|are)\s+)*["“']?([a-z][a-z' -]{2,40}?)["”']?(?=[?.!,]|$)/) ||
+    text.match(/\b(?:described|called|known) as\s+["“']?([a-z][a-z' -]{2,40}?)["”']?(?=[?.!,]|$)/);
+  if (commentMatch && !/^(about|of|that|what)\b/.test(commentMatch[1].trim())) {
+    query.commentSearch = commentMatch[1].trim();
+    console.log(`💬 Comment search: "${query.commentSearch}"`);
+  }
+
+  // "Why is this a gem?" - answered from the GemScore breakdown (scoreBreakdown)
+  if (EXPLAIN_SCORE_PATTERN.test(text)) {
+    query.explainScore = true;
+    console.log('🧮 GemScore explanation requested');
+  }
+
+  // Catalog changes since the previous catalog version
+  // "what's new this semester?" => 'new', "did CS 50's time change?" => 'changed'
+  if (/\b(what'?s new|what is new|new (courses|classes) (this|next)|newly added)\b/.test(text)) {
+    query.catalogChanges = 'new';
+  } else if (/\b(did|has|have)\b.*\bchange\b|\b(changed|any changes)\b/.test(text)) {
+    query.catalogChanges = 'changed';
+  }
+
+  // Extract course code from query (e.g., "CS50", "CS 50", "COMPSCI 50")
+  // This helps filter to the specific course when asking about it
+  // ("spring 2026" is a term and "done by 3" a time, not course codes)
+  const courseCodeMatch = removeTimePhrases(text).replace(/\b(?:spring|fall|autumn)\s+20\d{2}\b|\b20\d{2}\s+(?:spring|fall|autumn)\b/g, ' ').match(/\b(?:([A-Z]{2,})\s*)?(\d+[A-Z]?)\b/i);
+  if (courseCodeMatch) {
+    const [, deptCode, courseNum] = courseCodeMatch;
+    // If it's "CS50" or "CS 50", map to COMPSCI
+    if ((deptCode === 'CS' || deptCode === undefined) && courseNum) {
+      query.filters.courseCode = `COMPSCI ${courseNum}`;
+      if (!query.filters.department) {
+        query.filters.department = 'COMPSCI';
+      }
+    } else if (deptCode && courseNum) {
+      query.filters.courseCode = `${deptCode} ${courseNum}`;
+    }
+    console.log(`📝 Extracted course code: ${query.filters.courseCode}`);
+  }
+  
+  // Scoring profile (see config.ranking.profiles)
+  // "hidden gems" / "underrated" => hiddenGem, "chill" / "lightest" => chill, "best rated" => quality
+  if (/\b(hidden gems?|underrated|under the radar|small(er)? class(es)?|less known|lesser[- ]known)\b/.test(text)) {
+    query.profile = 'hiddenGem';
+  } else if (/\b(chill|lightest|least work|low(est)? workload|light workload|easiest)\b/.test(text)) {
+    query.profile = 'chill';
+  } else if (/\b(best[- ]rated|highest[- ]rated|top[- ]rated|quality|don'?t care about (the )?workload|even if (it'?s|they'?re) hard)\b/.test(text)) {
+    query.profile = 'quality';
+  } else if (/\bbalanced\b/.test(text)) {
+    query.profile = 'balanced';
+  }
+  if (query.profile) console.log(`📊 Scoring profile: ${query.profile}`);
+
+  // Variety of the list (see diversify in gem-ranking.js)
+  // "a mix of departments" => more variety, "strictly by score" => plain GemScore order
+  if (/\b(variety|varied|diverse|(a|some) mix|mix (it )?up|different (departments|subjects|areas|fields))\b/.test(text)) {
+    query.diversity = 0.7;
+  } else if (/\b(strictly|purely|only) by (score|gemscore|rating)\b|\bno (variety|mixing)\b/.test(text)) {
+    query.diversity = 0;
+  }
+  if (query.diversity != null) console.log(`🔀 Variety strength: ${query.diversity}`);
+
+  // hrs/week heuristic
+  const hrs = text.match(/<=\s*(\d+)\s*hrs?\/wk|<=\s*(\d+)\s*hours?|under\s+(\d+)\s+hours?/);
+  if (hrs) query.filters.maxHrsPerWeek = Number(hrs[1] || hrs[2] || hrs[3]);
+  
+  // no final heuristic
+  if (text.includes('no final')) query.filters.noFinal = true;
+  
+  // Time windows: "after 10am", "done by 3", "no Fridays", "MWF only", "morning classes"
+  const timePreferences = parseTimePreferences(text);
+  if (hasTimePreferences(timePreferences)) {
+    query.timePreferences = timePreferences;
+    console.log(`🕐 Time preferences: ${describeTimePreferences(timePreferences).join(', ')}`);
+  }
+  
+  return query;
+}
+
+module.exports = {
+  EXPLAIN_SCORE_PATTERN,
+  extractQuery
+};
@@ -0,0 +1,136 @@
+// Ranking Comparison - how a change of scoring weights moves the top of the gem list
+// Used offline (scripts/compare-rankings.js) to check a profile change before shipping it:
+// which courses enter and leave the top N, and how far the rest move.
+
+const fs = require('fs');
+const path = require('path');
+const { resolveProfile } = require('./gem-ranking');
+
+const REPORTS_DIR = path.join(__dirname, '..', 'data', 'reports');
+
+// The Q-Report signals added to GemScore alongside rating and workload
+const QREPORT_SIGNALS = ['gemProbability', 'recScore', 'sentiment'];
+
+/**
+ * A profile with some factors taken out (e.g. to see what the Q-Report signals change)
+ * @param {string|Object} profile - Profile name or object
+ * @param {string[]} factors - Factor names to drop
+ */
+function withoutFactors(profile, factors) {
+  const base = resolveProfile(profile);
+  const weights = Object.fromEntries(Object.entries(base.weights).filter(([factor]) => !factors.includes(factor)));
+  return {
+    ...base,
+    name: `${base.name} without ${factors.join(', ')}`,
+    label: `${base.label} without ${factors.join(', ')}`,
+    weights
+  };
+}
+
+/**
+ * Compare the top `top` courses of two rankings of the same courses
+ * @param {Array} before - Ranked courses (best first)
+ * @param {Array} after - The same courses ranked another way
+ * @param {Object} [options]
+ * @param {number} [options.top] - List length to compare (default 50)
+ * @returns {Object} { top, courses, overlap, entered, left, moved, unchanged, meanRankChange }
+ */
+function compareRankings(before, after, options = {}) {
+  const top = options.top || 50;
+  const rankIn = list => new Map(list.map((course, i) => [course.courseId, i + 1]));
+  const beforeRanks = rankIn(before);
+  const afterRanks = rankIn(after);
+  const describe = (course, extra) => ({ courseId: course.courseId, title: course.title, GemScore: course.GemScore, ...extra });
+
+  const beforeTop = before.slice(0, top);
+  const afterTop = after.slice(0, top);
+  const afterTopIds = new Set(afterTop.map(c => c.courseId));
+  const beforeTopIds = new Set(beforeTop.map(c => c.courseId));
+
+  const entered = afterTop
+    .filter(c => !beforeTopIds.has(c.courseId))
+    .map(c => describe(c, { rank: afterRanks.get(c.courseId), previousRank: beforeRanks.get(c.courseId) || null }));
+  const left = beforeTop
+    .filter(c => !afterTopIds.has(c.courseId))
+    .map(c => describe(c, { previousRank: beforeRanks.get(c.courseId), rank: afterRanks.get(c.courseId) || null }));
+  const stayed = afterTop
+    .filter(c => beforeTopIds.has(c.courseId))
+    .map(c => describe(c, { rank: afterRanks.get(c.courseId), previousRank: beforeRanks.get(c.courseId) }));
+  const moved = stayed
+    .filter(c => c.rank !== c.previousRank)
+    .sort((a, b) => Math.abs(b.previousRank - b.rank) - Math.abs(a.previousRank - a.rank));
+
+  const meanRankChange = stayed.length > 0
+    ? Math.round(stayed.reduce((sum, c) => sum + Math.abs(c.previousRank - c.rank), 0) / stayed.length * 10) / 10
+    : 0;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    top,
+    courses: after.length,
+    overlap: stayed.length,
+    entered,
+    left,
+    moved,
+    unchanged: stayed.length - moved.length,
+    meanRankChange
+  };
+}
+
+/**
+ * Render a comparison as Markdown
+ * @param {Object} comparison - From compareRankings, plus { before, after } profile labels
+ */
+function formatMarkdown(comparison) {
+  const rank = r => (r == null ? 'not ranked' : `#${r}`);
+  const lines = [
+    '# Ranking Comparison',
+    '',
+    `Generated: ${comparison.generatedAt}`,
+    '',
+    `- Before: ${comparison.before}`,
+    `- After: ${comparison.after}`,
+    comparison.term ? `- Term: ${comparison.term}` : null,
+    `- Courses ranked: ${comparison.courses}`,
+    '',
+    `| Top ${comparison.top} | Count |`,
+    '| --- | --- |',
+    `| In both lists | ${comparison.overlap} |`,
+    `| Entered | ${comparison.entered.length} |`,
+    `| Left | ${comparison.left.length} |`,
+    `| Moved | ${comparison.moved.length} |`,
+    `| Same rank | ${comparison.unchanged} |`,
+    `| Mean rank change (courses in both) | ${comparison.meanRankChange} |`
+  ].filter(line => line !== null);
+
+  const section = (title, rows, render) => {
+    if (rows.length === 0) return;
+    lines.push('', `## ${title} (${rows.length})`, '');
+    rows.forEach(row => lines.push(`- ${render(row)}`));
+  };
+  section('Entered', comparison.entered, c => `${c.courseId} "${c.title}": ${rank(c.previousRank)} → ${rank(c.rank)} (GemScore ${c.GemScore})`);
+  section('Left', comparison.left, c => `${c.courseId} "${c.title}": ${rank(c.previousRank)} → ${rank(c.rank)}`);
+  section('Moved', comparison.moved, c => `${c.courseId} "${c.title}": ${rank(c.previousRank)} → ${rank(c.rank)}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the comparison as JSON + Markdown to data/reports/
+ */
+function writeReport(comparison, dir = REPORTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, 'ranking-comparison.json');
+  const markdownPath = path.join(dir, 'ranking-comparison.md');
+  fs.writeFileSync(jsonPath, JSON.stringify(comparison, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(markdownPath, formatMarkdown(comparison), 'utf8');
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  QREPORT_SIGNALS,
+  withoutFactors,
+  compareRankings,
+  formatMarkdown,
+  writeReport
+};
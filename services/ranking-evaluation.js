@@ -0,0 +1,301 @@
+// Ranking Evaluation - precision@k and NDCG over a labeled set of chat queries
+// Each labeled message goes through extractQuery and findGems (which ranks with rankCourses)
+// exactly as a chat would, with no model involved, and the top k is scored against the
+// course IDs marked expected or acceptable for it. Results are compared with a saved
+// baseline (data/ranking-eval-baseline.json) so a GemScore or query-parsing change can be
+// reviewed with numbers rather than by reading chat output.
+
+const fs = require('fs');
+const path = require('path');
+const { findGems, selectTerm } = require('./gem-miner');
+const { extractQuery } = require('./query-parser');
+const { normalizeCourseCode } = require('./course-identity');
+
+const REPORTS_DIR = path.join(__dirname, '..', 'data', 'reports');
+const DEFAULT_QUERIES_PATH = path.join(__dirname, '..', 'data', 'ranking-queries.json');
+const DEFAULT_BASELINE_PATH = path.join(__dirname, '..', 'data', 'ranking-eval-baseline.json');
+
+// Relevance grades: an expected course counts twice as much as an acceptable one in NDCG
+const GRADES = { expected: 2, acceptable: 1 };
+
+// Metric changes smaller than this are rounding, not a change
+const EPSILON = 0.0005;
+
+const round = x => (x == null ? null : Math.round(x * 1000) / 1000);
+
+/**
+ * Read a labeled query set
+ * {
+ *   "term": "2026 Spring",   // optional: catalog term every query is answered for
+ *   "k": 10,                 // optional: default list length
+ *   "queries": [{ "id": "chill-cs", "message": "chill CS classes", "rubric": "...", "expected": ["COMPSCI 50"], "acceptable": [...], "k": 5 }]
+ * }
+ * `rubric` (how the courses were labeled) is for people; it isn't read here.
+ * @returns {{term: string|null, k: number|null, queries: Array}}
+ */
+function loadLabeledQueries(filePath = DEFAULT_QUERIES_PATH) {
+  if (!fs.existsSync(filePath)) throw new Error(`Labeled queries not found: ${filePath}`);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const queries = Array.isArray(data) ? data : data.queries;
+  if (!Array.isArray(queries)) throw new Error(`${filePath} has no "queries" list`);
+  queries.forEach((entry, i) => {
+    if (!entry.message) throw new Error(`${filePath}: query ${i + 1} has no "message"`);
+    if (!entry.expected?.length && !entry.acceptable?.length) {
+      throw new Error(`${filePath}: "${entry.message}" has no expected or acceptable courses`);
+    }
+  });
+  return { term: data.term || null, k: data.k || null, queries };
+}
+
+/**
+ * Relevance grade per normalized course code (see GRADES)
+ */
+function gradesFor(entry) {
+  const grades = new Map();
+  (entry.acceptable || []).forEach(code => grades.set(normalizeCourseCode(code), GRADES.acceptable));
+  (entry.expected || []).forEach(code => grades.set(normalizeCourseCode(code), GRADES.expected));
+  return grades;
+}
+
+/**
+ * Grade of a ranked course under any of the codes it's listed under (0 = not labeled)
+ */
+function gradeOf(course, grades) {
+  const codes = [normalizeCourseCode(course.courseId), ...(course.codes || [])];
+  return Math.max(0, ...codes.map(code => grades.get(code) || 0));
+}
+
+/**
+ * Share of the top k that is labeled relevant (expected or acceptable)
+ * @param {number[]} ranks - Grade of each ranked course, best first
+ */
+function precisionAtK(ranks, k) {
+  return ranks.slice(0, k).filter(grade => grade > 0).length / k;
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k (1 = the ideal order)
+ * @param {number[]} ranks - Grade of each ranked course, best first
+ * @param {number[]} labeled - Grades of every labeled course
+ * @returns {number|null} null when nothing is labeled
+ */
+function ndcgAtK(ranks, labeled, k) {
+  const dcg = grades => grades.slice(0, k).reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+  const ideal = dcg([...labeled].sort((a, b) => b - a));
+  return ideal > 0 ? dcg(ranks) / ideal : null;
+}
+
+/**
+ * Run one labeled query and score its top k
+ * @param {Object} entry - { id?, message, expected?, acceptable?, k?, term? }
+ * @param {Object} [options]
+ * @param {number} [options.k] - Default list length (10)
+ * @param {string} [options.term] - Default catalog term (else the term being registered for)
+ */
+async function evaluateQuery(entry, options = {}) {
+  const k = entry.k || options.k || 10;
+  const query = extractQuery(entry.message);
+  query.term = selectTerm(entry.term || options.term || query.term).term.catalogLabel;
+
+  const ranked = await findGems(query);
+  const grades = gradesFor(entry);
+  const ranks = ranked.map(course => gradeOf(course, grades));
+  const top = ranked.slice(0, k).map((course, i) => ({ courseId: course.courseId, GemScore: course.GemScore, grade: ranks[i] }));
+  const foundCodes = new Set(ranked.slice(0, k).flatMap(c => [normalizeCourseCode(c.courseId), ...(c.codes || [])]));
+
+  return {
+    id: entry.id || entry.message,
+    message: entry.message,
+    term: query.term,
+    k,
+    results: ranked.length,
+    precision: round(precisionAtK(ranks, k)),
+    ndcg: round(ndcgAtK(ranks, Array.from(grades.values()), k)),
+    top,
+    missingExpected: (entry.expected || []).map(normalizeCourseCode).filter(code => !foundCodes.has(code))
+  };
+}
+
+/**
+ * Run every labeled query
+ * @param {Object} labeled - From loadLabeledQueries
+ * @param {Object} [options] - { k, term } override the file's defaults
+ * @returns {Object} { generatedAt, k, term, queries: [...], mean: { precision, ndcg } }
+ */
+async function evaluateRanking(labeled, options = {}) {
+  const k = options.k || labeled.k || 10;
+  const term = options.term || labeled.term || null;
+  const queries = [];
+  for (const entry of labeled.queries) {
+    queries.push(await evaluateQuery(entry, { k, term }));
+  }
+
+  const mean = field => {
+    const values = queries.map(q => q[field]).filter(v => v != null);
+    return values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+  };
+  return {
+    generatedAt: new Date().toISOString(),
+    k,
+    term,
+    queries,
+    mean: { precision: mean('precision'), ndcg: mean('ndcg') }
+  };
+}
+
+/**
+ * Metric changes since the baseline, per query and overall
+ * @returns {Object|null} { mean: { precision, ndcg }, improved, regressed, unchanged, added, removed } (null without a baseline)
+ *   improved/regressed: [{ id, message, precision: { from, to }, ndcg: { from, to }, entered, left }]
+ */
+function compareToBaseline(report, baseline) {
+  if (!baseline) return null;
+  const before = new Map(baseline.queries.map(q => [q.id, q]));
+  const delta = (from, to) => (from == null || to == null ? null : round(to - from));
+
+  const improved = [];
+  const regressed = [];
+  let unchanged = 0;
+  report.queries.forEach(q => {
+    const old = before.get(q.id);
+    if (!old) return;
+    const change = {
+      id: q.id,
+      message: q.message,
+      precision: { from: old.precision, to: q.precision },
+      ndcg: { from: old.ndcg, to: q.ndcg },
+      entered: q.top.map(c => c.courseId).filter(code => !old.top.includes(code)),
+      left: old.top.filter(code => !q.top.some(c => c.courseId === code))
+    };
+    // NDCG decides; precision breaks ties
+    const ndcgChange = delta(old.ndcg, q.ndcg) ?? 0;
+    const direction = Math.abs(ndcgChange) > EPSILON ? ndcgChange : (delta(old.precision, q.precision) ?? 0);
+    if (direction > EPSILON) improved.push(change);
+    else if (direction < -EPSILON) regressed.push(change);
+    else unchanged++;
+  });
+
+  const ids = new Set(report.queries.map(q => q.id));
+  return {
+    baselineUpdatedAt: baseline.updatedAt || null,
+    mean: {
+      precision: { from: baseline.mean?.precision ?? null, to: report.mean.precision },
+      ndcg: { from: baseline.mean?.ndcg ?? null, to: report.mean.ndcg }
+    },
+    improved,
+    regressed,
+    unchanged,
+    added: report.queries.filter(q => !before.has(q.id)).map(q => q.id),
+    removed: baseline.queries.filter(q => !ids.has(q.id)).map(q => q.id)
+  };
+}
+
+/**
+ * Read a baseline file (null if it doesn't exist)
+ */
+function loadBaseline(filePath = DEFAULT_BASELINE_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Save the report's metrics and top-k lists as the accepted baseline
+ */
+function writeBaseline(report, filePath = DEFAULT_BASELINE_PATH) {
+  const baseline = {
+    updatedAt: report.generatedAt,
+    k: report.k,
+    term: report.term,
+    mean: report.mean,
+    queries: report.queries.map(q => ({
+      id: q.id,
+      message: q.message,
+      precision: q.precision,
+      ndcg: q.ndcg,
+      top: q.top.map(c => c.courseId)
+    }))
+  };
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+/**
+ * Render the evaluation (and its comparison with the baseline) as Markdown
+ */
+function formatMarkdown(report, comparison = null) {
+  const metric = value => (value == null ? 'n/a' : value.toFixed(3));
+  const change = ({ from, to }) => `${metric(from)} → ${metric(to)}`;
+  const lines = [
+    '# Ranking Evaluation',
+    '',
+    `Generated: ${report.generatedAt}`,
+    '',
+    `- Queries: ${report.queries.length}`,
+    `- List length (k): ${report.k}`,
+    report.term ? `- Term: ${report.term}` : null,
+    `- Mean precision@k: ${metric(report.mean.precision)}`,
+    `- Mean NDCG@k: ${metric(report.mean.ndcg)}`,
+    ''
+  ].filter(line => line !== null);
+
+  if (comparison) {
+    lines.push(
+      `## Against the baseline (${comparison.baselineUpdatedAt || 'undated'})`,
+      '',
+      `- Mean precision@k: ${change(comparison.mean.precision)}`,
+      `- Mean NDCG@k: ${change(comparison.mean.ndcg)}`,
+      `- Improved: ${comparison.improved.length}, regressed: ${comparison.regressed.length}, unchanged: ${comparison.unchanged}`
+    );
+    if (comparison.added.length > 0) lines.push(`- New queries: ${comparison.added.join(', ')}`);
+    if (comparison.removed.length > 0) lines.push(`- Queries no longer in the set: ${comparison.removed.join(', ')}`);
+    const section = (title, rows) => {
+      if (rows.length === 0) return;
+      lines.push('', `### ${title} (${rows.length})`, '');
+      rows.forEach(row => {
+        const moved = [
+          row.entered.length > 0 ? `entered: ${row.entered.join(', ')}` : null,
+          row.left.length > 0 ? `left: ${row.left.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+        lines.push(`- "${row.message}": precision ${change(row.precision)}, NDCG ${change(row.ndcg)}${moved ? ` (${moved})` : ''}`);
+      });
+    };
+    section('Regressed', comparison.regressed);
+    section('Improved', comparison.improved);
+    lines.push('');
+  }
+
+  lines.push('## Queries', '', '| Query | Results | Precision@k | NDCG@k | Expected not in top k |', '| --- | --- | --- | --- | --- |');
+  report.queries.forEach(q => {
+    lines.push(`| ${q.message} | ${q.results} | ${metric(q.precision)} | ${metric(q.ndcg)} | ${q.missingExpected.join(', ') || '-'} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write ranking-eval.json and ranking-eval.md to data/reports/
+ */
+function writeReport(report, comparison = null, dir = REPORTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, 'ranking-eval.json');
+  const markdownPath = path.join(dir, 'ranking-eval.md');
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...report, comparison }, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(markdownPath, formatMarkdown(report, comparison), 'utf8');
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  GRADES,
+  DEFAULT_QUERIES_PATH,
+  DEFAULT_BASELINE_PATH,
+  loadLabeledQueries,
+  precisionAtK,
+  ndcgAtK,
+  evaluateQuery,
+  evaluateRanking,
+  compareToBaseline,
+  loadBaseline,
+  writeBaseline,
+  formatMarkdown,
+  writeReport
+};
@@ -0,0 +1,127 @@
+// Rating Confidence - how much to trust a Q-Report score given how many students answered
+// Q-Report gives mean/median/mode/stdev per metric plus num_responded and num_students.
+// We turn those into a 95% confidence interval per metric and a Bayesian-average rating
+// that pulls small classes toward the term average, so one glowing review can't top a list.
+
+const Z_95 = 1.96;
+
+// Responses' worth of "average course" blended into every rating (see bayesianAverage)
+const PRIOR_WEIGHT = 10;
+
+// Q-Report column prefix => field name, with the scale used to clamp intervals
+const METRICS = {
+  rating: { column: 'course_score', min: 1, max: 5 },
+  lecturer: { column: 'lecturer_score', min: 1, max: 5 },
+  workload: { column: 'workload_score', min: 0, max: null },
+  recommend: { column: 'rec_score', min: 1, max: 5 },
+  sentiment: { column: 'sentiment_score', min: -1, max: 1 },
+  gemProbability: { column: 'gem_probability', min: 0, max: 1 }
+};
+
+/**
+ * 95% confidence interval for a mean
+ * Uses the finite population correction, since responses come from a known class size:
+ * when everyone in the class answered there is no sampling error left.
+ * @param {Object} stats - { mean, stdev }
+ * @param {number} numResponded
+ * @param {number} [numStudents]
+ * @param {Object} [scale] - { min, max } to clamp the interval to
+ * @returns {{low: number, high: number, margin: number}|null} null when it can't be computed
+ */
+function confidenceInterval(stats, numResponded, numStudents, scale = {}) {
+  if (!stats || stats.mean == null || stats.stdev == null || !(numResponded > 1)) return null;
+
+  let standardError = stats.stdev / Math.sqrt(numResponded);
+  if (numStudents > 1 && numStudents >= numResponded) {
+    standardError *= Math.sqrt((numStudents - numResponded) / (numStudents - 1));
+  }
+
+  const margin = Z_95 * standardError;
+  const clamp = value => {
+    if (scale.min != null) value = Math.max(scale.min, value);
+    if (scale.max != null) value = Math.min(scale.max, value);
+    return round(value);
+  };
+  return { low: clamp(stats.mean - margin), high: clamp(stats.mean + margin), margin: round(margin) };
+}
+
+/**
+ * Bayesian average: blend a course's mean with the prior mean, weighted by responses
+ *   (priorWeight * priorMean + n * mean) / (priorWeight + n)
+ * 4.9 from 5 students moves a long way toward the average; 4.9 from 300 barely moves.
+ */
+function bayesianAverage(mean, numResponded, priorMean, priorWeight = PRIOR_WEIGHT) {
+  if (mean == null) return null;
+  if (priorMean == null || !(numResponded > 0)) return mean;
+  return round((priorWeight * priorMean + numResponded * mean) / (priorWeight + numResponded));
+}
+
+/**
+ * Response-weighted mean rating across a term's courses (the prior for bayesianAverage)
+ */
+function termMean(courses, field = 'rating') {
+  let total = 0;
+  let weight = 0;
+  courses.forEach(course => {
+    if (course[field] == null) return;
+    const n = course.numResponded || 1;
+    total += course[field] * n;
+    weight += n;
+  });
+  return weight > 0 ? total / weight : null;
+}
+
+/**
+ * Plain-language confidence for a course's rating
+ * @returns {'high'|'medium'|'low'}
+ */
+function confidenceLevel(numResponded, interval) {
+  if (!(numResponded >= 10) || !interval || interval.margin > 0.4) return 'low';
+  if (numResponded >= 30 && interval.margin <= 0.2) return 'high';
+  return 'medium';
+}
+
+/**
+ * Attach response rate, per-metric intervals, the Bayesian-average rating and a confidence
+ * summary to every course in a term
+ * @param {Array} courses - Q-Report rows for one term, with `distributions` from the loader
+ */
+function applyConfidence(courses) {
+  const priorRating = termMean(courses);
+
+  courses.forEach(course => {
+    const n = course.numResponded;
+    const students = course.numStudents;
+    course.responseRate = n != null && students > 0 ? round(Math.min(1, n / students)) : null;
+
+    Object.entries(course.distributions || {}).forEach(([metric, stats]) => {
+      stats.interval = confidenceInterval(stats, n, students, METRICS[metric]);
+    });
+
+    const ratingInterval = course.distributions?.rating?.interval || null;
+    course.adjustedRating = bayesianAverage(course.rating, n, priorRating);
+    course.ratingConfidence = {
+      level: confidenceLevel(n, ratingInterval),
+      interval: ratingInterval,
+      numResponded: n,
+      numStudents: students,
+      responseRate: course.responseRate
+    };
+  });
+
+  return courses;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  METRICS,
+  PRIOR_WEIGHT,
+  confidenceInterval,
+  bayesianAverage,
+  termMean,
+  confidenceLevel,
+  applyConfidence
+};
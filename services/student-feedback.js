@@ -0,0 +1,208 @@
+// Student Feedback - "not interested", "already took it", "more like this", kept per chat
+// Captured from chat phrases (parseFeedback) and A1Zap reactions (feedbackForReaction), and
+// saved to data/student-feedback.json so it outlasts restarts. feedbackAdjustment() turns a
+// chat's feedback into what rankCourses uses: courses to hide, and the subjects and meeting
+// times of the courses the student liked.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { normalizeCourseCode } = require('./course-identity');
+const { meetingsOf, formatMeetings } = require('./meeting-times');
+const { subjectOf } = require('./gem-ranking');
+const { removeTimePhrases } = require('./time-preferences');
+
+const DEFAULT_FEEDBACK_PATH = config.data?.feedbackPath || path.join(__dirname, '..', 'data', 'student-feedback.json');
+
+// Kinds of feedback; `hides` ones keep the course out of later lists
+const FEEDBACK_KINDS = {
+  notInterested: { label: 'Not interested', hides: true },
+  taken: { label: 'Already took', hides: true },
+  liked: { label: 'More like this', hides: false }
+};
+
+// A1Zap reactions on one of Georgie's messages
+const REACTIONS = {
+  '👍': 'liked',
+  '❤️': 'liked',
+  '🔥': 'liked',
+  '💎': 'liked',
+  '👎': 'notInterested',
+  '✅': 'taken'
+};
+
+// chatId => { updatedAt, courses: { "COMPSCI 50": { courseId, title, subject, meetings, kind, at } } }
+let store = null;
+
+function load(filePath = DEFAULT_FEEDBACK_PATH) {
+  if (store) return store;
+  try {
+    store = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  } catch (e) {
+    console.warn(`⚠️  Student feedback: couldn't read ${filePath} (${e.message}) - starting empty`);
+    store = {};
+  }
+  return store;
+}
+
+function save(filePath = DEFAULT_FEEDBACK_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2) + '\n', 'utf8');
+}
+
+// "this", "that", "it", "these" pointing back at a course - not "classes that have finals"
+const REFERS_BACK = /\b(this|that|it|these|those|them)\b(?!\s+(with|without|that|which|where|have|has|meet|meets|are)\b)/;
+// Something shaped like a course code ("ECON 10", "cs50"); the webhook checks it against the catalog
+const COURSE_CODE = /\b[a-z][a-z&-]{1,9} ?\d{1,4}[a-z]{0,4}\b/;
+// "don't show me classes with finals", "hide the ones with exams": a filter, not feedback
+const FILTER_AFTER = '(?!\\s+(me\\s+)?(any|anything|classes|courses|ones|the ones|stuff|something)\\b)';
+
+/**
+ * What a chat message says about courses, if anything
+ * Feedback about courses needs a course: one named in the message ("ECON 10") or one it
+ * points back to ("this", "it", "these"), so search filters aren't saved as feedback.
+ * Examples:
+ *   "not interested in ECON 10"      => { action: 'record', kind: 'notInterested', refersBack: false }
+ *   "I already took it"              => { action: 'record', kind: 'taken', refersBack: true }
+ *   "more like this" / "I loved it"  => { action: 'record', kind: 'liked', refersBack: true }
+ *   "don't show me classes with finals" / "classes similar to CS 50" => null
+ *   "what have I told you?"          => { action: 'view' }
+ *   "reset my feedback"              => { action: 'reset' }
+ * @param {string} text
+ * @returns {{action: string, kind?: string, refersBack?: boolean}|null}
+ *   refersBack: the message points back at earlier courses rather than (only) naming them
+ */
+function parseFeedback(text) {
+  const lower = String(text || '').toLowerCase();
+  if (/\b(reset|clear|forget|erase|delete)\b.*\b(feedback|likes|dislikes|what i('ve| have)? (said|told you))\b/.test(lower)) {
+    return { action: 'reset' };
+  }
+  if (/\b(show|see|view|list)\b.*\b(my feedback|my likes|my dislikes|(courses|classes) i (dismissed|hid|liked))\b|\bwhat (have i|did i) (told|tell) you\b/.test(lower)) {
+    return { action: 'view' };
+  }
+
+  const refersBack = REFERS_BACK.test(lower);
+  if (!refersBack && !COURSE_CODE.test(removeTimePhrases(lower))) return null;
+
+  let kind = null;
+  if (/\b(already (took|taken|did|done)|took (it|that|this|them) already|i('ve| have) taken|i took)\b/.test(lower)) {
+    kind = 'taken';
+  } else if (new RegExp(`\\b(not interested|not for me|no thanks|(don'?t|do not) (show|recommend|suggest)|stop (showing|recommending|suggesting)|hide)\\b${FILTER_AFTER}`).test(lower)) {
+    kind = 'notInterested';
+  } else if (/\b(more like|i (really )?(liked|loved|enjoyed)|love (this|that|it))\b/.test(lower)) {
+    kind = 'liked';
+  }
+  return kind ? { action: 'record', kind, refersBack } : null;
+}
+
+/**
+ * Feedback kind for an A1Zap reaction emoji, or null if it means nothing here
+ */
+function feedbackForReaction(emoji) {
+  // "❤️" and "❤" (with or without the emoji variation selector) are the same reaction
+  const plain = value => String(value || '').replace(/\uFE0F/g, '');
+  const match = Object.entries(REACTIONS).find(([reaction]) => plain(reaction) === plain(emoji));
+  return match ? match[1] : null;
+}
+
+/**
+ * A chat's saved feedback
+ * @returns {{updatedAt: string|null, courses: Object}} courses keyed by normalized course code
+ */
+function getFeedback(chatId) {
+  const entry = load()[chatId];
+  return entry ? { ...entry, courses: { ...entry.courses } } : { updatedAt: null, courses: {} };
+}
+
+/**
+ * Save feedback about some courses; the latest kind for a course replaces earlier ones
+ * @param {string} chatId
+ * @param {Array} courses - Catalog entries or ranked courses (subject and meeting times are kept)
+ * @param {string} kind - A FEEDBACK_KINDS key
+ * @returns {Array} The saved entries
+ */
+function recordFeedback(chatId, courses, kind) {
+  if (!FEEDBACK_KINDS[kind]) throw new Error(`Unknown feedback kind: ${kind}`);
+  const data = load();
+  const entry = data[chatId] || { updatedAt: null, courses: {} };
+  const at = new Date().toISOString();
+
+  const saved = courses.filter(Boolean).map(course => {
+    const courseId = normalizeCourseCode(course.courseId);
+    const record = {
+      courseId,
+      title: course.title || null,
+      subject: subjectOf(course),
+      meetings: meetingsOf(course),
+      kind,
+      at
+    };
+    entry.courses[courseId] = record;
+    return record;
+  });
+
+  entry.updatedAt = at;
+  data[chatId] = entry;
+  save();
+  console.log(`📝 Feedback for chat ${chatId}: ${FEEDBACK_KINDS[kind].label} - ${saved.map(c => c.courseId).join(', ')}`);
+  return saved;
+}
+
+/**
+ * Forget everything a chat has said
+ * @returns {number} How many courses had feedback
+ */
+function resetFeedback(chatId) {
+  const data = load();
+  const count = Object.keys(data[chatId]?.courses || {}).length;
+  delete data[chatId];
+  save();
+  console.log(`🗑️  Reset feedback for chat ${chatId} (${count} courses)`);
+  return count;
+}
+
+/**
+ * What ranking does with a chat's feedback
+ * @param {Object} feedback - From getFeedback
+ * @returns {{hidden: Set<string>, liked: Array}|null} null when there's no feedback
+ *   hidden: course codes to leave out; liked: [{ courseId, subject, meetings }]
+ */
+function feedbackAdjustment(feedback) {
+  const courses = Object.values(feedback?.courses || {});
+  if (courses.length === 0) return null;
+  return {
+    hidden: new Set(courses.filter(c => FEEDBACK_KINDS[c.kind]?.hides).map(c => c.courseId)),
+    liked: courses.filter(c => c.kind === 'liked')
+  };
+}
+
+/**
+ * One line per kind: "Not interested: ECON 10 (Principles of Economics)"
+ */
+function describeFeedback(feedback) {
+  const courses = Object.values(feedback?.courses || {});
+  return Object.entries(FEEDBACK_KINDS)
+    .map(([kind, { label }]) => {
+      const matching = courses.filter(c => c.kind === kind);
+      if (matching.length === 0) return null;
+      const list = matching.map(c => {
+        const time = c.meetings?.length ? `, ${formatMeetings(c.meetings)}` : '';
+        return `${c.courseId}${c.title ? ` (${c.title}${time})` : ''}`;
+      });
+      return `${label}: ${list.join('; ')}`;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  FEEDBACK_KINDS,
+  REACTIONS,
+  DEFAULT_FEEDBACK_PATH,
+  parseFeedback,
+  feedbackForReaction,
+  getFeedback,
+  recordFeedback,
+  resetFeedback,
+  feedbackAdjustment,
+  describeFeedback
+};
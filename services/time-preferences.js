@@ -0,0 +1,232 @@
+// Time Preferences - "after 10am", "done by 3", "no Fridays", "MWF only" as constraints
+// parseTimePreferences() turns a chat message into
+//   { startsAfter, endsBefore, freeDays, onlyDays, days, partOfDay }
+// (minutes after midnight and day bitmasks, see meeting-times.js), and checkTimePreferences()
+// scores a course's meeting blocks against them: which preferences it meets, which it misses,
+// and which can't be told because the catalog has no meeting time.
+
+const {
+  parseDays,
+  dayNames,
+  formatClockTime,
+  meetingDays,
+  keepsDaysFree
+} = require('./meeting-times');
+
+const NOON = 12 * 60;
+
+// Start-time windows for "morning classes", "afternoon", "evening"
+const PARTS_OF_DAY = {
+  morning: [0, NOON],
+  afternoon: [NOON, 17 * 60],
+  evening: [17 * 60, 24 * 60]
+};
+
+// "10am", "10:30 a.m.", "3pm", "noon", "10" - not "5 hours" or "2 classes"
+const TIME = '(noon|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?)(?!\\s*(?:hours?|hrs?|classes|courses|credits|years?|students|\\d))';
+// "friday", "fridays", "fri", "mondays or fridays", "tue/thu"
+const DAY = '(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?s?';
+const DAY_LIST = `${DAY}(?:\\s*(?:,|/|or|and|&)\\s*${DAY})*`;
+// Letter codes students use: "MWF", "TTh", "TuTh", "T/Th" (two-letter ones only next to "only")
+const DAY_LETTERS = 'mwf|tth|tuth|tu/th|t/th';
+const SHORT_DAY_LETTERS = 'mw|wf|mf|tr';
+
+/**
+ * A clock time as students type it: "10am", "10:30 am", "3pm", "noon", or a bare hour
+ * Bare hours are read as class hours: 8-11 in the morning, 12-7 in the afternoon/evening
+ * ("after 10" is 10 AM, "done by 3" is 3 PM).
+ * @returns {number|null} Minutes after midnight
+ */
+function parseLooseTime(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'noon') return NOON;
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (minutes > 59) return null;
+  if (!match[3] && hours > 12 && hours < 24) return hours * 60 + minutes; // "after 13:00"
+  if (hours < 1 || hours > 12) return null;
+  const pm = match[3] ? match[3][0] === 'p' : hours < 8 || hours === 12;
+  return (hours % 12 + (pm ? 12 : 0)) * 60 + minutes;
+}
+
+/**
+ * Day bitmask for day words or letter codes ("fridays", "mon or wed", "TTh", "MWF")
+ */
+function parseDayList(value) {
+  const text = String(value || '').toLowerCase().replace(/\b(tth|tuth|tu\/th|t\/th)\b/g, 'tue/thu');
+  return parseDays(text.replace(/\bor\b/g, ','));
+}
+
+/**
+ * Read the time phrases out of a message
+ * @returns {{prefs: Object, rest: string}} The constraints, and the text left once they're removed
+ */
+function readTimePhrases(text) {
+  let rest = ` ${String(text || '').toLowerCase()} `;
+  const prefs = {};
+  // Each phrase is removed once read, so "no classes before 10" isn't also read as "before 10"
+  const take = (pattern, read) => {
+    rest = rest.replace(new RegExp(pattern, 'g'), (...groups) => {
+      read(groups[1]);
+      return ' ';
+    });
+  };
+  const startTime = value => {
+    const minutes = parseLooseTime(value);
+    if (minutes != null) prefs.startsAfter = Math.max(prefs.startsAfter ?? 0, minutes);
+  };
+  const endTime = value => {
+    const minutes = parseLooseTime(value);
+    if (minutes != null) prefs.endsBefore = Math.min(prefs.endsBefore ?? 24 * 60, minutes);
+  };
+  const addDays = key => value => {
+    const mask = parseDayList(value);
+    if (mask) prefs[key] = (prefs[key] || 0) | mask;
+  };
+
+  // No mornings / no early classes
+  take('\\b(?:no|not in the|nothing in the|avoid) (early )?mornings?(?: classes)?\\b', () => { prefs.startsAfter = Math.max(prefs.startsAfter ?? 0, NOON); });
+  take('\\bno (early)(?: classes| courses)?\\b', () => { prefs.startsAfter = Math.max(prefs.startsAfter ?? 0, 10 * 60); });
+
+  // Start / end times, negated forms first
+  take(`\\b(?:no (?:classes |class |courses )?(?:before|earlier than)|not (?:before|earlier than)|nothing (?:before|earlier than)|no earlier than) ${TIME}`, startTime);
+  take(`\\b(?:no (?:classes |class |courses )?(?:after|later than)|not (?:after|later than)|nothing (?:after|later than)|no later than) ${TIME}`, endTime);
+  take(`\\b(?:done|finish(?:ed)?|out|free|over|end(?:s|ed|ing)?|wrap(?:ped)? up)(?: by| before| at)? ${TIME}`, endTime);
+  take(`\\b(?:start(?:s|ing)? (?:at or )?after|after|later than) ${TIME}`, startTime);
+  take(`\\b(?:before|by|until) ${TIME}`, endTime);
+
+  // Days off: "no Fridays", "Fridays off", "free Fridays", "nothing on Mondays"
+  take(`\\b(?:no|without|not on|nothing on|avoid|skip) (${DAY_LIST})(?: classes| class| courses)?\\b`, addDays('freeDays'));
+  take(`\\b(${DAY_LIST}) (?:off|free)\\b`, addDays('freeDays'));
+  take(`\\b(?:free|off on) (${DAY_LIST})\\b`, addDays('freeDays'));
+
+  // Only some days: "MWF only", "only on Tue/Thu", "just Mondays and Wednesdays"
+  const onlyDays = `${DAY_LETTERS}|${SHORT_DAY_LETTERS}|${DAY_LIST}`;
+  take(`\\b(?:only|just)(?: on)? (${onlyDays})\\b`, addDays('onlyDays'));
+  take(`\\b(${onlyDays})(?: classes| courses)? only\\b`, addDays('onlyDays'));
+
+  // Any other day mentioned: meets on one of them ("tue/thu classes", "on Mondays")
+  take(`\\b(${DAY_LETTERS}|${DAY_LIST})\\b`, addDays('days'));
+
+  take('\\b(mornings?)\\b', () => { prefs.partOfDay = prefs.partOfDay || 'morning'; });
+  take('\\b(afternoons?)\\b', () => { prefs.partOfDay = prefs.partOfDay || 'afternoon'; });
+  take('\\b(evenings?|nights?)\\b', () => { prefs.partOfDay = prefs.partOfDay || 'evening'; });
+
+  return { prefs, rest: rest.replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Time constraints in a chat message
+ * Examples:
+ *   "nothing before 10am"        => { startsAfter: 600 }
+ *   "done by 3"                  => { endsBefore: 900 }
+ *   "no Fridays"                 => { freeDays: Fri }
+ *   "MWF only"                   => { onlyDays: Mon | Wed | Fri }
+ *   "tue/thu classes"            => { days: Tue | Thu } (meets on one of them)
+ *   "morning classes"            => { partOfDay: 'morning' }
+ * @param {string} text
+ * @returns {Object} Only the constraints found (empty object if none)
+ */
+function parseTimePreferences(text) {
+  return readTimePhrases(text).prefs;
+}
+
+/**
+ * The message without its time phrases (lowercased), so "done by 3" isn't read as a course code
+ */
+function removeTimePhrases(text) {
+  return readTimePhrases(text).rest;
+}
+
+/**
+ * One check per preference: { label, test(meetings) => true | false | null (can't tell) }
+ */
+function timePreferenceChecks(prefs = {}) {
+  const checks = [];
+  // Start/end checks need meeting times; day checks only need days
+  const everyTimed = (meetings, test) => {
+    const timed = meetings.filter(m => m.start != null);
+    return timed.length === 0 ? null : timed.every(test);
+  };
+  const onDays = (meetings, test) => (meetingDays(meetings) ? test(meetingDays(meetings)) : null);
+
+  if (prefs.startsAfter != null) {
+    checks.push({ label: `starts at or after ${formatClockTime(prefs.startsAfter)}`, test: meetings => everyTimed(meetings, m => m.start >= prefs.startsAfter) });
+  }
+  if (prefs.endsBefore != null) {
+    checks.push({ label: `ends by ${formatClockTime(prefs.endsBefore)}`, test: meetings => everyTimed(meetings, m => m.end <= prefs.endsBefore) });
+  }
+  if (prefs.partOfDay && PARTS_OF_DAY[prefs.partOfDay]) {
+    const [from, to] = PARTS_OF_DAY[prefs.partOfDay];
+    checks.push({ label: `in the ${prefs.partOfDay}`, test: meetings => everyTimed(meetings, m => m.start >= from && m.start < to) });
+  }
+  if (prefs.freeDays) {
+    checks.push({ label: `no ${dayNames(prefs.freeDays).join('/')}`, test: meetings => onDays(meetings, () => keepsDaysFree(meetings, prefs.freeDays)) });
+  }
+  if (prefs.onlyDays) {
+    checks.push({ label: `${dayNames(prefs.onlyDays).join('/')} only`, test: meetings => onDays(meetings, days => (days & ~prefs.onlyDays) === 0) });
+  }
+  if (prefs.days) {
+    checks.push({ label: `meets on ${dayNames(prefs.days).join(' or ')}`, test: meetings => onDays(meetings, days => (days & prefs.days) !== 0) });
+  }
+  return checks;
+}
+
+/**
+ * The preferences as a list of phrases ("starts at or after 10:00 AM", "no Fri")
+ */
+function describeTimePreferences(prefs = {}) {
+  return timePreferenceChecks(prefs).map(check => check.label);
+}
+
+/**
+ * How well a course's meeting blocks fit the preferences
+ * @param {Array} meetings - Meeting blocks (meetingsOf(course))
+ * @param {Object} prefs - From parseTimePreferences
+ * @returns {{fit: number|null, met: string[], missed: string[], unknown: string[]}}
+ *   fit is the share of the preferences that could be checked that the course meets (null if none could)
+ */
+function checkTimePreferences(meetings, prefs = {}) {
+  const result = { fit: null, met: [], missed: [], unknown: [] };
+  timePreferenceChecks(prefs).forEach(({ label, test }) => {
+    const ok = test(meetings || []);
+    if (ok === null) result.unknown.push(label);
+    else if (ok) result.met.push(label);
+    else result.missed.push(label);
+  });
+  const checked = result.met.length + result.missed.length;
+  if (checked > 0) result.fit = Math.round(result.met.length / checked * 100) / 100;
+  return result;
+}
+
+/**
+ * "fits all 2 (starts at or after 10:00 AM, no Fri)" / "fits 1 of 2 - misses: no Fri"
+ * @param {Object} timeFit - From checkTimePreferences
+ */
+function describeTimeFit(timeFit) {
+  if (!timeFit || timeFit.fit == null) return 'unknown - no meeting time in the catalog';
+  const checked = timeFit.met.length + timeFit.missed.length;
+  const unknown = timeFit.unknown.length > 0 ? `; can't tell: ${timeFit.unknown.join(', ')}` : '';
+  if (timeFit.missed.length === 0) return `fits all ${checked} (${timeFit.met.join(', ')})${unknown}`;
+  return `fits ${timeFit.met.length} of ${checked} - misses: ${timeFit.missed.join(', ')}${unknown}`;
+}
+
+/**
+ * Whether any preferences were given
+ */
+function hasTimePreferences(prefs) {
+  return Boolean(prefs) && timePreferenceChecks(prefs).length > 0;
+}
+
+module.exports = {
+  PARTS_OF_DAY,
+  parseLooseTime,
+  parseTimePreferences,
+  removeTimePhrases,
+  describeTimePreferences,
+  checkTimePreferences,
+  describeTimeFit,
+  hasTimePreferences
+};
@@ -6,9 +6,62 @@ const gemMinerAgent = require('../agents/gem-miner-agent');
 const webhookHelpers = require('../services/webhook-helpers');
 const conversationCache = require('../services/conversation-cache');
 const config = require('../config');
-const { findGems, getAllAvailableCourses, getCourseDetails } = require('../services/gem-miner');
-const { mapDepartment } = require('../services/department-mapper');
+const {
+  findGems,
+  getAllAvailableCourses,
+  getCourseDetails,
+  getQReportTerms,
+  findInstructors,
+  selectTerm,
+  getPrerequisites,
+  getUnlockedCourses,
+  getCatalogChanges,
+  searchComments
+} = require('../services/gem-miner');
 const { getGenEdCategory } = require('../services/gened-categories');
+const { normalizeCourseCode } = require('../services/course-identity');
+const { formatMeetings, dayNames } = require('../services/meeting-times');
+const {
+  removeTimePhrases,
+  describeTimePreferences,
+  describeTimeFit
+} = require('../services/time-preferences');
+const { summarizePrerequisites } = require('../services/prerequisites');
+const { describeChanges } = require('../services/catalog-diff');
+const { balancedQuotes, excerpt } = require('../services/comment-corpus');
+const { resolveProfile, describeBreakdown } = require('../services/gem-ranking');
+const { EXPLAIN_SCORE_PATTERN, extractQuery } = require('../services/query-parser');
+const {
+  FEEDBACK_KINDS,
+  parseFeedback,
+  feedbackForReaction,
+  getFeedback,
+  recordFeedback,
+  resetFeedback,
+  describeFeedback
+} = require('../services/student-feedback');
+
+/**
+ * Course codes written in a message ("Astrosociology (ASTRON 5)" => ["ASTRON 5"])
+ */
+function courseCodesIn(text) {
+  const matches = String(text || '').match(/\b[A-Z][A-Z&-]{1,9} \d{1,4}[A-Z]{0,4}\b/g) || [];
+  return Array.from(new Set(matches.map(normalizeCourseCode)));
+}
+
+/**
+ * Catalog courses named in a message, however they're typed ("cs 50", "Econ 10a")
+ * Only codes the catalog knows are kept, so "under 5" or "top 10" aren't read as courses.
+ */
+function catalogCoursesIn(text) {
+  const matches = removeTimePhrases(text).match(/\b[a-z][a-z&-]{1,9} ?\d{1,4}[a-z]{0,4}\b/g) || [];
+  const courses = new Map();
+  matches.forEach(match => {
+    const course = getCourseDetails(normalizeCourseCode(match));
+    if (course) courses.set(normalizeCourseCode(course.courseId), course);
+  });
+  return Array.from(courses.values());
+}
 
 /**
  * Steve the Schedule Helper webhook handler (text-first ranking)
@@ -425,13 +478,51 @@ class GemMinerWebhook extends BaseWebhook {
     // Add current user message
     messages.push({ role: 'user', content: userMessage });
 
+    // "Not interested in ECON 10", "already took it", "more like this", "what have I told you?", "reset my feedback"
+    let feedbackRequest = parseFeedback(userMessage);
+    // Feedback needs a catalog course or a "this"/"it" - "not interested in anything over 10 hours" is a filter
+    if (feedbackRequest?.action === 'record' && !feedbackRequest.refersBack && catalogCoursesIn(userMessage).length === 0) {
+      feedbackRequest = null;
+    }
+    const feedbackContext = feedbackRequest ? this.applyFeedback(feedbackRequest, userMessage, messages, chatId) : '';
+
     // Detect if user is asking for gem recommendations (heuristic check)
-    const needsGemData = this.shouldFetchGems(userMessage);
+    // Feedback about a course isn't a question about it: gems are fetched for "more like this",
+    // or when the rest of the message asks for some ("already took CS 50 - what else is chill?")
+    let needsGemData = this.shouldFetchGems(userMessage);
+    if (feedbackRequest) {
+      needsGemData = feedbackRequest.kind === 'liked' ||
+        (feedbackRequest.action === 'record' && this.shouldFetchGems(userMessage.replace(/\b[a-z][a-z&-]{1,9} ?\d{1,4}[a-z]{0,4}\b/gi, ' ')));
+    }
     
     let gemContext = '';
     if (needsGemData) {
       console.log('💎 User wants gems - fetching data...');
-      const query = this.extractQuery(userMessage);
+      const query = extractQuery(userMessage);
+      // This student's feedback: courses they dismissed are left out, ones like those they liked rank higher
+      query.feedback = getFeedback(chatId);
+      if (feedbackRequest) delete query.filters.courseCode;
+
+      // "Why is it a gem?" right after a recommendation: explain the courses from the last answer,
+      // ranked with the profile the student asked for then
+      let explainCodes = [];
+      if (query.explainScore && !query.filters.courseCode) {
+        const earlier = messages.slice(0, -1).reverse();
+        const lastAnswer = earlier.find(m => m.role === 'assistant');
+        const lastRequest = earlier.find(m => m.role === 'user');
+        explainCodes = courseCodesIn(lastAnswer?.content);
+        if (lastRequest) {
+          const previous = extractQuery(String(lastRequest.content || ''));
+          query.profile = query.profile || previous.profile;
+          query.timePreferences = query.timePreferences || previous.timePreferences;
+        }
+        console.log(`🧮 Explaining GemScore for ${explainCodes.length} course(s) from the last answer`);
+      }
+      const qreportTerm = getQReportTerms().latest || 'the latest Q-Report';
+      // Catalog term to answer for: the one the student named, else the one being registered for
+      const termChoice = selectTerm(query.term);
+      const termLabel = termChoice.term.label;
+      query.term = termChoice.term.catalogLabel;
       
       // 🚨 QUANTITY DETECTION - How many courses does the user want?
       const userMessageLower = userMessage.toLowerCase();
@@ -484,52 +575,55 @@ class GemMinerWebhook extends BaseWebhook {
         console.log('🎯 User wants options for their criteria (5 courses)');
       }
       
-      // STEP 1: Get ALL available courses from catalog (ground truth) - SPRING 2026 ONLY
+      // STEP 1: Get ALL available courses from catalog (ground truth) - selected term ONLY
       const catalogCourses = await getAllAvailableCourses({
-        term: '2026 Spring', // ONLY Spring 2026
+        term: query.term,
         subject: query.filters?.department,
-        weekdays: query.preferredTimes?.find(t => ['tue', 'thu', 'mon', 'wed', 'fri'].includes(t)),
+        weekdays: query.timePreferences?.days ? dayNames(query.timePreferences.days).join('/') : undefined,
+        startsAfter: query.timePreferences?.startsAfter,
+        endsBefore: query.timePreferences?.endsBefore,
+        freeDays: query.timePreferences?.freeDays,
+        onlyDays: query.timePreferences?.onlyDays,
         courseCode: query.filters?.courseCode // Include course code if specified
       });
-      console.log(`📚 Found ${catalogCourses.length} Spring 2026 courses in catalog matching criteria`);
+      console.log(`📚 Found ${catalogCourses.length} ${termLabel} courses in catalog matching criteria`);
       
-      // STEP 2: Get Q-Report data (ratings/gems)
+      // STEP 2: Get Q-Report data (ratings/gems) for courses offered in the selected term
+      // findGems matches the term's catalog on numeric course ID or code and uses that offering's times
       const ranked = await findGems(query);
       
-      // STEP 3: Filter to only courses with actual Q-Report data AND in Spring 2026 catalog
-      const spring2026CourseIds = new Set(catalogCourses.map(c => c.courseId.toUpperCase()));
-      
-      const gemsWithData = ranked.filter(c => {
+      // STEP 3: Filter to only courses with actual Q-Report data
+      let gemsWithData = ranked.filter(c => {
         const hasData = c._hasQReportData === true;
         const hasRating = c.rating != null && c.rating > 0;
         const hasWorkload = c.workloadHrs != null && c.workloadHrs > 0;
-        const hasGemScore = c.GemScore != null && c.GemScore > 0;
-        const inSpring2026 = spring2026CourseIds.has(c.courseId.toUpperCase());
-        return hasData && hasRating && hasWorkload && hasGemScore && inSpring2026;
+        const hasGemScore = c.GemScore != null;
+        return hasData && hasRating && hasWorkload && hasGemScore;
       });
       
-      console.log(`💎 Found ${ranked.length} courses total, ${gemsWithData.length} with complete Q-Report data in Spring 2026`);
+      console.log(`💎 Found ${ranked.length} courses total, ${gemsWithData.length} with complete Q-Report data in ${termLabel}`);
+
+      // Time preferences ("after 10am", "no Fridays"): when some courses fit every one, show only those;
+      // otherwise the best fits (GemScore already counts the fit) with what each one misses
+      const timeLabels = describeTimePreferences(query.timePreferences);
+      let fitsEveryTime = false;
+      if (query.timePreferences) {
+        const fullFits = gemsWithData.filter(c => c.timeFit?.fit === 1 && c.timeFit.unknown.length === 0);
+        console.log(`🕐 ${fullFits.length} of ${gemsWithData.length} courses fit every time preference (${timeLabels.join(', ')})`);
+        if (fullFits.length > 0) {
+          gemsWithData = fullFits;
+          fitsEveryTime = true;
+        }
+      }
       
       // If asking about a specific course and we have a course code, look it up in the catalog
       let specificCourseFromCatalog = null;
-      if (isAskingAboutSpecificCourse && query.filters?.courseCode) {
+      if ((isAskingAboutSpecificCourse || query.prerequisites) && query.filters?.courseCode) {
         console.log(`🔍 Looking up specific course in catalog: ${query.filters.courseCode}`);
+        // getCourseDetails handles section numbers and aliases like "CS 50" => "COMPSCI 50"
         specificCourseFromCatalog = getCourseDetails(query.filters.courseCode);
         if (specificCourseFromCatalog) {
           console.log(`✅ Found course in catalog: ${specificCourseFromCatalog.courseId}`);
-        } else {
-          // Try with different variations (e.g., "COMPSCI 50" vs "CS 50")
-          const codeVariations = [
-            query.filters.courseCode.replace('COMPSCI', 'CS'),
-            query.filters.courseCode.replace('CS', 'COMPSCI')
-          ];
-          for (const variation of codeVariations) {
-            specificCourseFromCatalog = getCourseDetails(variation);
-            if (specificCourseFromCatalog) {
-              console.log(`✅ Found course with variation: ${variation}`);
-              break;
-            }
-          }
         }
       }
       
@@ -537,8 +631,12 @@ class GemMinerWebhook extends BaseWebhook {
         // Build gem data as context for Gemini - limit to user's requested quantity
         let top = gemsWithData.slice(0, maxResults); // Use detected quantity
         
+        // Gems list every code a cross-listed course is offered under
+        const isSpecificCourse = c => c.courseId === specificCourseFromCatalog.courseId ||
+          (c.codes || []).includes(normalizeCourseCode(specificCourseFromCatalog.courseId));
+
         // If we found a specific course in catalog but not in gems, add it to the list
-        if (specificCourseFromCatalog && !top.find(c => c.courseId === specificCourseFromCatalog.courseId)) {
+        if (specificCourseFromCatalog && !top.find(isSpecificCourse)) {
           console.log(`➕ Adding specific course from catalog to context`);
           // Get GenEd category if it's a GenEd
           const isGenEd = specificCourseFromCatalog.subject && specificCourseFromCatalog.subject.toUpperCase() === 'GENED';
@@ -553,15 +651,18 @@ class GemMinerWebhook extends BaseWebhook {
             weekdays: specificCourseFromCatalog.weekdays,
             startTime: specificCourseFromCatalog.startTime,
             endTime: specificCourseFromCatalog.endTime,
-            meetingTime: specificCourseFromCatalog.meetingTime || (specificCourseFromCatalog.weekdays && specificCourseFromCatalog.startTime && specificCourseFromCatalog.endTime 
-              ? `${specificCourseFromCatalog.weekdays} ${specificCourseFromCatalog.startTime}-${specificCourseFromCatalog.endTime}`
-              : null),
+            meetings: specificCourseFromCatalog.meetings,
+            meetingTime: specificCourseFromCatalog.meetings?.length
+              ? formatMeetings(specificCourseFromCatalog.meetings)
+              : null,
             instructors: specificCourseFromCatalog.instructors,
+            prerequisites: specificCourseFromCatalog.prerequisites,
             description: specificCourseFromCatalog.description,
             qreportLink: null,
             _hasQReportData: false,
             _fromCatalogOnly: true,
             subject: specificCourseFromCatalog.subject,
+            codes: specificCourseFromCatalog.codes,
             genEdCategory: genEdCat
           };
           // Put it at the front if asking about a specific course
@@ -576,12 +677,116 @@ class GemMinerWebhook extends BaseWebhook {
         const usingDefaults = top.some(c => c._usingDefaults);
         
         gemContext = `\n\n[AVAILABLE COURSE DATA - Use this to answer the user's question about classes]:\n`;
-        if (specificCourseFromCatalog && !gemsWithData.find(c => c.courseId === specificCourseFromCatalog.courseId)) {
+        if (specificCourseFromCatalog && !gemsWithData.find(isSpecificCourse)) {
           gemContext += `⚠️ Note: Course found in catalog but may not have Q-Report data\n\n`;
         } else if (usingDefaults) {
           gemContext += `⚠️ Note: Using default ratings (Q-Report data not fully available)\n\n`;
         } else {
-          gemContext += `✅ Real Q-Report data from Spring 2025\n\n`;
+          gemContext += `✅ Real Q-Report data from ${qreportTerm}\n\n`;
+        }
+        gemContext += `📅 Courses offered in ${termLabel}\n`;
+        const profile = resolveProfile(query.profile);
+        gemContext += `📊 Ranked with the ${profile.label} profile (${profile.description})${query.profile ? '' : ' - the default; the student can ask for chill, quality, balanced or hidden gem rankings'}\n`;
+        // Courses placed above ones with a higher GemScore to mix subjects, GenEds and times
+        if (top.some((c, i) => top.slice(i + 1).some(later => (later.GemScore ?? 0) > (c.GemScore ?? 0)))) {
+          gemContext += `🔀 Mixed for variety: the order spreads subjects, GenEd categories and meeting times, so a course can sit above one with a higher GemScore. Say so if asked; the student can ask for a list strictly by score or for more variety.\n`;
+        }
+        if (query.timePreferences) {
+          gemContext += fitsEveryTime
+            ? `🕐 Time preferences: ${timeLabels.join(', ')} - every course below fits all of them\n`
+            : `⚠️ Time preferences: ${timeLabels.join(', ')} - no course with Q-Report data fits all of them. These fit best; say which preference each one misses (see "Time fit").\n`;
+        }
+        const feedbackCourses = Object.values(query.feedback.courses);
+        if (feedbackCourses.length > 0) {
+          const liked = feedbackCourses.filter(c => c.kind === 'liked').map(c => c.courseId);
+          gemContext += `🗂️ Personalized for this student: courses they dismissed or already took are left out${liked.length > 0 ? `, and courses sharing a subject or meeting time with ones they liked (${liked.join(', ')}) rank higher` : ''}\n`;
+        }
+        if (termChoice.isFallback) {
+          gemContext += `⚠️ ${termChoice.requested.label} isn't in the catalog yet - these are the ${termLabel} offerings. Tell the student times and instructors may change.\n`;
+        }
+        gemContext += '\n';
+
+        // Lecturer scores for the instructor the user asked about, across every Q-Report term
+        if (query.filters?.instructor) {
+          findInstructors(query.filters.instructor).slice(0, 3).forEach(profile => {
+            gemContext += `👩‍🏫 Instructor profile: ${profile.name}\n`;
+            if (profile.lecturerScore != null) {
+              gemContext += `   Lecturer score: ${profile.lecturerScore}/5 (median ${profile.lecturerScoreMedian}, ${profile.responses} responses)\n`;
+            }
+            gemContext += `   Taught (Q-Report): ${profile.courses.join(', ')} in ${profile.terms.join(', ')}\n\n`;
+          });
+        }
+
+        // "What do I need before X?" / "What does X unlock?"
+        if (query.prerequisites && query.filters?.courseCode) {
+          const code = normalizeCourseCode(query.filters.courseCode);
+          if (query.prerequisites === 'unlocks') {
+            const unlocked = getUnlockedCourses(code, { term: query.term });
+            const listed = unlocked.slice(0, 15).map(c => `${c.courseId} (${c.title})`).join(', ');
+            gemContext += `🔓 Unlocks: ${termLabel} courses that list ${code} as a prerequisite: ${listed || 'none in the catalog'}\n\n`;
+          } else {
+            const requirements = getPrerequisites(code);
+            if (requirements) {
+              gemContext += `📋 Prerequisites for ${requirements.course.courseId}: ${requirements.summary || 'none listed in the catalog'}\n`;
+              if (requirements.prerequisites?.text) gemContext += `   Catalog text: "${requirements.prerequisites.text}"\n`;
+              gemContext += '\n';
+            }
+          }
+        }
+
+        // "What's new this semester?" / "Did CS 50's time change?" - from the latest catalog diff
+        if (query.catalogChanges) {
+          const code = query.filters?.courseCode ? normalizeCourseCode(query.filters.courseCode) : null;
+          const changes = getCatalogChanges({ term: query.term, courseId: code });
+          if (changes) {
+            const since = `the previous catalog (${changes.before.label}${changes.before.savedAt ? `, saved ${changes.before.savedAt.slice(0, 10)}` : ''})`;
+            if (code) {
+              const course = changes.changed[0];
+              if (course) {
+                gemContext += `🔄 ${code} in ${termLabel} changed since ${since}:\n`;
+                describeChanges(course.changes).forEach(line => { gemContext += `   ${line}\n`; });
+              } else if (changes.added.length > 0) {
+                gemContext += `🆕 ${code} is new in ${termLabel} - it wasn't in ${since}\n`;
+              } else if (changes.removed.length > 0) {
+                gemContext += `🆕 ${code} was in ${since} but is no longer offered in ${termLabel}\n`;
+              } else {
+                gemContext += `🔄 ${code}: no changes to meeting times, instructors or GenEd status in ${termLabel} since ${since}\n`;
+              }
+            } else {
+              const list = courses => courses.slice(0, 15).map(c => `${c.courseId} (${c.title})`).join(', ');
+              gemContext += `🆕 Catalog changes in ${termLabel} since ${since}:\n`;
+              gemContext += `   New courses (${changes.added.length}): ${list(changes.added) || 'none'}\n`;
+              gemContext += `   No longer offered (${changes.removed.length}): ${list(changes.removed) || 'none'}\n`;
+              gemContext += `   Changed (${changes.changed.length}): ${changes.changed.slice(0, 10).map(c => `${c.courseId} (${describeChanges(c.changes).join('; ')})`).join(', ') || 'none'}\n`;
+            }
+            gemContext += '\n';
+          } else {
+            gemContext += `🆕 No previous catalog is saved, so there's nothing to compare ${termLabel} against - say you can't tell what changed.\n\n`;
+          }
+        }
+
+        // "Which classes do students call life-changing?" - searched in Q-Report comments
+        if (query.commentSearch) {
+          const hits = searchComments(query.commentSearch, { term: query.term, limit: 8 });
+          gemContext += `💬 ${termLabel} courses whose Q-Report comments mention "${query.commentSearch}":\n`;
+          hits.forEach(hit => {
+            gemContext += `   ${hit.courseId} (${hit.title}, ${hit.term} Q-Report): "${excerpt(hit.text, 200, query.commentSearch)}"\n`;
+          });
+          if (hits.length === 0) gemContext += `   None - say no student comments for ${termLabel} courses use that phrase\n`;
+          gemContext += '\n';
+        }
+
+        // "Why is this a gem?" - the GemScore breakdown of the courses in the last answer
+        if (explainCodes.length > 0) {
+          const explained = explainCodes
+            .map(code => ranked.find(c => normalizeCourseCode(c.courseId) === code || (c.codes || []).includes(code)))
+            .filter(c => c && c.scoreBreakdown);
+          gemContext += `🧮 GemScore breakdown for the courses in your last answer (${profile.label} profile):\n`;
+          explained.forEach(c => {
+            gemContext += `   ${c.courseId}: GemScore ${c.GemScore}/100 - ${describeBreakdown(c.scoreBreakdown)}\n`;
+          });
+          if (explained.length === 0) gemContext += `   None of them are ranked for ${termLabel} - ask which course they mean\n`;
+          gemContext += '\n';
         }
         
         // Validate Q-Report links before including them
@@ -619,13 +824,23 @@ class GemMinerWebhook extends BaseWebhook {
           }
           
           gemContext += `${titleLine}\n`;
+          const otherCodes = (c.codes || []).filter(code => code !== normalizeCourseCode(c.courseId));
+          if (otherCodes.length > 0) gemContext += `   Also listed as: ${otherCodes.join(', ')} (same class)\n`;
           
           // Show Q-Report data if available, otherwise note it's catalog-only
           if (c._fromCatalogOnly) {
             gemContext += `   ⚠️ This course is in the catalog but doesn't have Q-Report data yet\n`;
           }
-          // DO NOT show GemScore in context - it's used for ranking only
-          if (c.rating) gemContext += `   Rating: ${c.rating}/5\n`;
+          // GemScore isn't listed as a field - it's for ranking, and only explained when the student asks why
+          if (c.rating) {
+            gemContext += `   Rating: ${c.rating}/5\n`;
+            const confidence = c.ratingConfidence;
+            if (confidence && confidence.numResponded != null) {
+              const interval = confidence.interval ? `, 95% range ${confidence.interval.low}-${confidence.interval.high}` : '';
+              const students = confidence.numStudents ? ` of ${confidence.numStudents}` : '';
+              gemContext += `   Confidence: ${confidence.level} (${confidence.numResponded}${students} students responded${interval})\n`;
+            }
+          }
           else if (c._fromCatalogOnly) {
             gemContext += `   Rating: N/A (no Q-Report data yet)\n`;
           }
@@ -633,20 +848,49 @@ class GemMinerWebhook extends BaseWebhook {
           else if (c._fromCatalogOnly) {
             gemContext += `   Workload: N/A (no Q-Report data yet)\n`;
           }
+          if (c.trend) gemContext += `   Trend: ${c.trend.summary}\n`;
+          if (c.scoreBreakdown) {
+            gemContext += `   Why it ranks here (GemScore ${c.GemScore}/100, ${resolveProfile(c.scoreProfile).label} profile): ${describeBreakdown(c.scoreBreakdown)}\n`;
+          }
+
+          // One positive and one critical Q-Report quote, so the student sees both sides
+          const quotes = balancedQuotes(c.comments);
+          const quoteLength = isAskingAboutSpecificCourse ? 400 : 160;
+          if (quotes.positive) gemContext += `   👍 Student quote: "${excerpt(quotes.positive.text, quoteLength)}"\n`;
+          if (quotes.critical) gemContext += `   👎 Critical quote: "${excerpt(quotes.critical.text, quoteLength)}"\n`;
           
-          // Format meeting times from weekdays + start/end time
-          // Prioritize the separate fields as they're more accurate from catalog
-          if (c.weekdays && c.startTime && c.endTime) {
+          // Format meeting times from the structured blocks (lecture + section on one line),
+          // falling back to the separate catalog fields
+          if (c.meetings?.length) {
+            gemContext += `   Meets: ${formatMeetings(c.meetings)}\n`;
+          } else if (c.weekdays && c.startTime && c.endTime) {
             gemContext += `   Meets: ${c.weekdays} ${c.startTime}-${c.endTime}\n`;
           } else if (c.meetingTime) {
             gemContext += `   Meets: ${c.meetingTime}\n`;
           } else {
             gemContext += `   Meets: N/A\n`;
           }
+          if (c.timeFit) gemContext += `   Time fit: ${describeTimeFit(c.timeFit)}\n`;
+          if (c.prerequisites) {
+            gemContext += `   Prerequisites: ${summarizePrerequisites(c.prerequisites)}\n`;
+          }
           
           // Note: GenEd category is already shown in title line above
           if (c.instructors) gemContext += `   Instructor: ${c.instructors}\n`;
+          if (c.instructorProfile?.lecturerScore != null) {
+            gemContext += `   Lecturer score (Q-Report): ${c.instructorProfile.lecturerScore}/5 for ${c.instructorProfile.name}\n`;
+          }
+          if (c.differentInstructor) {
+            gemContext += `   ⚠️ Ratings are from ${c.ratingsInstructors.join(', ')}'s ${c.qreportTerm} offering - ${termLabel} is taught by ${c.catalogInstructors}. Mention this if you recommend it.\n`;
+          }
           if (c.finalExam === false || c.finalExam === 'no') gemContext += `   No final exam!\n`;
+          if (c.assessments) {
+            const workload = Object.entries(c.assessments)
+              .filter(([, count]) => count > 0)
+              .map(([kind, count]) => `${count} ${kind}`)
+              .join(', ');
+            if (workload) gemContext += `   Assessments (Canvas): ${workload}\n`;
+          }
           
           // Add Q-Report link only if validated and not truncated
           if (c.qreportLink) {
@@ -701,7 +945,9 @@ class GemMinerWebhook extends BaseWebhook {
           const sampleCatalog = catalogCourses.slice(0, 20);
           sampleCatalog.forEach((c, i) => {
             gemContext += `${i + 1}. ${c.courseId} - ${c.title}\n`;
-            if (c.meetingParsed && c.meetingParsed.weekdays) {
+            if (c.meetings?.length) {
+              gemContext += `   Meets: ${formatMeetings(c.meetings)}\n`;
+            } else if (c.meetingParsed && c.meetingParsed.weekdays) {
               gemContext += `   Meets: ${c.meetingParsed.weekdays} ${c.meetingParsed.startTime}-${c.meetingParsed.endTime}\n`;
             } else if (c.meeting) {
               gemContext += `   Meeting: ${c.meeting}\n`;
@@ -825,7 +1071,10 @@ CRITICAL FORMATTING RULES:
 ✅ Add 🎓 emoji after course title ONLY if it's a GenEd
 ✅ **For GenEd courses, ALWAYS include the category in the title line**: "Course Title (GENED 1034) 🎓 - satisfies **Aesthetics and Culture**"
 ✅ Add BLANK LINE after each course
-❌ DO NOT show GemScore in the output
+✅ If a course has a Trend line that isn't "steady", you MAY add it as: 📈 **Trend:** workload up 3 hrs since Fall 2024
+✅ If the student gave time preferences, add each course's Time fit as: 🕐 **Fits your times:** yes / misses "no Fri" (never claim a fit the data doesn't show)
+✅ If you quote students, include both the 👍 Student quote and the 👎 Critical quote when the data has both
+❌ DO NOT show GemScore or the "Why it ranks here" breakdown in course lists (only when the student asks why - see below)
 ❌ DO NOT add "💎 Excellent gem!" or quality notes after courses
 ❌ DO NOT show section numbers (001, 002, 003) in course titles
 ❌ DO NOT put everything on one line!
@@ -833,6 +1082,18 @@ CRITICAL FORMATTING RULES:
 ❌ DO NOT show "About this course:" or descriptions when listing multiple courses
 ❌ ONLY show course descriptions when user asks about a SPECIFIC course
 
+==========================================
+🧮 "WHY IS THIS A GEM?"
+==========================================
+
+When the student asks why a course is a gem or why it ranked where it did, answer ONLY from its
+"Why it ranks here" line (or the 🧮 GemScore breakdown above):
+- Name the factors that earned the most points, with their real values (e.g. "light workload: 3.4 hrs/week")
+- Say which signals had no data - they were left out, not counted against the course
+- Values marked [default value, not real data] are placeholders - say so
+- You MAY give the GemScore (out of 100) here
+- NEVER give reasons that aren't in the breakdown (no guessing about professors, exams or vibes)
+
 ==========================================
 🚨🚨🚨 ABSOLUTELY FORBIDDEN GREETING 🚨🚨🚨
 ==========================================
@@ -849,9 +1110,9 @@ This is **COMPLETELY BANNED**. Start IMMEDIATELY with helping, NO introduction!
 
 1. ❌ DO NOT show courses with "Not Available" for Rating or Workload
 2. ❌ DO NOT show courses without complete data (all fields must have real values)
-3. ❌ DO NOT recommend any course not in the Spring 2026 catalog
+3. ❌ DO NOT recommend any course not in the ${termLabel} catalog
 4. ❌ DO NOT recommend courses not in the GEM DATA LIST above
-5. ❌ DO NOT show GemScore in your output (it's for ranking only)
+5. ❌ DO NOT show GemScore in your output unless the student asks why a course ranked where it did
 6. ❌ DO NOT add quality notes like "💎 Excellent gem!" after courses
 7. ❌ DO NOT show section numbers (001, 002, 003) in course titles
 8. ❌ ONLY mark courses as GenEd 🎓 if subject = "GENED" (NOT ASTRON, OEB, HIST, GHHP, etc.)
@@ -861,7 +1122,7 @@ This is **COMPLETELY BANNED**. Start IMMEDIATELY with helping, NO introduction!
 9. ❌ DO NOT invent or modify course names
 10. ❌ DO NOT make up meeting times — use EXACTLY what's provided
 11. ❌ DO NOT truncate Q-Report links — they are 150-300 characters and must be copied in full
-12. ❌ EVERY course you recommend MUST have: Rating, Workload, Q-Report link, and be in Spring 2026
+12. ❌ EVERY course you recommend MUST have: Rating, Workload, Q-Report link, and be in ${termLabel}
 
 ==========================================
 💬 ASKING CLARIFYING QUESTIONS
@@ -931,9 +1192,9 @@ REMEMBER: ONLY USE COURSES FROM THE LIST ABOVE. HALLUCINATION = FAILURE.`;
 There are ${catalogCourses.length} courses in the catalog matching the search criteria, but NONE of them have Q-Report data (ratings, workload, student feedback).
 
 **WHY NO Q-REPORT DATA?**
-Q-Report data is from Spring 2025. Courses without data are likely:
+The latest Q-Report data is from ${qreportTerm}. Courses without data are likely:
 1. NEW courses being offered for the first time in 2025-2026
-2. Courses that weren't offered in Spring 2025
+2. Courses that weren't offered in a semester we have Q-Reports for
 3. Small seminars, independent studies, or thesis courses
 4. Courses with too few student responses
 
@@ -944,9 +1205,9 @@ A "gem" is a class that is:
 
 Since there are NO courses with Q-Report data matching the user's criteria, you MUST respond:
 
-"I don't have any gems with Q-Report data for ${query.preferredTimes?.join('/') || 'those criteria'} right now. 😔
+"I don't have any gems with Q-Report data for ${describeTimePreferences(query.timePreferences).join(', ') || 'those criteria'} right now. 😔
 
-To be a 'gem,' I need real student ratings and workload data from Q-Reports (Spring 2026). The courses matching your search likely don't have data because they're:
+To be a 'gem,' I need real student ratings and workload data from Q-Reports (latest: ${qreportTerm}). The courses matching your search likely don't have data because they're:
 • New courses being offered for the first time 🆕
 • Courses that weren't offered last semester
 • Small seminars or independent studies
@@ -962,9 +1223,9 @@ Would you like to:
       }
     }
 
-    // Add gem context to the last message if we fetched data
-    if (gemContext) {
-      messages[messages.length - 1].content += gemContext;
+    // Add feedback and gem context to the last message
+    if (feedbackContext || gemContext) {
+      messages[messages.length - 1].content += feedbackContext + gemContext;
     }
 
     // Use Claude or Gemini based on agent configuration
@@ -999,6 +1260,81 @@ Would you like to:
     };
   }
   
+  /**
+   * Save, show or reset the student's feedback
+   * Courses come from the message ("not interested in ECON 10") or, for "this"/"these", from
+   * the last answer - "this" only when that answer named one course.
+   * @param {Object} request - From parseFeedback
+   * @param {string} userMessage
+   * @param {Array} messages - Conversation, current message last
+   * @param {string} chatId
+   * @returns {string} Context for the model
+   */
+  applyFeedback(request, userMessage, messages, chatId) {
+    if (request.action === 'reset') {
+      const count = resetFeedback(chatId);
+      return `\n\n🗑️ Feedback reset: forgot what the student said about ${count} course(s). Rankings are back to normal for them - confirm in one sentence.\n`;
+    }
+    if (request.action === 'view') {
+      const lines = describeFeedback(getFeedback(chatId));
+      return lines.length > 0
+        ? `\n\n🗂️ Feedback this student has given (dismissed courses are hidden from lists, liked ones boost similar courses):\n${lines.map(line => `   ${line}\n`).join('')}They can say "reset my feedback" to clear it.\n`
+        : `\n\n🗂️ This student hasn't given any feedback yet. Tell them they can say "not interested", "already took it" or "more like this" about any course, or react 👍/👎/✅ to a message.\n`;
+    }
+
+    const kind = FEEDBACK_KINDS[request.kind];
+    let courses = catalogCoursesIn(userMessage);
+    if (courses.length === 0) {
+      const lastAnswer = messages.slice(0, -1).reverse().find(m => m.role === 'assistant');
+      const named = courseCodesIn(lastAnswer?.content).map(code => getCourseDetails(code)).filter(Boolean);
+      const plural = /\b(these|those|them|all)\b/i.test(userMessage);
+      courses = plural || named.length === 1 ? named : [];
+    }
+    if (courses.length === 0) {
+      return `\n\n📝 The student gave feedback (${kind.label}) but it isn't clear which course they mean - ask them to name it.\n`;
+    }
+
+    const saved = recordFeedback(chatId, courses, request.kind);
+    const effect = kind.hides
+      ? "won't be recommended to them again (unless they ask about one by name)"
+      : 'count as liked - courses in the same subject or at the same times now rank higher for them';
+    return `\n\n📝 Feedback saved: ${kind.label} - ${saved.map(c => `${c.courseId} (${c.title})`).join(', ')}. These ${effect}. Acknowledge it briefly; they can ask "what have I told you?" or say "reset my feedback".\n`;
+  }
+
+  /**
+   * A1Zap reaction on one of Georgie's messages: 👍/❤️/🔥/💎 = liked, 👎 = not interested, ✅ = already took
+   * Payload: { event: 'message.reaction', chat: { id }, reaction: { emoji }, message: { content } }
+   * (the reacted-to message; falls back to the last cached answer). A 👍 counts for every course
+   * in the message; 👎 and ✅ only when it names one course, so a whole list isn't hidden.
+   * @override
+   */
+  async handleReaction(req, res) {
+    const { chat, reaction, message } = req.body;
+    const chatId = chat?.id || req.body.chatId;
+    const emoji = reaction?.emoji || reaction?.content || req.body.emoji;
+    const kind = feedbackForReaction(emoji);
+    if (!chatId || !kind) {
+      console.log(`👍 Reaction ${emoji || '(none)'} ignored`);
+      return res.json({ success: true, event: 'message.reaction', skipped: true });
+    }
+
+    const content = message?.content || conversationCache.getChatContext(chatId).responses.slice(-1)[0]?.text;
+    const codes = courseCodesIn(content);
+    const courses = codes.map(code => getCourseDetails(code)).filter(Boolean);
+    if (courses.length === 0 || (FEEDBACK_KINDS[kind].hides && codes.length > 1)) {
+      console.log(`👍 Reaction ${emoji} ignored: the message names ${codes.length} course(s)`);
+      return res.json({ success: true, event: 'message.reaction', skipped: true });
+    }
+
+    const saved = recordFeedback(chatId, courses, kind);
+    return res.json({
+      success: true,
+      event: 'message.reaction',
+      feedback: kind,
+      courses: saved.map(c => c.courseId)
+    });
+  }
+
   /**
    * Determine if user is asking for gem/class recommendations or course information
    */
@@ -1009,14 +1345,17 @@ Would you like to:
     const gemKeywords = [
       'show', 'find', 'recommend', 'suggest', 'gems', 'classes', 'courses',
       'easy', 'chill', 'light', 'low workload', 'good rating', 'top',
-      'best', 'list', 'options', 'what are', 'give me', 'looking for'
+      'best', 'list', 'options', 'what are', 'give me', 'looking for', 'taught by',
+      "what's new", 'whats new', 'what is new',
+      'students call', 'students say', 'students describe', 'described as'
     ];
     
     // Keywords that indicate user is asking about a specific course
     const courseInfoKeywords = [
       'what time', 'when does', 'when is', 'tell me about', 'what is',
       'describe', 'explain', 'course', 'class', 'meet', 'meeting time',
-      'meets', 'schedule', 'instructor', 'professor', 'rating', 'workload'
+      'meets', 'schedule', 'instructor', 'professor', 'rating', 'workload',
+      'prereq', 'prerequisite', 'unlock', 'before taking', 'after taking', 'change'
     ];
     
     // Check for course code patterns (e.g., "CS 50", "CS50", "COMPSCI 50")
@@ -1026,104 +1365,8 @@ Would you like to:
     // Fetch data if asking for recommendations OR asking about a specific course
     return gemKeywords.some(keyword => text.includes(keyword)) ||
            (courseInfoKeywords.some(keyword => text.includes(keyword)) && hasCourseCode) ||
-           hasCourseCode; // Always fetch if a course code is mentioned
-  }
-
-  extractQuery(userMessage = '') {
-    const text = (userMessage || '').toLowerCase();
-    const query = { filters: {} };
-    
-    // GenEd detection - CRITICAL: GenEds have subject = "GENED"
-    // Also detect specific GenEd category requests with SMART MATCHING
-    if (text.includes('gened') || text.includes('gen ed') || text.includes('general education')) {
-      query.filters.department = 'GENED';
-      query.filters.isGenEd = true;
-      console.log('🎓 GenEd request detected - filtering for subject = GENED');
-      
-      // Smart category matching - check for partial matches
-      const lowerText = text.toLowerCase();
-      
-      // Aesthetics and Culture - match: aesthetics, culture, arts, artistic
-      if (lowerText.includes('aesthetics') || lowerText.includes('culture') || 
-          (lowerText.includes('art') && !lowerText.includes('mart'))) {
-        query.filters.genEdCategory = 'Aesthetics and Culture';
-        console.log('🎨 Aesthetics and Culture category detected');
-      } 
-      // Ethics and Civics - match: ethics, civics, moral, political, justice
-      else if (lowerText.includes('ethics') || lowerText.includes('civics') || 
-               lowerText.includes('moral') || (lowerText.includes('political') && !lowerText.includes('apolitical')) ||
-               lowerText.includes('justice')) {
-        query.filters.genEdCategory = 'Ethics and Civics';
-        console.log('⚖️ Ethics and Civics category detected');
-      } 
-      // Histories, Societies, Individuals - match: histories, history, societies, society, individuals, social (but not "social science" which is different)
-      else if (lowerText.includes('histories') || lowerText.includes('history') || 
-               lowerText.includes('societies') || (lowerText.includes('society') && !lowerText.includes('science and technology')) ||
-               lowerText.includes('individuals') || (lowerText.includes('social') && !lowerText.includes('science'))) {
-        query.filters.genEdCategory = 'Histories, Societies, Individuals';
-        console.log('📚 Histories, Societies, Individuals category detected');
-      } 
-      // Science and Technology in Society - match: science (with tech/society context), technology, tech, sci, stis
-      else if ((lowerText.includes('science') && (lowerText.includes('technology') || lowerText.includes('society') || lowerText.includes('tech'))) ||
-               (lowerText.includes('technology') && lowerText.includes('society')) ||
-               lowerText.includes('stis') || (lowerText.includes('tech') && lowerText.includes('gened'))) {
-        query.filters.genEdCategory = 'Science and Technology in Society';
-        console.log('🔬 Science and Technology in Society category detected');
-      }
-    }
-    
-    // Smart department matching using the mapper (skip if GenEd already set)
-    if (!query.filters.department) {
-      const deptMatch = text.match(/\b(cs|computer science|comp sci|compsci|econ|economics|gov|government|political science|poli sci|hist|history|math|mathematics|stat|stats|statistics|eng|english|bio|biology|chem|chemistry|phys|physics|psy|psych|psychology|anthro|anthropology|soc|sociology|phil|philosophy|neuro|neuroscience|data science|ling|linguistics)\b/i);
-      if (deptMatch) {
-        const mapped = mapDepartment(deptMatch[1]);
-        if (mapped.department) {
-          query.filters.department = mapped.department;
-        } else if (mapped.titleSearch) {
-          query.filters.titleSearch = mapped.titleSearch;
-        }
-      }
-    }
-    
-    // Extract course code from query (e.g., "CS50", "CS 50", "COMPSCI 50")
-    // This helps filter to the specific course when asking about it
-    const courseCodeMatch = text.match(/\b(?:([A-Z]{2,})\s*)?(\d+[A-Z]?)\b/i);
-    if (courseCodeMatch) {
-      const [, deptCode, courseNum] = courseCodeMatch;
-      // If it's "CS50" or "CS 50", map to COMPSCI
-      if ((deptCode === 'CS' || deptCode === undefined) && courseNum) {
-        query.filters.courseCode = `COMPSCI ${courseNum}`;
-        if (!query.filters.department) {
-          query.filters.department = 'COMPSCI';
-        }
-      } else if (deptCode && courseNum) {
-        query.filters.courseCode = `${deptCode} ${courseNum}`;
-      }
-      console.log(`📝 Extracted course code: ${query.filters.courseCode}`);
-    }
-    
-    // hrs/week heuristic
-    const hrs = text.match(/<=\s*(\d+)\s*hrs?\/wk|<=\s*(\d+)\s*hours?|under\s+(\d+)\s+hours?/);
-    if (hrs) query.filters.maxHrsPerWeek = Number(hrs[1] || hrs[2] || hrs[3]);
-    
-    // no final heuristic
-    if (text.includes('no final')) query.filters.noFinal = true;
-    
-    // preferred times heuristic
-    const times = [];
-    if (text.includes('morning')) times.push('am');
-    if (text.includes('afternoon')) times.push('pm');
-    if (text.includes('evening') || text.includes('night')) times.push('pm');
-    if (text.includes('tu/th') || text.includes('tuth') || text.includes('tue') || text.includes('thu')) {
-      times.push('tue');
-      times.push('thu');
-    }
-    if (text.includes('mon') || text.includes('monday')) times.push('mon');
-    if (text.includes('wed') || text.includes('wednesday')) times.push('wed');
-    if (text.includes('fri') || text.includes('friday')) times.push('fri');
-    if (times.length) query.preferredTimes = Array.from(new Set(times));
-    
-    return query;
+           hasCourseCode || // Always fetch if a course code is mentioned
+           EXPLAIN_SCORE_PATTERN.test(text);
   }
 
   /**